@@ -0,0 +1,392 @@
+/**
+ * Archivy emailů - import a export mbox a ZIP (sada .eml souborů)
+ *
+ * mbox (mboxrd): zprávy oddělené řádkem `From <sender> <asctime>`, řádky těla začínající na `From `
+ * (i s libovolným počtem `>` před ním) mají přidané jedno `>`. Import zvládne i mboxo/mboxcl
+ * bez escapování - zprávu ukončí jen `From ` řádek za prázdným řádkem.
+ *
+ * ZIP: čtení stored/deflate položek přes central directory, zápis streamovaně (deflate) bez ZIP64,
+ * tedy max. 65535 souborů a 4 GB. Bez závislostí - jen zlib.
+ *
+ * Nečitelný archiv (poškozený, nepodporovaný nebo po rozbalení větší než limit) hází chybu s `invalid: true`.
+ */
+
+const zlib = require('zlib');
+const { kMaxLength } = require('buffer');
+
+const MBOX_SEPARATOR = /^From [^\r\n]*\r?$/;
+const ZIP_MAX_ENTRIES = 0xffff;
+const ZIP_MAX_SIZE = 0xffffffff;
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+/**
+ * Chyba nečitelného archivu (API ji vrací jako 400)
+ * @param {string} message
+ * @returns {Error}
+ */
+function createInvalidArchiveError(message) {
+  const error = new Error(message);
+  error.invalid = true;
+  return error;
+}
+
+/**
+ * CRC-32 pro ZIP
+ * @param {Buffer} buffer
+ * @returns {number}
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Datum z hlavičky Date: (jen hlavičky, bez parsování celé zprávy)
+ * @param {Buffer|string} raw - Zpráva
+ * @returns {Date|null}
+ */
+function getMessageDate(raw) {
+  const text = Buffer.isBuffer(raw) ? raw.subarray(0, 65536).toString('latin1') : raw.slice(0, 65536);
+  const headerEnd = text.search(/\r?\n\r?\n/);
+  const headers = (headerEnd === -1 ? text : text.slice(0, headerEnd)).replace(/\r?\n[ \t]+/g, ' ');
+
+  const match = /^Date:[ \t]*(.+)$/im.exec(headers);
+  if (!match) return null;
+
+  const date = new Date(match[1].replace(/\([^)]*\)/g, '').trim());
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Datum z mbox oddělovače `From sender Tue Nov 14 08:30:00 2024`
+ * @param {string} line
+ * @returns {Date|null}
+ */
+function parseMboxSeparatorDate(line) {
+  const match = /(\w{3})\s+(\d{1,2})\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s+(?:([A-Z]{3,4}|[+-]\d{4})\s+)?(\d{4})\s*$/.exec(line.trim());
+  if (!match) return null;
+
+  const [, month, day, hours, minutes, seconds = '00', zone, year] = match;
+  const date = new Date(`${day} ${month} ${year} ${hours}:${minutes}:${seconds} ${zone && /^[+-]/.test(zone) ? zone : 'GMT'}`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Rozdělí mbox na jednotlivé zprávy
+ * @param {Buffer} buffer - Obsah mbox souboru
+ * @returns {Array<{raw: Buffer, sender: string|null, date: Date|null}>} date = z Date: hlavičky, jinak z oddělovače
+ */
+function parseMbox(buffer) {
+  const messages = [];
+  let current = null;
+  let previousBlank = true;
+  let position = 0;
+
+  const finish = (end) => {
+    if (!current) return;
+    let body = buffer.subarray(current.start, end);
+    // Prázdný řádek před dalším oddělovačem patří k formátu, ne ke zprávě
+    if (body.subarray(-2).toString() === '\r\n') body = body.subarray(0, -2);
+    else if (body.subarray(-1).toString() === '\n') body = body.subarray(0, -1);
+
+    // mboxrd: ">From " -> "From ", ">>From " -> ">From "
+    const raw = Buffer.from(body.toString('latin1').replace(/^>(>*From )/gm, '$1'), 'latin1');
+    if (raw.toString('latin1').trim()) {
+      messages.push({ raw, sender: current.sender, date: getMessageDate(raw) || current.date });
+    }
+  };
+
+  while (position < buffer.length) {
+    let lineEnd = buffer.indexOf(0x0a, position);
+    if (lineEnd === -1) lineEnd = buffer.length;
+    const line = buffer.subarray(position, Math.min(lineEnd, position + 1000)).toString('latin1');
+
+    if (previousBlank && MBOX_SEPARATOR.test(line)) {
+      finish(position);
+      const sender = line.slice(5).trim().split(/\s+/)[0] || null;
+      current = { start: lineEnd + 1, sender: sender === 'MAILER-DAEMON' ? null : sender, date: parseMboxSeparatorDate(line) };
+    }
+
+    previousBlank = /^\r?$/.test(line);
+    position = lineEnd + 1;
+  }
+  finish(buffer.length);
+
+  if (messages.length === 0 && !MBOX_SEPARATOR.test(buffer.subarray(0, 1000).toString('latin1').split('\n')[0])) {
+    throw createInvalidArchiveError('Not an mbox file (missing "From " separator line)');
+  }
+  return messages;
+}
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Datum ve formátu asctime pro mbox oddělovač (UTC)
+ * @param {Date} date
+ * @returns {string} `Tue Nov 14 08:30:00 2024`
+ */
+function formatAsctime(date) {
+  const pad = value => String(value).padStart(2, '0');
+  const time = `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
+  return `${WEEKDAYS[date.getUTCDay()]} ${MONTHS[date.getUTCMonth()]} ${String(date.getUTCDate()).padStart(2, ' ')} ${time} ${date.getUTCFullYear()}`;
+}
+
+/**
+ * Naformátuje zprávu pro mbox (oddělovač + escapované tělo + prázdný řádek)
+ * @param {Buffer} raw - Zpráva
+ * @param {Object} options
+ * @param {string} [options.sender] - Envelope odesílatel
+ * @param {Date} options.date - Datum přijetí
+ * @returns {Buffer}
+ */
+function formatMboxMessage(raw, { sender, date }) {
+  const body = raw.toString('latin1').replace(/^(>*From )/gm, '>$1');
+  const separator = `From ${(sender || 'MAILER-DAEMON').replace(/\s/g, '')} ${formatAsctime(date)}\n`;
+  const ending = body.endsWith('\n') ? '\n' : '\n\n';
+  return Buffer.from(separator + body + ending, 'latin1');
+}
+
+/**
+ * DOS datum a čas (lokální čas) pro ZIP hlavičky
+ * @param {Date} date
+ * @returns {{time: number, date: number}}
+ */
+function toDosDateTime(date) {
+  const year = Math.max(date.getFullYear(), 1980);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+/**
+ * @param {number} dosDate
+ * @param {number} dosTime
+ * @returns {Date}
+ */
+function fromDosDateTime(dosDate, dosTime) {
+  return new Date(
+    ((dosDate >> 9) & 0x7f) + 1980, ((dosDate >> 5) & 0x0f) - 1, dosDate & 0x1f,
+    (dosTime >> 11) & 0x1f, (dosTime >> 5) & 0x3f, (dosTime & 0x1f) * 2,
+  );
+}
+
+/**
+ * Přečte soubory ze ZIP archivu (adresáře a soubory macOS `__MACOSX/` se přeskočí)
+ * @param {Buffer} buffer - Obsah ZIP souboru
+ * @param {Object} [options]
+ * @param {number} [options.maxSize] - Limit součtu rozbalených souborů v bajtech (ZIP bomba)
+ * @returns {Array<{name: string, data: Buffer, date: Date}>}
+ * @throws {Error} invalid: true - poškozený nebo nepodporovaný archiv, překročený limit
+ */
+function readZipEntries(buffer, { maxSize = Infinity } = {}) {
+  if (buffer.length < 22) {
+    throw createInvalidArchiveError('Not a ZIP file (too short)');
+  }
+
+  // Offsety a délky jsou z archivu - všechno čtení musí zůstat v bufferu
+  const ensure = (offset, length, what) => {
+    if (offset + length > buffer.length) {
+      throw createInvalidArchiveError(`Corrupted ZIP file (${what} out of bounds)`);
+    }
+  };
+
+  // End of central directory - hledá se od konce (může za ním být komentář)
+  let eocd = -1;
+  for (let offset = buffer.length - 22; offset >= Math.max(0, buffer.length - 22 - 0xffff); offset--) {
+    if (buffer.readUInt32LE(offset) === 0x06054b50) {
+      eocd = offset;
+      break;
+    }
+  }
+  if (eocd === -1) {
+    throw createInvalidArchiveError('Not a ZIP file (end of central directory not found)');
+  }
+
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  if (offset === ZIP_MAX_SIZE || count === ZIP_MAX_ENTRIES) {
+    throw createInvalidArchiveError('ZIP64 archives are not supported');
+  }
+
+  const entries = [];
+  let totalSize = 0;
+  for (let index = 0; index < count; index++) {
+    ensure(offset, 46, 'central directory');
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw createInvalidArchiveError('Corrupted ZIP central directory');
+    }
+    const flags = buffer.readUInt16LE(offset + 8);
+    const method = buffer.readUInt16LE(offset + 10);
+    const dosTime = buffer.readUInt16LE(offset + 12);
+    const dosDate = buffer.readUInt16LE(offset + 14);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    ensure(offset + 46, nameLength, 'file name');
+    const name = buffer.subarray(offset + 46, offset + 46 + nameLength).toString(flags & 0x800 ? 'utf8' : 'latin1');
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/') || name.startsWith('__MACOSX/')) continue;
+    if (flags & 0x1) {
+      throw createInvalidArchiveError(`${name}: encrypted ZIP entries are not supported`);
+    }
+
+    ensure(localOffset, 30, `${name}: local header`);
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    ensure(dataStart, compressedSize, `${name}: data`);
+    const compressed = buffer.subarray(dataStart, dataStart + compressedSize);
+
+    const remaining = maxSize - totalSize;
+    let data;
+    if (method === 0) {
+      data = compressed;
+    } else if (method === 8) {
+      try {
+        data = zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(1, Math.min(remaining, kMaxLength)) });
+      } catch (error) {
+        throw createInvalidArchiveError(error.code === 'ERR_BUFFER_TOO_LARGE'
+          ? `${name}: archive expands to more than ${maxSize} bytes`
+          : `${name}: corrupted compressed data (${error.message})`);
+      }
+    } else {
+      throw createInvalidArchiveError(`${name}: unsupported ZIP compression method ${method}`);
+    }
+
+    totalSize += data.length;
+    if (totalSize > maxSize) {
+      throw createInvalidArchiveError(`${name}: archive expands to more than ${maxSize} bytes`);
+    }
+
+    entries.push({ name, data, date: fromDosDateTime(dosDate, dosTime) });
+  }
+
+  return entries;
+}
+
+/**
+ * Streamovaný zápis ZIP archivu - položky se zapisují hned, central directory na konci
+ * @param {Writable} stream - Cíl (např. HTTP response)
+ * @returns {{add: function(string, Buffer, Date): Promise<void>, finish: function(): Promise<void>}}
+ */
+function createZipWriter(stream) {
+  const central = [];
+  let offset = 0;
+
+  const write = (chunk) => new Promise((resolve, reject) => {
+    offset += chunk.length;
+    if (stream.write(chunk)) return resolve();
+
+    // Čeká na drain; zavřený stream (odpojený klient) drain nikdy nepošle
+    const cleanup = () => {
+      stream.off('drain', onDrain);
+      stream.off('close', onClose);
+      stream.off('error', onClose);
+    };
+    const onDrain = () => { cleanup(); resolve(); };
+    const onClose = (error) => { cleanup(); reject(error || new Error('Stream closed')); };
+    stream.on('drain', onDrain);
+    stream.on('close', onClose);
+    stream.on('error', onClose);
+  });
+
+  return {
+    /**
+     * Přidá soubor do archivu
+     * @param {string} name - Cesta v archivu
+     * @param {Buffer} data - Obsah
+     * @param {Date} date - Datum změny
+     */
+    async add(name, data, date) {
+      if (central.length >= ZIP_MAX_ENTRIES) {
+        throw new Error(`ZIP export is limited to ${ZIP_MAX_ENTRIES} files`);
+      }
+
+      const compressed = zlib.deflateRawSync(data);
+      const nameBuffer = Buffer.from(name, 'utf8');
+      const { time, date: dosDate } = toDosDateTime(date);
+      const checksum = crc32(data);
+      if (offset + 30 + nameBuffer.length + compressed.length > ZIP_MAX_SIZE) {
+        throw new Error('ZIP export is limited to 4 GB');
+      }
+
+      const header = Buffer.alloc(30);
+      header.writeUInt32LE(0x04034b50, 0);
+      header.writeUInt16LE(20, 4); // verze pro rozbalení
+      header.writeUInt16LE(0x800, 6); // UTF-8 názvy
+      header.writeUInt16LE(8, 8); // deflate
+      header.writeUInt16LE(time, 10);
+      header.writeUInt16LE(dosDate, 12);
+      header.writeUInt32LE(checksum, 14);
+      header.writeUInt32LE(compressed.length, 18);
+      header.writeUInt32LE(data.length, 22);
+      header.writeUInt16LE(nameBuffer.length, 26);
+
+      central.push({ nameBuffer, time, dosDate, checksum, compressedSize: compressed.length, size: data.length, offset });
+      await write(Buffer.concat([header, nameBuffer]));
+      await write(compressed);
+    },
+
+    /**
+     * Zapíše central directory (stream se neukončí)
+     */
+    async finish() {
+      const start = offset;
+      for (const entry of central) {
+        const record = Buffer.alloc(46);
+        record.writeUInt32LE(0x02014b50, 0);
+        record.writeUInt16LE(20, 4);
+        record.writeUInt16LE(20, 6);
+        record.writeUInt16LE(0x800, 8);
+        record.writeUInt16LE(8, 10);
+        record.writeUInt16LE(entry.time, 12);
+        record.writeUInt16LE(entry.dosDate, 14);
+        record.writeUInt32LE(entry.checksum, 16);
+        record.writeUInt32LE(entry.compressedSize, 20);
+        record.writeUInt32LE(entry.size, 24);
+        record.writeUInt16LE(entry.nameBuffer.length, 28);
+        record.writeUInt32LE(entry.offset, 42);
+        await write(Buffer.concat([record, entry.nameBuffer]));
+      }
+
+      const end = Buffer.alloc(22);
+      end.writeUInt32LE(0x06054b50, 0);
+      end.writeUInt16LE(central.length, 8);
+      end.writeUInt16LE(central.length, 10);
+      end.writeUInt32LE(offset - start, 12);
+      end.writeUInt32LE(start, 16);
+      await write(end);
+    },
+  };
+}
+
+/**
+ * Rozpozná formát nahraného souboru (podle obsahu, pak přípony)
+ * @param {string} filename - Původní název
+ * @param {Buffer} buffer - Obsah
+ * @returns {string} eml | mbox | zip
+ */
+function detectArchiveFormat(filename, buffer) {
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) return 'zip';
+  if (/\.zip$/i.test(filename)) return 'zip';
+  if (/\.(mbox|mbx)$/i.test(filename) || MBOX_SEPARATOR.test(buffer.subarray(0, 1000).toString('latin1').split('\n')[0])) return 'mbox';
+  return 'eml';
+}
+
+module.exports = {
+  createZipWriter,
+  detectArchiveFormat,
+  formatMboxMessage,
+  getMessageDate,
+  parseMbox,
+  readZipEntries,
+};
@@ -0,0 +1,87 @@
+/**
+ * Inline části emailu - odkazy `cid:` v HTML těle (RFC 2392)
+ *
+ * HTML náhled ve Web UI je v iframe se `srcdoc`, takže `<img src="cid:logo@app">` se sám nenačte.
+ * Odkazy se přepíšou na URL části (GET /api/emails/:filename/cid/:contentId) a zároveň se najdou:
+ * - odkazy `cid:`, ke kterým email nemá část s daným Content-ID (rozbitý obrázek u příjemce)
+ * - inline části (multipart/related nebo Content-Disposition: inline), na které HTML nikde neodkazuje
+ *   (klienti je pak typicky ukážou jako přílohu)
+ */
+
+// cid: jen v hodnotě atributu (src="cid:..", background=cid:..) nebo v CSS url(cid:..)
+const CID_REFERENCE = /(["'(=]\s*)cid:([^'"\s()<>]+)/gi;
+
+/**
+ * Normalizovaný Content-ID pro porovnání (bez <>, URL-decoded, malými písmeny)
+ * @param {string} value - Hodnota z odkazu `cid:` nebo hlavičky Content-ID
+ * @returns {string}
+ */
+function normalizeContentId(value) {
+  let cid = String(value || '').trim().replace(/^<|>$/g, '');
+  try {
+    cid = decodeURIComponent(cid);
+  } catch {
+    // Neplatné %-escapování - porovná se tak, jak je
+  }
+  return cid.toLowerCase();
+}
+
+/**
+ * Přepíše odkazy `cid:` v HTML a vyhodnotí, které inline části jsou použité
+ * @param {Object} options
+ * @param {string} options.html - HTML tělo (s ponechanými `cid:` odkazy)
+ * @param {Array<Object>} options.attachments - Přílohy z mailparseru (contentId, related, contentDisposition)
+ * @param {function(string): string} options.buildUrl - URL části podle Content-ID
+ * @returns {{html: string, references: Array<Object>, unmatched: Array<string>, unreferenced: Array<Object>, inline: Set<number>}}
+ */
+function resolveCidReferences({ html, attachments, buildUrl }) {
+  const byContentId = new Map();
+  attachments.forEach((attachment, index) => {
+    if (!attachment.contentId) return;
+    const cid = normalizeContentId(attachment.contentId);
+    if (!byContentId.has(cid)) byContentId.set(cid, index);
+  });
+
+  const references = new Map(); // normalizovaný cid -> { cid, attachmentIndex, count }
+  const rewritten = (html || '').replace(CID_REFERENCE, (match, prefix, value) => {
+    const cid = normalizeContentId(value);
+    const attachmentIndex = byContentId.has(cid) ? byContentId.get(cid) : null;
+
+    if (!references.has(cid)) references.set(cid, { cid, attachmentIndex, count: 0 });
+    references.get(cid).count++;
+
+    if (attachmentIndex === null) return match;
+    return `${prefix}${buildUrl(attachments[attachmentIndex].contentId.trim().replace(/^<|>$/g, ''))}`;
+  });
+
+  const referenced = new Set([...references.values()].map(reference => reference.attachmentIndex).filter(index => index !== null));
+  const inline = new Set();
+  const unreferenced = [];
+
+  attachments.forEach((attachment, index) => {
+    if (!attachment.contentId) return;
+    const isInlinePart = attachment.related || attachment.contentDisposition === 'inline';
+    if (referenced.has(index) || isInlinePart) inline.add(index);
+    if (isInlinePart && !referenced.has(index)) {
+      unreferenced.push({
+        index,
+        contentId: normalizeContentId(attachment.contentId),
+        filename: attachment.filename || null,
+        contentType: attachment.contentType || 'application/octet-stream',
+      });
+    }
+  });
+
+  return {
+    html: rewritten,
+    references: [...references.values()],
+    unmatched: [...references.values()].filter(reference => reference.attachmentIndex === null).map(reference => reference.cid),
+    unreferenced,
+    inline,
+  };
+}
+
+module.exports = {
+  normalizeContentId,
+  resolveCidReferences,
+};
@@ -0,0 +1,455 @@
+#!/usr/bin/env node
+
+/**
+ * mailrider - CLI klient pro HTTP API běžícího MailRideru
+ *
+ * Jen volá HTTP API (výchozí http://localhost:8082, přepíše --url nebo MAILRIDER_URL), server nemusí
+ * běžet na stejném stroji. Výstup je pro člověka, s --json pro skripty (tail pak vypisuje JSON po řádcích).
+ *
+ * Návratové kódy: 0 = OK, 1 = chyba nebo vypršel timeout (wait), 2 = špatné argumenty
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { parseArgs } = require('util');
+const { parseDuration } = require('./retention');
+
+const DEFAULT_URL = 'http://localhost:8082';
+const TAIL_RECONNECT_DELAY = 5000; // ms, stejně jako retry v /api/events
+
+const USAGE = `Usage: mailrider <command> [options]
+
+Commands:
+  list                      List emails (newest first)
+      --mailbox <name>        Only this mailbox
+      --folder <name>         Only this folder (INBOX, Archive, ...)
+  -s, --search <query>        Full-text search with operators (from:, has:attachment, "phrase", ...)
+      --sort date             Sort search results by date instead of relevance
+  -n, --limit <n>             Number of emails (default 50)
+      --offset <n>            Skip the first n emails
+      --since <duration>      Only emails received in the last 5m, 2h, 1d, ...
+  show <filename>           Print the text body of an email
+      --headers               Print the header block
+      --html                  Print the HTML body
+      --raw                   Print the raw message (.eml)
+      --links                 Print links from the HTML and text body
+  tail                      Print new emails as they arrive (Ctrl+C to stop)
+      --mailbox, --from, --to, --subject   Only matching emails
+  wait                      Wait for a matching email and print it, exit 1 on timeout
+      --to, --from, --subject <text>       Substring, case-insensitive (to/from include the SMTP envelope)
+      --mailbox <name>        Only this mailbox
+      --since <duration>      Also match stored emails from the last 5m, 2h, ... (default: only new emails)
+      --timeout <duration>    30s, 2m, ... (default 30s, max 5m)
+  clear                     Delete all emails in all mailboxes
+  import <file>...          Import .eml, .mbox and .zip files
+      --mailbox <name>        Target mailbox
+  export                    Export emails as mbox or ZIP (same filters as list)
+      --format mbox|zip       Default mbox
+      --mailbox, --folder, -s/--search
+  -o, --output <file>         Output file, "-" for stdout (default: name suggested by the server)
+
+Options:
+  -u, --url <url>           MailRider Web UI/API address (default $MAILRIDER_URL or ${DEFAULT_URL})
+      --json                Print JSON instead of text
+  -h, --help                Show this help
+`;
+
+const OPTIONS = {
+  url: { type: 'string', short: 'u' },
+  json: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' },
+  mailbox: { type: 'string' },
+  folder: { type: 'string' },
+  search: { type: 'string', short: 's' },
+  sort: { type: 'string' },
+  limit: { type: 'string', short: 'n' },
+  offset: { type: 'string' },
+  since: { type: 'string' },
+  from: { type: 'string' },
+  to: { type: 'string' },
+  subject: { type: 'string' },
+  timeout: { type: 'string' },
+  headers: { type: 'boolean' },
+  html: { type: 'boolean' },
+  raw: { type: 'boolean' },
+  links: { type: 'boolean' },
+  format: { type: 'string' },
+  output: { type: 'string', short: 'o' },
+};
+
+/**
+ * Chyba ve volání CLI (neznámý příkaz, chybějící argument) - vypíše se s nápovědou a exit 2
+ * @param {string} message
+ * @returns {Error}
+ */
+function usageError(message) {
+  const error = new Error(message);
+  error.usage = true;
+  return error;
+}
+
+/**
+ * Vytvoří klienta HTTP API
+ * @param {string} baseUrl - Adresa Web UI/API
+ * @returns {Object} Klient (url, request, json)
+ */
+function createApiClient(baseUrl) {
+  const base = baseUrl.replace(/\/+$/, '');
+
+  const url = (pathname, query = {}) => {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(query)) {
+      if (value !== undefined && value !== '') params.set(key, value);
+    }
+    const search = params.toString();
+    return `${base}${pathname}${search ? `?${search}` : ''}`;
+  };
+
+  /**
+   * Pošle request, chybový status vyhodí jako Error se `status` (a `body` z JSON odpovědi)
+   * @returns {Promise<Response>}
+   */
+  const request = async (pathname, { query, ...init } = {}) => {
+    let response;
+    try {
+      response = await fetch(url(pathname, query), init);
+    } catch (error) {
+      throw new Error(`Cannot connect to MailRider at ${base} (${error.cause?.code || error.message})`);
+    }
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      const error = new Error(body.error || `HTTP ${response.status}`);
+      error.status = response.status;
+      error.body = body;
+      throw error;
+    }
+    return response;
+  };
+
+  return {
+    url,
+    request,
+    json: async (pathname, init) => (await request(pathname, init)).json(),
+  };
+}
+
+/**
+ * Naparsuje dobu trvání z argumentu (`30s`, `5m`, číslo = sekundy), neplatná hodnota je chyba volání
+ * @param {string} value
+ * @param {string} name - Název volby pro chybovou hlášku
+ * @returns {number} Sekundy
+ */
+function parseDurationOption(value, name) {
+  try {
+    return parseDuration(value, name);
+  } catch (error) {
+    throw usageError(error.message);
+  }
+}
+
+/**
+ * Převede --since (doba zpět, `5m`, `2h`) na unix timestamp v sekundách
+ * @param {string} value
+ * @returns {number|undefined}
+ */
+function parseSince(value) {
+  if (value === undefined) return undefined;
+  return Math.floor(Date.now() / 1000) - parseDurationOption(value, '--since');
+}
+
+/**
+ * Naformátuje unix timestamp (sekundy) jako `YYYY-MM-DD HH:MM` v lokálním čase
+ * @param {number} timestamp
+ * @returns {string}
+ */
+function formatTimestamp(timestamp) {
+  const date = new Date(timestamp * 1000);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Zkrátí / doplní text na pevnou šířku sloupce
+ * @param {string} value
+ * @param {number} width
+ * @returns {string}
+ */
+function column(value, width) {
+  const text = String(value || '').replace(/\s+/g, ' ');
+  return text.length > width ? `${text.slice(0, width - 1)}…` : text.padEnd(width);
+}
+
+/**
+ * Jeden řádek seznamu: nepřečtený (*), s hvězdičkou (!), s přílohou (@), datum, odesílatel, předmět, filename
+ * @param {Object} email - Položka z GET /api/emails
+ * @returns {string}
+ */
+function formatEmailLine(email) {
+  const flags = `${email.isRead ? ' ' : '*'}${email.isFlagged ? '!' : ' '}${email.attachmentCount > 0 ? '@' : ' '}`;
+  const folder = email.folder !== 'INBOX' ? `[${email.folder}] ` : '';
+  return `${flags} ${formatTimestamp(email.timestamp)}  ${column(email.from, 28)}  ${column(folder + (email.subject || '(No subject)'), 48)}  ${email.filename}`;
+}
+
+/**
+ * Tělo emailu bez koncových prázdných řádků (print přidá vlastní)
+ * @param {string} body
+ * @returns {string}
+ */
+function trimBody(body) {
+  return (body || '').replace(/\s+$/, '');
+}
+
+/**
+ * Hlavička a textové tělo emailu (výstup wait)
+ * @param {Object} email - Detail z GET /api/emails/:filename/full
+ * @returns {string}
+ */
+function formatEmail(email) {
+  const lines = [
+    `From:    ${email.from}`,
+    `To:      ${email.to}`,
+    email.cc ? `Cc:      ${email.cc}` : null,
+    `Subject: ${email.subject}`,
+    email.date ? `Date:    ${new Date(email.date).toString()}` : null,
+    `File:    ${email.filename} (${email.mailbox}/${email.folder})`,
+    email.attachments.length > 0 ? `Attach:  ${email.attachments.map(att => att.filename).join(', ')}` : null,
+  ].filter(line => line !== null);
+  return `${lines.join('\n')}\n\n${trimBody(email.textBody) || '(no text body)'}`;
+}
+
+/**
+ * Odpovídá položka seznamu filtru tailu? (podřetězec bez ohledu na velikost písmen, jako /api/emails/wait)
+ * @param {Object} email - Položka z eventu email.received
+ * @param {Object} filter - { mailbox, from, to, subject }
+ * @returns {boolean}
+ */
+function matchesTailFilter(email, filter) {
+  const envelope = email.envelope || {};
+  const contains = (haystack, needle) => !needle || haystack.toLowerCase().includes(needle.toLowerCase());
+
+  if (filter.mailbox && email.mailbox !== filter.mailbox) return false;
+  return contains(`${email.from || ''} ${envelope.mailFrom || ''}`, filter.from)
+    && contains(`${email.to || ''} ${(envelope.rcptTo || []).join(' ')}`, filter.to)
+    && contains(email.subject || '', filter.subject);
+}
+
+/**
+ * Přečte Server-Sent Events stream a volá onEvent pro každý event
+ * @param {Response} response - Odpověď GET /api/events
+ * @param {function(string, Object): void} onEvent - (typ, data)
+ * @returns {Promise<void>} Skončí se spojením
+ */
+async function readEventStream(response, onEvent) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+
+      let type = 'message';
+      const data = [];
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) type = line.slice(6).trim();
+        else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+      }
+      if (data.length > 0) onEvent(type, JSON.parse(data.join('\n')));
+    }
+  }
+}
+
+/**
+ * Zapíše tělo odpovědi po částech do souboru nebo na stdout - export se do paměti celý nenačítá
+ * @param {Response} response
+ * @param {string} output - Cesta k souboru, `-` = stdout
+ * @returns {Promise<void>} Při chybě se nedokončený soubor smaže
+ */
+async function saveResponseBody(response, output) {
+  const body = Readable.fromWeb(response.body);
+  if (output === '-') {
+    await pipeline(body, process.stdout, { end: false });
+    return;
+  }
+
+  try {
+    await pipeline(body, fs.createWriteStream(output));
+  } catch (error) {
+    fs.rmSync(output, { force: true });
+    throw error;
+  }
+}
+
+const print = text => process.stdout.write(`${text}\n`);
+const printJson = value => print(JSON.stringify(value, null, 2));
+
+const commands = {
+  async list(api, { values }) {
+    const result = await api.json('/api/emails', {
+      query: {
+        mailbox: values.mailbox,
+        folder: values.folder,
+        search: values.search,
+        sort: values.sort,
+        limit: values.limit,
+        offset: values.offset,
+        since: parseSince(values.since),
+      },
+    });
+    if (values.json) return printJson(result);
+
+    result.emails.forEach(email => print(formatEmailLine(email)));
+    const matching = result.filteredTotal ?? result.emails.length;
+    const more = result.hasMore ? ` (showing ${result.offset + 1}-${result.offset + result.emails.length}, use --offset for more)` : '';
+    print(`${matching} of ${result.total} emails${more}`);
+  },
+
+  async show(api, { values, positionals: [filename] }) {
+    if (!filename) throw usageError('show: missing <filename>');
+    const encoded = encodeURIComponent(filename);
+
+    if (values.raw) {
+      await saveResponseBody(await api.request(`/api/emails/${encoded}.eml`), '-');
+      return;
+    }
+
+    if (values.links) {
+      const result = await api.json(`/api/emails/${encoded}/links`);
+      if (values.json) return printJson(result);
+      result.links.forEach(link => print(link.text && link.text !== link.url ? `${link.url}  (${link.text})` : link.url));
+      return;
+    }
+
+    const email = await api.json(`/api/emails/${encoded}/full`);
+    if (values.json) return printJson(email);
+
+    if (values.headers) {
+      // Hlavičky přesně jak přišly (do prvního prázdného řádku)
+      const end = email.rawContent.search(/\r?\n\r?\n/);
+      print((end === -1 ? email.rawContent : email.rawContent.slice(0, end)).replace(/\r\n/g, '\n'));
+    } else if (values.html) {
+      print(trimBody(email.htmlBody) || '(no HTML body)');
+    } else {
+      print(trimBody(email.textBody) || '(no text body)');
+    }
+  },
+
+  async tail(api, { values }) {
+    const filter = { mailbox: values.mailbox, from: values.from, to: values.to, subject: values.subject };
+    const onEvent = (type, data) => {
+      if (type !== 'email.received' || !matchesTailFilter(data, filter)) return;
+      print(values.json ? JSON.stringify(data) : formatEmailLine(data));
+    };
+
+    // Běží do Ctrl+C, po výpadku spojení se znovu připojí
+    for (;;) {
+      try {
+        const response = await api.request('/api/events', { headers: { Accept: 'text/event-stream' } });
+        if (!values.json) process.stderr.write(`Waiting for new emails at ${api.url('')}...\n`);
+        await readEventStream(response, onEvent);
+        process.stderr.write('Connection closed, reconnecting...\n');
+      } catch (error) {
+        process.stderr.write(`${error.message}, reconnecting...\n`);
+      }
+      await new Promise(resolve => setTimeout(resolve, TAIL_RECONNECT_DELAY));
+    }
+  },
+
+  async wait(api, { values }) {
+    const timeout = parseDurationOption(values.timeout || '30s', '--timeout') * 1000;
+    try {
+      const email = await api.json('/api/emails/wait', {
+        query: {
+          mailbox: values.mailbox,
+          from: values.from,
+          to: values.to,
+          subject: values.subject,
+          since: parseSince(values.since),
+          timeout,
+        },
+      });
+      if (values.json) return printJson(email);
+      print(formatEmail(email));
+    } catch (error) {
+      if (error.status === 408) error.message = `Timed out after ${timeout / 1000}s waiting for email`;
+      throw error;
+    }
+  },
+
+  async clear(api, { values }) {
+    const result = await api.json('/api/emails/all', { method: 'DELETE' });
+    if (values.json) return printJson(result);
+    print(`Deleted ${result.deletedCount} emails`);
+  },
+
+  async import(api, { values, positionals: files }) {
+    if (files.length === 0) throw usageError('import: missing <file>');
+
+    const form = new FormData();
+    for (const file of files) {
+      form.append('emlFiles', new Blob([fs.readFileSync(file)]), path.basename(file));
+    }
+    if (values.mailbox) form.append('mailbox', values.mailbox);
+
+    const result = await api.json('/api/emails/import', { method: 'POST', body: form });
+    if (values.json) return printJson(result);
+
+    print(`Imported ${result.imported} of ${result.total} messages from ${result.files} files`);
+    result.errors.forEach(({ filename, error }) => process.stderr.write(`  ${filename}: ${error}\n`));
+    if (result.failed > 0) process.exitCode = 1;
+  },
+
+  async export(api, { values }) {
+    const response = await api.request('/api/emails/export', {
+      query: {
+        format: values.format || 'mbox',
+        mailbox: values.mailbox,
+        folder: values.folder,
+        search: values.search,
+      },
+    });
+    const count = response.headers.get('x-export-count');
+    const suggested = /filename="([^"]+)"/.exec(response.headers.get('content-disposition') || '')?.[1];
+    const output = values.output || suggested || `mailrider-export.${values.format || 'mbox'}`;
+
+    await saveResponseBody(response, output);
+    if (output === '-') return;
+
+    if (values.json) return printJson({ file: output, count: Number(count), size: fs.statSync(output).size });
+    print(`Exported ${count} emails to ${output}`);
+  },
+};
+
+/**
+ * Spustí CLI
+ * @param {Array<string>} argv - Argumenty bez `node` a cesty ke skriptu
+ * @returns {Promise<void>}
+ */
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw usageError(error.message);
+  }
+
+  const [command, ...positionals] = parsed.positionals;
+  if (parsed.values.help || !command || command === 'help') {
+    process.stdout.write(USAGE);
+    return;
+  }
+  if (!Object.hasOwn(commands, command)) throw usageError(`Unknown command "${command}"`);
+
+  const api = createApiClient(parsed.values.url || process.env.MAILRIDER_URL || DEFAULT_URL);
+  await commands[command](api, { values: parsed.values, positionals });
+}
+
+main(process.argv.slice(2)).catch((error) => {
+  process.stderr.write(`mailrider: ${error.message}\n`);
+  if (error.usage) process.stderr.write('Run "mailrider --help" for usage.\n');
+  process.exit(error.usage ? 2 : 1);
+});
@@ -0,0 +1,235 @@
+/**
+ * Kompatibilita HTML emailu s emailovými klienty
+ *
+ * Najde v HTML těle použité CSS vlastnosti, at-rules, pseudo-třídy a HTML elementy a porovná je
+ * s offline daty podpory (email-compatibility.json, zjednodušený snapshot caniemail.com).
+ *
+ * Formát dat - u každé feature jen klienti, kteří ji nepodporují úplně (chybějící klient = podporuje):
+ *   "css-display-grid": {
+ *     "title": "display: grid",
+ *     "match": { "property": "display", "value": "^(inline-)?grid$" },
+ *     "support": { "gmail": "n", "outlook-windows": "a" },        // n = nepodporuje, a = částečně
+ *     "notes": { "outlook-windows": "..." }
+ *   }
+ *
+ * match: property + value (obojí musí sedět na jednu deklaraci), atRule (`media`, `font-face`),
+ * pseudo (`hover`), elements (`["svg"]`).
+ *
+ * Závažnost:
+ * - high:   některý z hlavních klientů (majorClients) feature nepodporuje
+ * - medium: nepodporuje ji jiný klient, nebo ji hlavní klient podporuje jen částečně
+ * - low:    jen částečná podpora u ostatních klientů
+ */
+
+const defaultData = require('./email-compatibility.json');
+
+const SEVERITIES = ['high', 'medium', 'low'];
+
+/**
+ * Regex pro celý název vlastnosti / celou hodnotu (`display` nesmí trefit `xdisplay`)
+ * @param {string} pattern - Regex z dat (s nebo bez ^...$)
+ * @returns {RegExp}
+ */
+function compileExactPattern(pattern) {
+  return new RegExp(`^(?:${pattern.replace(/^\^/, '').replace(/\$$/, '')})$`, 'i');
+}
+
+/**
+ * Zkompiluje podmínky všech features z dat
+ * @param {Object} data - Data podpory
+ * @returns {Array<Object>}
+ */
+function compileFeatures(data) {
+  return Object.entries(data.features).map(([id, feature]) => {
+    const { match } = feature;
+    return {
+      id,
+      feature,
+      type: id.startsWith('html-') ? 'html' : 'css',
+      property: match.property ? compileExactPattern(match.property) : null,
+      value: match.value ? new RegExp(match.value, 'i') : null,
+      atRule: match.atRule || null,
+      pseudo: match.pseudo || null,
+      elements: match.elements || [],
+    };
+  });
+}
+
+/**
+ * Rozdělí CSS deklarace (`color: red; display: flex`) na { property, value }
+ * @param {string} css - Obsah bloku nebo style atributu
+ * @returns {Array<{property: string, value: string}>}
+ */
+function parseDeclarations(css) {
+  return css
+    .split(';')
+    .map(declaration => /^\s*(-{0,2}[a-zA-Z][-a-zA-Z0-9_]*)\s*:\s*([\s\S]+?)\s*$/.exec(declaration))
+    .filter(Boolean)
+    .map(([, property, value]) => ({
+      property: property.toLowerCase(),
+      value: value.replace(/\s*!important\s*$/i, ''),
+    }));
+}
+
+/**
+ * Najde v HTML použité CSS a elementy
+ * @param {string} html - HTML tělo emailu
+ * @returns {{declarations: Array<Object>, atRules: Array<string>, pseudos: Array<string>, elements: Array<string>}}
+ */
+function extractUsage(html) {
+  // Podmíněné komentáře (<!--[if mso]>) cílí na konkrétní klienty, do analýzy nepatří
+  const source = html.replace(/<!--[\s\S]*?-->/g, '');
+
+  const declarations = [];
+  const atRules = [];
+  const pseudos = [];
+  const elements = [];
+
+  // <style> bloky
+  for (const [, block] of source.matchAll(/<style\b[^>]*>([\s\S]*?)<\/style\s*>/gi)) {
+    const css = block.replace(/\/\*[\s\S]*?\*\//g, '');
+
+    for (const [, name] of css.matchAll(/@(?:-[a-z]+-)?([a-z-]+)/gi)) {
+      atRules.push(name.toLowerCase());
+    }
+    // Selektory (bez at-rule prelude) - pseudo-třídy, ne pseudo-elementy (::before)
+    for (const [, selector] of css.matchAll(/(?:^|[{}])\s*([^@{}][^{}]*)\{/g)) {
+      for (const [, pseudo] of selector.matchAll(/(?<!:):([a-z-]+)/gi)) {
+        pseudos.push(pseudo.toLowerCase());
+      }
+    }
+    for (const [, body] of css.matchAll(/\{([^{}]*)\}/g)) {
+      declarations.push(...parseDeclarations(body).map(declaration => ({ ...declaration, location: 'style' })));
+    }
+  }
+
+  // Elementy a inline style atributy (obsah <style> už je zpracovaný)
+  const markup = source.replace(/(<style\b[^>]*>)[\s\S]*?(<\/style\s*>)/gi, '$1$2');
+  for (const [, tagName, attributes = ''] of markup.matchAll(/<([a-zA-Z][a-zA-Z0-9-]*)(\s[^>]*)?>/g)) {
+    elements.push(tagName.toLowerCase());
+
+    const style = /\sstyle\s*=\s*(?:"([^"]*)"|'([^']*)')/i.exec(attributes);
+    if (style) {
+      const css = (style[1] ?? style[2]).replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&');
+      declarations.push(...parseDeclarations(css).map(declaration => ({ ...declaration, location: 'inline' })));
+    }
+  }
+
+  return { declarations, atRules, pseudos, elements };
+}
+
+/**
+ * Závažnost feature podle podpory v klientech
+ * @param {Object} support - { client: 'n' | 'a' }
+ * @param {Array<string>} majorClients
+ * @returns {string|null} high | medium | low | null (podporováno všude)
+ */
+function getSeverity(support, majorClients) {
+  const entries = Object.entries(support).filter(([, value]) => value === 'n' || value === 'a');
+  if (entries.length === 0) return null;
+
+  const isMajor = client => majorClients.includes(client);
+  if (entries.some(([client, value]) => value === 'n' && isMajor(client))) return 'high';
+  if (entries.some(([client, value]) => value === 'n' || isMajor(client))) return 'medium';
+  return 'low';
+}
+
+/**
+ * Analyzuje kompatibilitu HTML těla s emailovými klienty
+ * @param {string} html - HTML tělo emailu
+ * @param {Object} [data] - Data podpory (výchozí email-compatibility.json)
+ * @returns {Object} Report ({ source, updated, clients, summary, issues: { high, medium, low }, supported, unknownProperties })
+ */
+function analyzeCompatibility(html, data = defaultData) {
+  const usage = extractUsage(html || '');
+  const features = compileFeatures(data);
+  const knownProperties = new Set();
+
+  const issues = { high: [], medium: [], low: [] };
+  const supported = [];
+
+  for (const compiled of features) {
+    const locations = new Set();
+    let occurrences = 0;
+
+    if (compiled.property || compiled.value) {
+      for (const declaration of usage.declarations) {
+        if (compiled.property && !compiled.property.test(declaration.property)) continue;
+        if (compiled.value && !compiled.value.test(declaration.value)) continue;
+        occurrences++;
+        locations.add(declaration.location);
+      }
+    }
+    if (compiled.atRule) {
+      const count = usage.atRules.filter(name => name === compiled.atRule).length;
+      occurrences += count;
+      if (count) locations.add('style');
+    }
+    if (compiled.pseudo) {
+      const count = usage.pseudos.filter(name => name === compiled.pseudo).length;
+      occurrences += count;
+      if (count) locations.add('style');
+    }
+    if (compiled.elements.length > 0) {
+      const count = usage.elements.filter(name => compiled.elements.includes(name)).length;
+      occurrences += count;
+      if (count) locations.add('html');
+    }
+
+    // Vlastnosti pokryté nějakou feature (i bez vlastní hodnoty) nejsou "neznámé"
+    if (compiled.property) {
+      usage.declarations
+        .filter(declaration => compiled.property.test(declaration.property))
+        .forEach(declaration => knownProperties.add(declaration.property));
+    }
+
+    if (occurrences === 0) continue;
+
+    const { feature } = compiled;
+    const support = feature.support || {};
+    const notes = feature.notes || {};
+    const severity = getSeverity(support, data.majorClients);
+    const entry = { id: compiled.id, title: feature.title, type: compiled.type, occurrences, locations: [...locations] };
+
+    if (!severity) {
+      supported.push(entry);
+      continue;
+    }
+
+    const clientsWith = value => Object.keys(data.clients)
+      .filter(client => support[client] === value)
+      .map(client => ({ client, name: data.clients[client], ...(notes[client] && { note: notes[client] }) }));
+
+    issues[severity].push({ ...entry, unsupported: clientsWith('n'), partial: clientsWith('a') });
+  }
+
+  for (const severity of SEVERITIES) {
+    issues[severity].sort((a, b) =>
+      b.unsupported.length - a.unsupported.length || b.partial.length - a.partial.length || b.occurrences - a.occurrences);
+  }
+
+  // Prefixy (-webkit-, mso-) a custom properties se v datech nesledují
+  const unknownProperties = [...new Set(usage.declarations.map(declaration => declaration.property))]
+    .filter(property => !knownProperties.has(property) && !property.startsWith('-') && !property.startsWith('mso-'))
+    .sort();
+
+  return {
+    source: data.source,
+    updated: data.updated,
+    clients: data.clients,
+    summary: {
+      features: supported.length + SEVERITIES.reduce((sum, severity) => sum + issues[severity].length, 0),
+      high: issues.high.length,
+      medium: issues.medium.length,
+      low: issues.low.length,
+      supported: supported.length,
+    },
+    issues,
+    supported,
+    unknownProperties,
+  };
+}
+
+module.exports = {
+  analyzeCompatibility,
+};
@@ -0,0 +1,858 @@
+/**
+ * DKIM a ARC ověření zachycených emailů - bez DNS, veřejné klíče jsou lokálně
+ *
+ * Klíče (DKIM_KEYS_DIR) - jeden soubor na selektor, název `<selector>._domainkey.<domain>`
+ * s volitelnou příponou .txt / .pem / .pub / .key. Obsah je buď DNS TXT záznam
+ * (`v=DKIM1; k=rsa; p=MIIBIjAN...`, i ve formátu zone souboru), nebo PEM klíč. Stačí i privátní
+ * klíč, kterým aplikace podepisuje - veřejný klíč se z něj odvodí.
+ *
+ * DKIM_KEYS_FILE - JSON objekt se stejným obsahem: { "s1._domainkey.example.com": "v=DKIM1; p=..." }
+ *
+ * Výsledek každého podpisu: pass | fail | permerror | nokey, s konkrétními problémy
+ * (nesedí hash těla, změněné hlavičky, expirovaný podpis, ...).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const KEY_FILE_EXTENSIONS = /\.(txt|pem|pub|key)$/i;
+const ALGORITHMS = {
+  'rsa-sha256': { keyType: 'rsa', hash: 'sha256' },
+  'rsa-sha1': { keyType: 'rsa', hash: 'sha1' },
+  'ed25519-sha256': { keyType: 'ed25519', hash: 'sha256' },
+};
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+const MIN_RSA_BITS = 1024;
+const CLOCK_SKEW = 300; // s - tolerance pro t= v budoucnosti
+const MAX_ARC_INSTANCES = 50;
+const MAX_HEADER_SIZE = 1024 * 1024; // Delší blok hlaviček se ořízne (podpisy v něm neprojdou)
+
+/**
+ * Naparsuje tag-list (`a=rsa-sha256; d=example.com; ...`)
+ * @param {string} value - Hodnota hlavičky nebo DNS záznamu
+ * @returns {Object} tag -> hodnota
+ * @throws {Error} Duplicitní nebo neplatný tag
+ */
+function parseTagList(value) {
+  const tags = {};
+
+  for (const part of value.split(';')) {
+    if (!part.trim()) continue;
+    const match = /^\s*([a-zA-Z][a-zA-Z0-9_]*)\s*=([\s\S]*)$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid tag "${part.trim()}"`);
+    }
+    const name = match[1].toLowerCase();
+    if (name in tags) {
+      throw new Error(`Duplicate tag "${name}"`);
+    }
+    tags[name] = match[2].replace(/\r\n/g, '').trim();
+  }
+
+  return tags;
+}
+
+/**
+ * Vytvoří veřejný klíč z DNS TXT záznamu nebo PEM
+ * @param {string} content - Obsah souboru / hodnota z DKIM_KEYS_FILE
+ * @returns {{keyType: string, publicKey: KeyObject|null, revoked: boolean, hashes: Array<string>|null}}
+ */
+function parsePublicKey(content) {
+  const text = String(content).trim();
+
+  if (text.includes('-----BEGIN')) {
+    // Z privátního klíče createPublicKey odvodí veřejný
+    const publicKey = crypto.createPublicKey(text);
+    return { keyType: publicKey.asymmetricKeyType, publicKey, revoked: false, hashes: null };
+  }
+
+  // Zone soubor: `s1._domainkey IN TXT ( "v=DKIM1; k=rsa; " "p=MIIB..." )` - spojit řetězce v uvozovkách
+  const quoted = [...text.matchAll(/"((?:[^"\\]|\\.)*)"/g)].map(match => match[1]);
+  const record = parseTagList(quoted.length > 0 ? quoted.join('') : text);
+
+  if (record.v && record.v !== 'DKIM1') {
+    throw new Error(`Unsupported key record version "${record.v}"`);
+  }
+  if (!('p' in record)) {
+    throw new Error('Key record has no p= tag');
+  }
+
+  const keyType = (record.k || 'rsa').toLowerCase();
+  const hashes = record.h ? record.h.split(':').map(hash => hash.trim().toLowerCase()) : null;
+  const data = record.p.replace(/\s+/g, '');
+  if (!data) {
+    return { keyType, publicKey: null, revoked: true, hashes };
+  }
+
+  const der = Buffer.from(data, 'base64');
+  let publicKey;
+  if (keyType === 'ed25519') {
+    publicKey = crypto.createPublicKey({ key: Buffer.concat([ED25519_SPKI_PREFIX, der]), format: 'der', type: 'spki' });
+  } else if (keyType === 'rsa') {
+    try {
+      publicKey = crypto.createPublicKey({ key: der, format: 'der', type: 'spki' });
+    } catch {
+      // Některé záznamy obsahují holý RSAPublicKey (PKCS#1)
+      publicKey = crypto.createPublicKey({ key: der, format: 'der', type: 'pkcs1' });
+    }
+  } else {
+    throw new Error(`Unsupported key type "${keyType}"`);
+  }
+
+  return { keyType, publicKey, revoked: false, hashes };
+}
+
+/**
+ * Načte klíč a zachytí chybu (neplatný klíč se hlásí u podpisu, ne při startu)
+ * @param {string} name - `<selector>._domainkey.<domain>`
+ * @param {string} content
+ * @param {string} source - Odkud klíč je (pro API)
+ * @returns {Object}
+ */
+function createKeyEntry(name, content, source) {
+  try {
+    return { name, source, error: null, ...parsePublicKey(content) };
+  } catch (error) {
+    return { name, source, error: error.message, keyType: null, publicKey: null, revoked: false, hashes: null };
+  }
+}
+
+/**
+ * Načte veřejné klíče z adresáře a/nebo JSON souboru
+ * @param {Object} options
+ * @param {string} [options.dir] - Adresář s klíči (neexistující = žádné klíče)
+ * @param {string} [options.file] - JSON soubor { name: record }
+ * @returns {Promise<Map<string, Object>>} name -> klíč
+ */
+async function loadDkimKeys({ dir, file }) {
+  const keys = new Map();
+
+  if (dir) {
+    let files = [];
+    try {
+      files = await fs.readdir(dir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    for (const entry of files.sort()) {
+      const name = entry.replace(KEY_FILE_EXTENSIONS, '').toLowerCase();
+      if (!name.includes('._domainkey.')) continue;
+
+      const filePath = path.join(dir, entry);
+      const stats = await fs.stat(filePath);
+      if (!stats.isFile()) continue;
+
+      keys.set(name, createKeyEntry(name, await fs.readFile(filePath, 'utf-8'), filePath));
+    }
+  }
+
+  if (file) {
+    const records = JSON.parse(await fs.readFile(file, 'utf-8'));
+    if (!records || typeof records !== 'object' || Array.isArray(records)) {
+      throw new Error('DKIM keys file must be a JSON object { "selector._domainkey.domain": "record" }');
+    }
+    for (const [name, record] of Object.entries(records)) {
+      keys.set(name.toLowerCase(), createKeyEntry(name.toLowerCase(), record, file));
+    }
+  }
+
+  return keys;
+}
+
+/**
+ * Rozdělí blok hlaviček na jednotlivé hlavičky
+ * @param {string} headerBlock - Hlavičky (latin1, konce řádků CRLF)
+ * @returns {Array<{name: string, key: string, raw: string}>}
+ */
+function parseHeaderFields(headerBlock) {
+  // Pokračovací řádky (začínají mezerou/tabem) patří k předchozí hlavičce
+  const fields = [];
+  for (const line of headerBlock.split(/(?<=\r\n)/)) {
+    if (/^[ \t]/.test(line) && fields.length > 0) {
+      fields[fields.length - 1].raw += line;
+      continue;
+    }
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+    const name = line.slice(0, colon).trim();
+    fields.push({ name, key: name.toLowerCase(), raw: line });
+  }
+
+  return fields;
+}
+
+/**
+ * Kanonizace hlavičky (RFC 6376, 3.4.1 a 3.4.2)
+ * @param {string} raw - Celá hlavička včetně CRLF
+ * @param {string} method - simple | relaxed
+ * @returns {string}
+ */
+function canonicalizeHeader(raw, method) {
+  if (method === 'simple') return raw;
+
+  const colon = raw.indexOf(':');
+  const name = raw.slice(0, colon).trim().toLowerCase();
+  const value = raw.slice(colon + 1).replace(/\r\n/g, '').replace(/[ \t]+/g, ' ').trim();
+  return `${name}:${value}\r\n`;
+}
+
+/**
+ * Průběžný hash kanonizovaného těla (RFC 6376, 3.4.3 a 3.4.4) - tělo dostává po řádcích
+ *
+ * Prázdné řádky se odloží, dokud nepřijde další neprázdný - prázdné řádky na konci těla se nepočítají.
+ *
+ * @param {string} method - simple | relaxed
+ * @param {string} hash - sha256 | sha1
+ * @param {number|null} limit - l= (hashuje se jen prvních limit bajtů)
+ * @returns {{line: function(string): void, end: function(): {hash: string, length: number}}}
+ */
+function createBodyHash(method, hash, limit) {
+  const hasher = crypto.createHash(hash);
+  let length = 0; // Délka celého kanonizovaného těla (l= se porovnává s ní)
+  let emptyLines = 0;
+
+  const write = (data) => {
+    if (limit === null) hasher.update(data, 'latin1');
+    else if (length < limit) hasher.update(data.slice(0, limit - length), 'latin1');
+    length += data.length;
+  };
+
+  return {
+    line(text) {
+      const line = method === 'relaxed' ? text.replace(/[ \t]+$/, '').replace(/[ \t]+/g, ' ') : text;
+      if (!line) {
+        emptyLines++;
+        return;
+      }
+      write(`${'\r\n'.repeat(emptyLines)}${line}\r\n`);
+      emptyLines = 0;
+    },
+
+    end() {
+      // Prázdné tělo je v simple kanonizaci jeden CRLF
+      if (method === 'simple' && length === 0) write('\r\n');
+      return { hash: hasher.digest('base64'), length };
+    },
+  };
+}
+
+/**
+ * Parametry hashe těla z hlavičky podpisu (null = neplatný podpis, ohlásí ho až ověření)
+ * @param {Object} field - DKIM-Signature nebo ARC-Message-Signature
+ * @returns {string|null} Klíč pro bodyHashKey
+ */
+function getBodyHashKey(field) {
+  let tags;
+  try {
+    tags = parseTagList(field.raw.slice(field.raw.indexOf(':') + 1));
+  } catch {
+    return null;
+  }
+
+  const algorithm = ALGORITHMS[(tags.a || '').toLowerCase()];
+  const [, method = 'simple'] = (tags.c || 'simple/simple').toLowerCase().split('/');
+  if (!algorithm || !['simple', 'relaxed'].includes(method)) return null;
+  if (tags.l !== undefined && !/^\d+$/.test(tags.l)) return null;
+
+  return bodyHashKey(method, algorithm.hash, tags.l !== undefined ? Number(tags.l) : null);
+}
+
+/**
+ * @param {string} method - Kanonizace těla
+ * @param {string} hash
+ * @param {number|null} length - l=
+ * @returns {string}
+ */
+function bodyHashKey(method, hash, length) {
+  return `${method}/${hash}/${length ?? ''}`;
+}
+
+/**
+ * Průběžně čte email pro ověření podpisů - drží jen hlavičky, tělo se rovnou hashuje
+ *
+ * Tělo se hashuje jen pro kombinace kanonizace / hashe / l= z DKIM-Signature a ARC-Message-Signature.
+ * Email bez podpisů je hotový hned po hlavičkách (`complete`), zbytek se nemusí číst.
+ *
+ * @returns {Object} Digest (update, digest, complete)
+ */
+function createDkimDigest() {
+  let header = '';
+  let inHeader = true;
+  let partial = []; // Kusy neúplného řádku z předchozích chunků
+  let fields = null;
+  const bodyHashes = new Map(); // bodyHashKey -> createBodyHash
+
+  const finishHeader = () => {
+    inHeader = false;
+    fields = parseHeaderFields(header);
+    header = '';
+
+    for (const field of fields) {
+      if (field.key !== 'dkim-signature' && field.key !== 'arc-message-signature') continue;
+      const key = getBodyHashKey(field);
+      if (key && !bodyHashes.has(key)) {
+        const [method, hash, length] = key.split('/');
+        bodyHashes.set(key, createBodyHash(method, hash, length ? Number(length) : null));
+      }
+    }
+  };
+
+  // Řádek bez LF - konec řádku CRLF i holé LF se kanonizuje na CRLF
+  const line = (text) => {
+    const content = text.endsWith('\r') ? text.slice(0, -1) : text;
+    if (!inHeader) {
+      bodyHashes.forEach(body => body.line(content));
+    } else if (!content) {
+      finishHeader();
+    } else if (header.length < MAX_HEADER_SIZE) {
+      header += `${content}\r\n`;
+    }
+  };
+
+  return {
+    /**
+     * Hlavičky jsou načtené a tělo není potřeba (email bez podpisů)
+     */
+    get complete() {
+      return !inHeader && bodyHashes.size === 0;
+    },
+
+    /**
+     * @param {Buffer} chunk - Další část raw emailu
+     */
+    update(chunk) {
+      if (this.complete) return;
+
+      let start = 0;
+      let end;
+      while ((end = chunk.indexOf(0x0a, start)) !== -1) {
+        partial.push(chunk.subarray(start, end));
+        line(Buffer.concat(partial).toString('latin1'));
+        partial = [];
+        start = end + 1;
+      }
+      if (start < chunk.length) partial.push(chunk.subarray(start));
+    },
+
+    /**
+     * Dokončí čtení (poslední řádek bez konce řádku)
+     * @returns {{fields: Array<Object>, bodyHashes: Map<string, {hash: string, length: number}>, signed: boolean}}
+     */
+    digest() {
+      const last = Buffer.concat(partial).toString('latin1');
+      partial = [];
+
+      // Email bez prázdného řádku je celý hlavička
+      if (inHeader) {
+        if (header.length < MAX_HEADER_SIZE) header += last;
+        finishHeader();
+      } else if (last) {
+        bodyHashes.forEach(body => body.line(last));
+      }
+
+      return {
+        fields,
+        bodyHashes: new Map([...bodyHashes].map(([key, body]) => [key, body.end()])),
+        signed: fields.some(field => field.key === 'dkim-signature'),
+      };
+    },
+  };
+}
+
+/**
+ * Digest celého emailu v bufferu
+ * @param {Buffer} raw
+ * @returns {Object} Výsledek createDkimDigest().digest()
+ */
+function digestMessage(raw) {
+  const digest = createDkimDigest();
+  digest.update(raw);
+  return digest.digest();
+}
+
+/**
+ * Hlavička podpisu s prázdnou hodnotou b= (podpis se počítá bez sebe sama)
+ * @param {string} raw
+ * @returns {string}
+ */
+function stripSignatureValue(raw) {
+  const colon = raw.indexOf(':');
+  const value = raw.slice(colon + 1).replace(/(^|;)(\s*b\s*=)[^;]*/i, '$1$2');
+  return raw.slice(0, colon + 1) + value;
+}
+
+/**
+ * Data, která podpis pokrývá: podepsané hlavičky (zdola nahoru) + vlastní hlavička bez b=
+ * @param {Array<Object>} fields - Hlavičky emailu
+ * @param {Array<string>} signedHeaders - h= (lowercase)
+ * @param {Object} signatureField - Hlavička podpisu
+ * @param {string} method - Kanonizace hlaviček
+ * @returns {string}
+ */
+function buildSignedHeaderData(fields, signedHeaders, signatureField, method) {
+  const remaining = new Map();
+  for (const field of fields) {
+    if (field === signatureField) continue;
+    if (!remaining.has(field.key)) remaining.set(field.key, []);
+    remaining.get(field.key).push(field);
+  }
+
+  let data = '';
+  for (const name of signedHeaders) {
+    const instances = remaining.get(name);
+    // Chybějící (nebo už použitá) hlavička se podepisuje jako prázdná - přeskočí se
+    if (instances && instances.length > 0) {
+      data += canonicalizeHeader(instances.pop().raw, method);
+    }
+  }
+
+  return data + canonicalizeHeader(stripSignatureValue(signatureField.raw), method).replace(/\r\n$/, '');
+}
+
+/**
+ * Ověří kryptografický podpis
+ * @param {string} algorithm - rsa-sha256 | rsa-sha1 | ed25519-sha256
+ * @param {string} data - Kanonizovaná data (latin1)
+ * @param {KeyObject} publicKey
+ * @param {Buffer} signature
+ * @returns {boolean}
+ */
+function verifySignature(algorithm, data, publicKey, signature) {
+  const { keyType, hash } = ALGORITHMS[algorithm];
+  const buffer = Buffer.from(data, 'latin1');
+
+  try {
+    if (keyType === 'ed25519') {
+      // RFC 8463 - Ed25519 podepisuje SHA-256 hash dat
+      return crypto.verify(null, crypto.createHash('sha256').update(buffer).digest(), publicKey, signature);
+    }
+    return crypto.verify(hash, buffer, publicKey, signature);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Najde klíč podle selektoru a domény a ověří, že jde použít pro daný algoritmus
+ * @param {Map<string, Object>} keys
+ * @param {string} selector
+ * @param {string} domain
+ * @param {string} algorithm
+ * @returns {{key: Object|null, problem: Object|null, result: string|null}}
+ */
+function resolveKey(keys, selector, domain, algorithm) {
+  const name = `${selector}._domainkey.${domain}`.toLowerCase();
+  const key = keys.get(name);
+
+  if (!key) {
+    return { key: null, result: 'nokey', problem: { code: 'no-key', message: `No public key for ${name} (add it to DKIM_KEYS_DIR)` } };
+  }
+  if (key.error) {
+    return { key, result: 'permerror', problem: { code: 'key-invalid', message: `Invalid key ${name}: ${key.error}` } };
+  }
+  if (key.revoked) {
+    return { key, result: 'permerror', problem: { code: 'key-revoked', message: `Key ${name} is revoked (empty p=)` } };
+  }
+
+  const { keyType, hash } = ALGORITHMS[algorithm];
+  if (key.keyType !== keyType) {
+    return { key, result: 'permerror', problem: { code: 'key-type-mismatch', message: `Signature uses ${algorithm} but key ${name} is ${key.keyType}` } };
+  }
+  if (key.hashes && !key.hashes.includes(hash)) {
+    return { key, result: 'permerror', problem: { code: 'key-hash-not-allowed', message: `Key ${name} does not allow ${hash} (h=${key.hashes.join(':')})` } };
+  }
+
+  return { key, result: null, problem: null };
+}
+
+/**
+ * Ověří jeden DKIM-Signature (nebo ARC-Message-Signature)
+ * @param {Object} message - Z createDkimDigest
+ * @param {Object} field - Hlavička podpisu
+ * @param {Map<string, Object>} keys
+ * @param {number} now - Unix timestamp v sekundách
+ * @param {boolean} [isArc] - ARC-Message-Signature (bez v=, h= nesmí obsahovat arc-seal)
+ * @returns {Object} Výsledek podpisu
+ */
+function verifyMessageSignature(message, field, keys, now, isArc = false) {
+  const problems = [];
+  const warnings = [];
+  const report = {
+    domain: null,
+    selector: null,
+    algorithm: null,
+    canonicalization: null,
+    signedHeaders: [],
+    identity: null,
+    timestamp: null,
+    expiration: null,
+    bodyLength: null,
+    key: null,
+    bodyHash: null,
+    signatureValid: null,
+    result: 'permerror',
+    problems,
+    warnings,
+  };
+  const permerror = (code, message) => {
+    problems.push({ code, message });
+    return report;
+  };
+
+  let tags;
+  try {
+    tags = parseTagList(field.raw.slice(field.raw.indexOf(':') + 1));
+  } catch (error) {
+    return permerror('malformed', error.message);
+  }
+
+  report.domain = tags.d ? tags.d.toLowerCase() : null;
+  report.selector = tags.s || null;
+  report.algorithm = tags.a ? tags.a.toLowerCase() : null;
+  report.identity = tags.i || null;
+  report.signedHeaders = (tags.h || '').split(':').map(name => name.trim().toLowerCase()).filter(Boolean);
+
+  const required = isArc ? ['i', 'a', 'b', 'bh', 'd', 'h', 's'] : ['v', 'a', 'b', 'bh', 'd', 'h', 's'];
+  const missing = required.filter(tag => !tags[tag]);
+  if (missing.length > 0) {
+    return permerror('malformed', `Missing required tags: ${missing.join(', ')}`);
+  }
+  if (!isArc && tags.v !== '1') {
+    return permerror('malformed', `Unsupported version v=${tags.v}`);
+  }
+  if (!ALGORITHMS[report.algorithm]) {
+    return permerror('unsupported-algorithm', `Unsupported algorithm a=${tags.a}`);
+  }
+
+  const [headerMethod, bodyMethod = 'simple'] = (tags.c || 'simple/simple').toLowerCase().split('/');
+  report.canonicalization = { header: headerMethod, body: bodyMethod };
+  if (!['simple', 'relaxed'].includes(headerMethod) || !['simple', 'relaxed'].includes(bodyMethod)) {
+    return permerror('malformed', `Unsupported canonicalization c=${tags.c}`);
+  }
+
+  if (!report.signedHeaders.includes('from')) {
+    return permerror('from-not-signed', 'From header is not signed (h= must include from)');
+  }
+  if (isArc && report.signedHeaders.includes('arc-seal')) {
+    return permerror('malformed', 'ARC-Message-Signature must not sign ARC-Seal');
+  }
+  if (!isArc && report.identity) {
+    const identityDomain = report.identity.split('@').pop().toLowerCase();
+    if (identityDomain !== report.domain && !identityDomain.endsWith(`.${report.domain}`)) {
+      return permerror('identity-mismatch', `Identity i=${report.identity} is not in domain d=${report.domain}`);
+    }
+  }
+
+  const numeric = ['t', 'x', 'l'].filter(tag => tags[tag] !== undefined && !/^\d+$/.test(tags[tag]));
+  if (numeric.length > 0) {
+    return permerror('malformed', `Tags ${numeric.join(', ')} must be numbers`);
+  }
+
+  // Časové značky
+  const timestamp = tags.t ? Number(tags.t) : null;
+  const expiration = tags.x ? Number(tags.x) : null;
+  report.timestamp = timestamp !== null ? new Date(timestamp * 1000).toISOString() : null;
+  report.expiration = expiration !== null ? new Date(expiration * 1000).toISOString() : null;
+  if (timestamp !== null && expiration !== null && expiration < timestamp) {
+    return permerror('malformed', 'Expiration x= is before timestamp t=');
+  }
+  if (timestamp !== null && timestamp > now + CLOCK_SKEW) {
+    warnings.push({ code: 'timestamp-in-future', message: `Signature timestamp ${report.timestamp} is in the future` });
+  }
+
+  // Tělo
+  const { hash } = ALGORITHMS[report.algorithm];
+  const bodyLength = tags.l !== undefined ? Number(tags.l) : null;
+  report.bodyLength = bodyLength;
+  const body = message.bodyHashes.get(bodyHashKey(bodyMethod, hash, bodyLength));
+  if (!body) {
+    return permerror('malformed', 'Signature header was not read (header block too large)');
+  }
+  if (bodyLength !== null) {
+    if (bodyLength > body.length) {
+      problems.push({ code: 'body-truncated', message: `Body is shorter than the signed length l=${bodyLength}` });
+    } else if (bodyLength < body.length) {
+      warnings.push({ code: 'body-length-limit', message: `Only the first ${bodyLength} bytes of the body are signed (l=); content after them is unverified` });
+    }
+  }
+
+  const expectedBodyHash = tags.bh.replace(/\s+/g, '');
+  report.bodyHash = { expected: expectedBodyHash, computed: body.hash, match: expectedBodyHash === body.hash };
+
+  if (!report.bodyHash.match) {
+    problems.push({ code: 'body-hash-mismatch', message: 'Body hash mismatch: the body was modified after signing' });
+    if (bodyMethod === 'simple') {
+      warnings.push({ code: 'simple-body-canonicalization', message: 'Simple body canonicalization breaks on any whitespace or line-length change (c=.../relaxed is more robust)' });
+    }
+  }
+
+  // Hlavičky a podpis
+  const { key, result: keyResult, problem: keyProblem } = resolveKey(keys, report.selector, report.domain, report.algorithm);
+  report.key = key ? { name: key.name, source: key.source } : { name: `${report.selector}._domainkey.${report.domain}`, source: null };
+  if (keyProblem) {
+    problems.push(keyProblem);
+    report.result = report.bodyHash.match ? keyResult : 'fail';
+    return report;
+  }
+
+  if (key.keyType === 'rsa' && key.publicKey.asymmetricKeyDetails?.modulusLength < MIN_RSA_BITS) {
+    warnings.push({ code: 'weak-key', message: `RSA key has only ${key.publicKey.asymmetricKeyDetails.modulusLength} bits` });
+  }
+
+  const signature = Buffer.from(tags.b.replace(/\s+/g, ''), 'base64');
+  const headerData = buildSignedHeaderData(message.fields, report.signedHeaders, field, headerMethod);
+  report.signatureValid = verifySignature(report.algorithm, headerData, key.publicKey, signature);
+
+  if (!report.signatureValid) {
+    problems.push({ code: 'header-signature-mismatch', message: 'Header signature mismatch: a signed header was modified or the message was signed with a different key' });
+
+    // Nápovědy k hlavičkám - co se mohlo po podpisu změnit
+    if (headerMethod === 'simple') {
+      warnings.push({ code: 'simple-header-canonicalization', message: 'Simple header canonicalization breaks when headers are refolded or their whitespace or case changes (c=relaxed/... is more robust)' });
+    }
+    const signedCounts = new Map();
+    report.signedHeaders.forEach(name => signedCounts.set(name, (signedCounts.get(name) || 0) + 1));
+    const countInMessage = name => message.fields.filter(other => other.key === name && other !== field).length;
+
+    // Hlavička přidaná po podpisu se stejným názvem (např. druhý Subject) změní, která instance se ověřuje
+    const extra = [...signedCounts.keys()].filter(name => countInMessage(name) > signedCounts.get(name));
+    if (extra.length > 0) {
+      warnings.push({ code: 'unsigned-header-instance', message: `More instances than signed of: ${extra.join(', ')} (a header may have been added after signing)` });
+    }
+    const absent = [...signedCounts.keys()].filter(name => countInMessage(name) === 0);
+    if (absent.length > 0) {
+      warnings.push({ code: 'signed-header-missing', message: `Signed headers not present in the message: ${absent.join(', ')} (removed after signing, or intentionally over-signed)` });
+    }
+  }
+
+  if (expiration !== null && expiration < now) {
+    problems.push({ code: 'signature-expired', message: `Signature expired at ${report.expiration}` });
+  }
+
+  report.result = problems.length === 0 ? 'pass' : 'fail';
+  return report;
+}
+
+/**
+ * Instance (i=) ARC hlavičky
+ * @param {Object} field
+ * @returns {number|null}
+ */
+function getArcInstance(field) {
+  const match = /^[^:]*:\s*i\s*=\s*(\d+)/i.exec(field.raw) || /[:;]\s*i\s*=\s*(\d+)/i.exec(field.raw);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Ověří ARC řetězec (RFC 8617)
+ * @param {Object} message - Z createDkimDigest
+ * @param {Map<string, Object>} keys
+ * @param {number} now
+ * @returns {Object} { result: none | pass | fail, instances, reason, sets }
+ */
+function verifyArcChain(message, keys, now) {
+  const arcFields = {
+    'arc-seal': [],
+    'arc-message-signature': [],
+    'arc-authentication-results': [],
+  };
+  for (const field of message.fields) {
+    if (arcFields[field.key]) arcFields[field.key].push(field);
+  }
+
+  const total = Object.values(arcFields).reduce((sum, fields) => sum + fields.length, 0);
+  if (total === 0) {
+    return { result: 'none', instances: 0, reason: null, sets: [] };
+  }
+
+  const fail = (reason, sets = []) => ({ result: 'fail', instances: sets.length, reason, sets });
+
+  // Sety podle i= - každá instance 1..N musí mít právě jednu hlavičku od každého typu
+  const sets = new Map();
+  for (const [type, fields] of Object.entries(arcFields)) {
+    for (const field of fields) {
+      const instance = getArcInstance(field);
+      if (!instance || instance > MAX_ARC_INSTANCES) {
+        return fail(`Invalid instance i= in ${field.name}`);
+      }
+      if (!sets.has(instance)) sets.set(instance, {});
+      if (sets.get(instance)[type]) {
+        return fail(`Duplicate ${field.name} for i=${instance}`);
+      }
+      sets.get(instance)[type] = field;
+    }
+  }
+
+  const count = Math.max(...sets.keys());
+  for (let instance = 1; instance <= count; instance++) {
+    const set = sets.get(instance);
+    const missing = Object.keys(arcFields).filter(type => !set || !set[type]);
+    if (missing.length > 0) {
+      return fail(`ARC set i=${instance} is incomplete (missing ${missing.join(', ')})`);
+    }
+  }
+
+  const reports = [];
+  let reason = null;
+
+  for (let instance = 1; instance <= count; instance++) {
+    const set = sets.get(instance);
+    let sealTags;
+    try {
+      sealTags = parseTagList(set['arc-seal'].raw.slice(set['arc-seal'].raw.indexOf(':') + 1));
+    } catch (error) {
+      return fail(`ARC-Seal i=${instance}: ${error.message}`);
+    }
+
+    const cv = (sealTags.cv || '').toLowerCase();
+    const messageSignature = verifyMessageSignature(message, set['arc-message-signature'], keys, now, true);
+    const seal = { domain: sealTags.d || null, selector: sealTags.s || null, algorithm: (sealTags.a || '').toLowerCase() || null, result: 'fail', problems: [] };
+
+    // ARC-Seal podepisuje všechny sety 1..i (AAR, AMS, AS) v relaxed kanonizaci, vlastní AS bez b=
+    if (!ALGORITHMS[seal.algorithm] || !sealTags.b || !seal.domain || !seal.selector) {
+      seal.result = 'permerror';
+      seal.problems.push({ code: 'malformed', message: 'ARC-Seal is missing a, b, d or s, or uses an unsupported algorithm' });
+    } else {
+      const { key, result: keyResult, problem } = resolveKey(keys, seal.selector, seal.domain, seal.algorithm);
+      if (problem) {
+        seal.result = keyResult;
+        seal.problems.push(problem);
+      } else {
+        let data = '';
+        for (let previous = 1; previous <= instance; previous++) {
+          const previousSet = sets.get(previous);
+          data += canonicalizeHeader(previousSet['arc-authentication-results'].raw, 'relaxed');
+          data += canonicalizeHeader(previousSet['arc-message-signature'].raw, 'relaxed');
+          data += previous === instance
+            ? canonicalizeHeader(stripSignatureValue(previousSet['arc-seal'].raw), 'relaxed').replace(/\r\n$/, '')
+            : canonicalizeHeader(previousSet['arc-seal'].raw, 'relaxed');
+        }
+        const valid = verifySignature(seal.algorithm, data, key.publicKey, Buffer.from(sealTags.b.replace(/\s+/g, ''), 'base64'));
+        seal.result = valid ? 'pass' : 'fail';
+        if (!valid) seal.problems.push({ code: 'seal-signature-mismatch', message: 'ARC-Seal signature does not verify' });
+      }
+    }
+
+    reports.push({ instance, cv, seal, messageSignature });
+
+    const expectedCv = instance === 1 ? 'none' : 'pass';
+    if (!reason && cv !== expectedCv) {
+      reason = cv === 'fail'
+        ? `Chain was already marked as failed at i=${instance} (cv=fail)`
+        : `ARC-Seal i=${instance} has cv=${cv || '(missing)'}, expected cv=${expectedCv}`;
+    }
+    if (!reason && seal.result !== 'pass') {
+      reason = `ARC-Seal i=${instance}: ${seal.problems.map(problem => problem.message).join('; ')}`;
+    }
+  }
+
+  // Musí sedět jen nejnovější ARC-Message-Signature - starší už mohly rozbít pozdější úpravy
+  const latest = reports[reports.length - 1].messageSignature;
+  if (!reason && latest.result !== 'pass') {
+    reason = `ARC-Message-Signature i=${count}: ${latest.problems.map(problem => problem.message).join('; ')}`;
+  }
+
+  return { result: reason ? 'fail' : 'pass', instances: count, reason, sets: reports };
+}
+
+/**
+ * Celkový výsledek pro seznam emailů
+ * @param {Array<Object>} signatures
+ * @returns {string|null} null = bez podpisu
+ */
+function summarizeResults(signatures) {
+  if (signatures.length === 0) return null;
+  if (signatures.some(signature => signature.result === 'fail' || signature.result === 'permerror')) return 'fail';
+  if (signatures.some(signature => signature.result === 'nokey')) return 'nokey';
+  return 'pass';
+}
+
+/**
+ * Vytvoří DKIM verifier s lokálními klíči
+ * @returns {Object} Verifier (keysetId, getKeys, setKeys, verify, summarize)
+ */
+function createDkimVerifier() {
+  let keys = new Map();
+  let keysetId = 'empty';
+
+  return {
+    /**
+     * Otisk aktuální sady klíčů - uložené výsledky s jiným otiskem se ověří znovu
+     */
+    get keysetId() {
+      return keysetId;
+    },
+
+    /**
+     * Klíče pro API (bez obsahu)
+     */
+    getKeys() {
+      return [...keys.values()].map(key => ({
+        name: key.name,
+        source: key.source,
+        keyType: key.keyType,
+        revoked: key.revoked,
+        error: key.error,
+      }));
+    },
+
+    /**
+     * Nahradí sadu klíčů (z loadDkimKeys)
+     * @param {Map<string, Object>} nextKeys
+     */
+    setKeys(nextKeys) {
+      keys = nextKeys;
+      const fingerprint = crypto.createHash('sha1');
+      for (const key of [...keys.values()].sort((a, b) => a.name.localeCompare(b.name))) {
+        fingerprint.update(`${key.name}\n`);
+        fingerprint.update(key.publicKey ? key.publicKey.export({ type: 'spki', format: 'der' }) : String(key.error));
+      }
+      keysetId = keys.size > 0 ? fingerprint.digest('hex').slice(0, 12) : 'empty';
+      return this.getKeys();
+    },
+
+    /**
+     * Ověří všechny DKIM podpisy a ARC řetězec emailu
+     * @param {Buffer|Object} raw - Celý email, nebo výsledek createDkimDigest().digest()
+     * @param {number} [now] - Unix timestamp v ms (výchozí teď)
+     * @returns {{result: string|null, signatures: Array<Object>, arc: Object}}
+     */
+    verify(raw, now = Date.now()) {
+      const message = Buffer.isBuffer(raw) ? digestMessage(raw) : raw;
+      const seconds = Math.floor(now / 1000);
+
+      const signatures = message.fields
+        .filter(field => field.key === 'dkim-signature')
+        .map((field, index) => ({ index, ...verifyMessageSignature(message, field, keys, seconds) }));
+
+      return {
+        result: summarizeResults(signatures),
+        signatures,
+        arc: verifyArcChain(message, keys, seconds),
+      };
+    },
+
+    /**
+     * Krátké shrnutí pro cache a seznam emailů
+     * @param {Object} verification - Výsledek verify
+     * @returns {Object|null} { result, signatures: [{ domain, selector, result }], keyset }
+     */
+    summarize(verification) {
+      if (!verification.result) return null;
+      return {
+        result: verification.result,
+        signatures: verification.signatures.map(({ domain, selector, result }) => ({ domain, selector, result })),
+        keyset: keysetId,
+      };
+    },
+  };
+}
+
+module.exports = {
+  createDkimDigest,
+  createDkimVerifier,
+  digestMessage,
+  loadDkimKeys,
+};
@@ -0,0 +1,254 @@
+/**
+ * Fault injection - simulace chyb SMTP serveru pro testování klientů
+ *
+ * Pravidla (JSON soubor SMTP_FAULTS_FILE nebo /api/faults) se vyhodnocují v pořadí,
+ * první spuštěné pravidlo vyhrává:
+ *   [
+ *     { "id": "blocked", "stage": "rcpt", "match": { "recipient": "blocked@*" }, "action": "reject", "code": 550, "message": "Mailbox unavailable" },
+ *     { "id": "flaky", "stage": "eod", "action": "reject", "code": 451, "probability": 30 },
+ *     { "id": "slow", "stage": "data", "action": "delay", "delayMs": 5000 },
+ *     { "id": "big", "stage": "eod", "match": { "minSize": 1048576 }, "action": "drop" }
+ *   ]
+ *
+ * Fáze (stage):
+ * - rcpt: RCPT TO, odmítne jen daného příjemce
+ * - data: začátek DATA (před čtením těla), odmítne celou zprávu
+ * - eod:  konec DATA (celá zpráva přijata), lze filtrovat i podle předmětu
+ *
+ * Akce (action):
+ * - reject: odpoví zvoleným kódem a textem (4xx = dočasná, 5xx = trvalá chyba)
+ * - drop:   zavře spojení bez odpovědi
+ * - delay:  jen zpožděná odpověď, transakce pokračuje normálně
+ */
+
+const { compileMatchGlobs, createRuleStore, loadRuleFile, matchesGlobs, normalizeMatchGlobs } = require('./rule-store');
+
+const FAULT_STAGES = ['rcpt', 'data', 'eod'];
+const FAULT_ACTIONS = ['reject', 'drop', 'delay'];
+
+const DEFAULT_REJECT_CODE = 550;
+const DEFAULT_REJECT_MESSAGE = 'Rejected by fault injection rule';
+const MAX_DELAY_MS = 300000; // 5 min
+const TRIGGER_LOG_SIZE = 200; // Počet posledních spuštění v paměti
+
+/**
+ * Ověří a normalizuje pravidlo
+ * @param {Object} rule - Pravidlo ze souboru nebo z API
+ * @param {string} fallbackId - ID pro pravidlo bez vlastního ID
+ * @returns {Object} Normalizované pravidlo (bez počítadla spuštění)
+ */
+function normalizeFaultRule(rule, fallbackId) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    throw new Error('Fault rule must be an object');
+  }
+
+  const id = rule.id === undefined ? fallbackId : String(rule.id).trim();
+  if (!id) {
+    throw new Error('Fault rule id must not be empty');
+  }
+
+  const stage = rule.stage || 'rcpt';
+  if (!FAULT_STAGES.includes(stage)) {
+    throw new Error(`Fault rule "${id}": invalid stage "${stage}" (expected ${FAULT_STAGES.join(', ')})`);
+  }
+
+  const action = rule.action || 'reject';
+  if (!FAULT_ACTIONS.includes(action)) {
+    throw new Error(`Fault rule "${id}": invalid action "${action}" (expected ${FAULT_ACTIONS.join(', ')})`);
+  }
+
+  const match = normalizeMatchGlobs(rule.match, `Fault rule "${id}"`);
+  for (const field of ['minSize', 'maxSize']) {
+    const value = rule.match?.[field];
+    if (value === undefined || value === null) continue;
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`Fault rule "${id}": match.${field} must be a non-negative integer`);
+    }
+    match[field] = value;
+  }
+
+  // Předmět je známý až po přijetí celé zprávy
+  if (match.subject && stage !== 'eod') {
+    throw new Error(`Fault rule "${id}": match.subject is only available at stage "eod"`);
+  }
+
+  const code = rule.code === undefined ? DEFAULT_REJECT_CODE : rule.code;
+  if (action === 'reject' && (!Number.isInteger(code) || code < 400 || code > 599)) {
+    throw new Error(`Fault rule "${id}": code must be an SMTP error code (400-599)`);
+  }
+
+  const message = rule.message === undefined ? DEFAULT_REJECT_MESSAGE : rule.message;
+  if (typeof message !== 'string' || /[\r\n]/.test(message)) {
+    throw new Error(`Fault rule "${id}": message must be a single-line string`);
+  }
+
+  const delayMs = rule.delayMs === undefined ? 0 : rule.delayMs;
+  if (!Number.isInteger(delayMs) || delayMs < 0 || delayMs > MAX_DELAY_MS) {
+    throw new Error(`Fault rule "${id}": delayMs must be an integer between 0 and ${MAX_DELAY_MS}`);
+  }
+  if (action === 'delay' && delayMs === 0) {
+    throw new Error(`Fault rule "${id}": action "delay" needs delayMs`);
+  }
+
+  const probability = rule.probability === undefined ? 100 : rule.probability;
+  if (typeof probability !== 'number' || probability < 0 || probability > 100) {
+    throw new Error(`Fault rule "${id}": probability must be a percentage (0-100)`);
+  }
+
+  return {
+    id,
+    description: typeof rule.description === 'string' ? rule.description : '',
+    enabled: rule.enabled !== false,
+    stage,
+    match,
+    action,
+    code: action === 'reject' ? code : null,
+    message: action === 'reject' ? message : null,
+    delayMs,
+    probability,
+  };
+}
+
+/**
+ * Načte fault-injection pravidla ze souboru
+ * @param {string} filePath - Cesta k JSON souboru s pravidly
+ * @returns {Promise<Array<Object>>} Pravidla (neověřená, ověří je setRules)
+ */
+function loadFaultRules(filePath) {
+  return loadRuleFile(filePath, 'Fault rules');
+}
+
+/**
+ * Zkompiluje glob podmínky pravidla
+ * @param {Object} rule - Normalizované pravidlo
+ * @returns {{rule: Object, matchers: Object, hits: number}}
+ */
+function compileFaultRule(rule) {
+  return { rule, matchers: compileMatchGlobs(rule.match), hits: 0 };
+}
+
+/**
+ * Odpovídá transakce podmínkám pravidla?
+ * @param {{rule: Object, matchers: Object}} entry - Zkompilované pravidlo
+ * @param {Object} context - { sender, recipients, subject, size }
+ * @returns {boolean}
+ */
+function matchesFaultRule({ rule, matchers }, context) {
+  if (!matchesGlobs(matchers, context)) return false;
+
+  // Velikost: v RCPT/DATA jen deklarovaná (MAIL FROM SIZE=), bez ní pravidlo neplatí
+  if (rule.match.minSize !== undefined || rule.match.maxSize !== undefined) {
+    if (!Number.isFinite(context.size)) return false;
+    if (rule.match.minSize !== undefined && context.size < rule.match.minSize) return false;
+    if (rule.match.maxSize !== undefined && context.size > rule.match.maxSize) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Vytvoří fault injector s pravidly měnitelnými za běhu
+ * @param {Object} options
+ * @param {Object} options.logger - Pino logger
+ * @param {function(Object): void} [options.onTrigger] - Callback pro každé spuštěné pravidlo (záznam logu)
+ * @param {function(): number} [options.random] - Zdroj náhody 0..1 (pro probability)
+ * @returns {Object} Injector (getRules, setRules, addRule, updateRule, removeRule, evaluate, getLog, clearLog)
+ */
+function createFaultInjector({ logger, onTrigger = () => {}, random = Math.random }) {
+  const rules = createRuleStore({
+    name: 'Fault rule',
+    pluralName: 'Fault rules',
+    idPrefix: 'fault',
+    normalize: normalizeFaultRule,
+    compile: compileFaultRule,
+    counters: ['hits'],
+  });
+  let log = [];
+  let nextLogId = 1;
+
+  const toJSON = ({ rule, hits }) => ({ ...rule, hits });
+
+  return {
+    getRules() {
+      return rules.entries().map(toJSON);
+    },
+
+    /**
+     * Nahradí všechna pravidla (atomicky - při chybě zůstanou původní)
+     * @param {Array<Object>} nextRules
+     */
+    setRules(nextRules) {
+      return rules.set(nextRules).map(toJSON);
+    },
+
+    addRule(rule) {
+      return toJSON(rules.add(rule));
+    },
+
+    updateRule(id, changes) {
+      return toJSON(rules.update(id, changes));
+    },
+
+    removeRule(id) {
+      return toJSON(rules.remove(id));
+    },
+
+    /**
+     * Najde první pravidlo, které se pro danou fázi transakce spustí
+     * @param {string} stage - rcpt, data, eod
+     * @param {Object} context - { sender, recipients, subject, size, remoteAddress, sessionId }
+     * @returns {Object|null} Spuštěné pravidlo nebo null
+     */
+    evaluate(stage, context) {
+      for (const entry of rules.entries()) {
+        if (!entry.rule.enabled || entry.rule.stage !== stage) continue;
+        if (!matchesFaultRule(entry, context)) continue;
+
+        // Pravděpodobnost - pravidlo, které se "netrefí", se přeskočí
+        if (entry.rule.probability < 100 && random() * 100 >= entry.rule.probability) continue;
+
+        entry.hits++;
+
+        const logEntry = {
+          id: nextLogId++,
+          timestamp: new Date().toISOString(),
+          ruleId: entry.rule.id,
+          stage,
+          action: entry.rule.action,
+          code: entry.rule.code,
+          message: entry.rule.message,
+          delayMs: entry.rule.delayMs,
+          sender: context.sender || null,
+          recipients: context.recipients,
+          subject: context.subject ?? null,
+          size: Number.isFinite(context.size) ? context.size : null,
+          remoteAddress: context.remoteAddress || null,
+          sessionId: context.sessionId || null,
+        };
+        log.push(logEntry);
+        if (log.length > TRIGGER_LOG_SIZE) log = log.slice(-TRIGGER_LOG_SIZE);
+
+        logger.warn(logEntry, 'Fault injection rule triggered');
+        onTrigger(logEntry);
+
+        return entry.rule;
+      }
+      return null;
+    },
+
+    getLog() {
+      return [...log].reverse();
+    },
+
+    clearLog() {
+      log = [];
+    },
+  };
+}
+
+module.exports = {
+  FAULT_ACTIONS,
+  FAULT_STAGES,
+  createFaultInjector,
+  loadFaultRules,
+};
@@ -0,0 +1,176 @@
+/**
+ * Health a readiness kontroly (GET /health, GET /ready)
+ *
+ * Docker healthcheck dřív jen zkoušel `nc -z localhost 143` - spadlý SMTP (Node) nebo plný disk
+ * se tak tvářil jako zdravý kontejner. Kontroly:
+ * - smtp:    SMTP listener přijme TCP spojení a pošle banner 220
+ * - imap:    Dovecot odpoví na IMAP portu greetingem `* OK`
+ * - storage: do úložiště jde zapisovat (Maildir: zkušební soubor v Maildir/tmp)
+ * - disk:    volné místo na disku s Maildir je aspoň HEALTH_MIN_FREE_SPACE (paměťové úložiště přeskočí)
+ */
+
+const net = require('net');
+
+/**
+ * Připojí se na TCP port a počká na první řádek odpovědi (banner / greeting)
+ * @param {Object} options
+ * @param {string} options.host
+ * @param {number} options.port
+ * @param {RegExp} options.expect - Očekávaný začátek odpovědi
+ * @param {string} options.quit - Příkaz pro slušné ukončení spojení (server jinak loguje reset)
+ * @param {number} options.timeout - ms
+ * @param {function(net.Socket): void} [options.onConnect] - Po navázání spojení (před greetingem)
+ * @returns {Promise<string>} První řádek odpovědi
+ */
+function readGreeting({ host, port, expect, quit, timeout, onConnect }) {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect({ host, port });
+    if (onConnect) socket.once('connect', () => onConnect(socket));
+    let buffer = '';
+
+    let done = false;
+    const finish = (error, line) => {
+      if (done) return;
+      done = true;
+      if (error) {
+        socket.destroy();
+        reject(error);
+      } else {
+        socket.end(quit);
+        resolve(line);
+      }
+    };
+
+    socket.setTimeout(timeout, () => {
+      finish(new Error(`No greeting within ${timeout} ms`));
+      socket.destroy();
+    });
+    socket.on('error', error => finish(error));
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('latin1');
+      const end = buffer.indexOf('\n');
+      if (end === -1) return;
+
+      const line = buffer.slice(0, end).trim();
+      if (expect.test(line)) finish(null, line);
+      else finish(new Error(`Unexpected greeting: ${line.slice(0, 100)}`));
+    });
+  });
+}
+
+/**
+ * Vytvoří health checker
+ * @param {Object} options
+ * @param {function(): ({host: string, port: number}|null)} options.smtp - Adresa SMTP listeneru (null = ještě neposlouchá)
+ * @param {{host: string, port: number}|null} options.imap - Adresa Dovecot IMAP (null = kontrola vypnutá)
+ * @param {Object} options.storage - Úložiště emailů (probe, diskSpace) ze src/storage.js
+ * @param {number} options.minFreeSpace - Minimum volného místa v bajtech (0 = jen zápis)
+ * @param {number} options.timeout - Timeout jedné kontroly v ms
+ * @returns {Object} Checker (check, isProbeConnection)
+ */
+function createHealthChecker({ smtp, imap, storage, minFreeSpace, timeout }) {
+  const probePorts = new Set(); // Lokální porty právě běžících SMTP kontrol
+
+  const checks = {
+    async smtp() {
+      const address = smtp();
+      if (!address) throw new Error('SMTP server is not listening');
+
+      let probePort = null;
+      try {
+        const greeting = await readGreeting({
+          ...address,
+          expect: /^220[ -]/,
+          quit: 'QUIT\r\n',
+          timeout,
+          onConnect: (socket) => {
+            probePort = socket.localPort;
+            probePorts.add(probePort);
+          },
+        });
+        return { port: address.port, greeting };
+      } finally {
+        probePorts.delete(probePort);
+      }
+    },
+
+    async imap() {
+      if (!imap) return { skipped: true };
+      const greeting = await readGreeting({ ...imap, expect: /^\* (OK|PREAUTH)\b/i, quit: 'a1 LOGOUT\r\n', timeout });
+      return { port: imap.port, greeting };
+    },
+
+    async storage() {
+      return { backend: storage.backend, ...await storage.probe() };
+    },
+
+    async disk() {
+      const space = await storage.diskSpace();
+      if (!space) return { skipped: true };
+
+      const { free, total } = space;
+      const result = { free, total, minFree: minFreeSpace };
+      if (free < minFreeSpace) {
+        const error = new Error(`Only ${free} bytes free (minimum ${minFreeSpace})`);
+        error.details = result;
+        throw error;
+      }
+      return result;
+    },
+  };
+
+  /**
+   * Spustí jednu kontrolu s timeoutem
+   * @param {string} name
+   * @returns {Promise<Object>} { status: ok|fail, durationMs, ...detail } nebo { status: fail, error }
+   */
+  const run = async (name) => {
+    const started = Date.now();
+    let timer;
+    try {
+      const timeoutPromise = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${timeout} ms`)), timeout);
+      });
+      const detail = await Promise.race([checks[name](), timeoutPromise]);
+      return { status: detail.skipped ? 'skipped' : 'ok', durationMs: Date.now() - started, ...detail };
+    } catch (error) {
+      return { status: 'fail', durationMs: Date.now() - started, error: error.message, ...error.details };
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  return {
+    /**
+     * Spustí všechny kontroly paralelně
+     * @returns {Promise<{status: string, checks: Object}>} status ok | fail
+     */
+    async check() {
+      const names = Object.keys(checks);
+      const results = await Promise.all(names.map(run));
+      const byName = Object.fromEntries(names.map((name, index) => [name, results[index]]));
+
+      return {
+        status: results.some(result => result.status === 'fail') ? 'fail' : 'ok',
+        checks: byName,
+      };
+    },
+
+    /**
+     * Je příchozí SMTP spojení kontrola z check()? (nepočítá se do metrik spojení)
+     *
+     * Klient zná svůj port dřív, než SMTP server dokončí reverse DNS a zavolá onConnect.
+     * Banner 220 přijde až po onConnect, takže port se z probePorts neodebere dřív.
+     *
+     * @param {{remoteAddress: string, remotePort: number}} session - SMTP session
+     * @returns {boolean}
+     */
+    isProbeConnection({ remoteAddress, remotePort }) {
+      return probePorts.has(remotePort) && /^(127\.|::1$|::ffff:127\.)/.test(remoteAddress || '');
+    },
+  };
+}
+
+module.exports = {
+  createHealthChecker,
+};
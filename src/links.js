@@ -0,0 +1,297 @@
+/**
+ * Odkazy v emailu - extrakce z HTML i textového těla a volitelná kontrola dostupnosti
+ *
+ * Typické použití v E2E testech - vytáhnout ověřovací nebo reset odkaz:
+ *   GET /api/emails/:filename/links?pattern=*reset-password*
+ *
+ * Kontrola (`?check=true`) posílá GET jen na hosty z allow-listu (LINK_CHECK_HOSTS, glob),
+ * výchozí je jen localhost - odkazy na cizí domény se nikdy nevolají:
+ *   LINK_CHECK_HOSTS=localhost,127.0.0.1,*.test
+ */
+
+const { globToRegExp } = require('./routing');
+const { htmlToText } = require('./search');
+
+const MAX_REDIRECTS = 10;
+const MAX_CHECKED_LINKS = 50; // Víc unikátních URL se v jednom požadavku nekontroluje
+const CHECK_CONCURRENCY = 4;
+
+/**
+ * Rozparsuje URL odkazu (query parametry jako objekt, opakovaný klíč = pole)
+ * @param {string} url
+ * @returns {Object} { scheme, host, path, query, fragment } nebo { valid: false } pro neplatnou/relativní URL
+ */
+function parseLinkUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { valid: false, scheme: null, host: null, path: null, query: {}, fragment: null };
+  }
+
+  const query = {};
+  for (const [key, value] of parsed.searchParams) {
+    if (!(key in query)) query[key] = value;
+    else query[key] = [].concat(query[key], value);
+  }
+
+  return {
+    valid: true,
+    scheme: parsed.protocol.replace(/:$/, ''),
+    host: parsed.hostname || null,
+    path: parsed.pathname,
+    query,
+    fragment: parsed.hash ? parsed.hash.slice(1) : null,
+  };
+}
+
+/**
+ * Normalizovaná podoba URL pro porovnání HTML a textové části
+ * @param {string} url
+ * @returns {string}
+ */
+function normalizeUrl(url) {
+  try {
+    return new URL(url).href;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Hodnota atributu z obsahu tagu
+ * @param {string} attributes - Text tagu za jeho názvem
+ * @param {string} name - Název atributu
+ * @returns {string|null}
+ */
+function getAttribute(attributes, name) {
+  const match = new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i').exec(attributes);
+  if (!match) return null;
+  return htmlToText(match[1] ?? match[2] ?? match[3]);
+}
+
+/**
+ * Odkazy z HTML těla (<a href> a <area href>)
+ * @param {string} html
+ * @returns {Array<{url: string, text: string|null}>}
+ */
+function extractHtmlLinks(html) {
+  const source = html.replace(/<!--[\s\S]*?-->/g, '');
+  const links = [];
+
+  for (const [, attributes, content] of source.matchAll(/<a\b([^>]*)>([\s\S]*?)<\/a\s*>/gi)) {
+    const url = getAttribute(attributes, 'href');
+    if (!url) continue;
+
+    // Obrázkový odkaz - použij alt
+    let text = htmlToText(content);
+    if (!text) {
+      const image = /<img\b([^>]*)>/i.exec(content);
+      const alt = image && getAttribute(image[1], 'alt');
+      text = alt ? `[image: ${alt}]` : null;
+    }
+    links.push({ url, text: text || getAttribute(attributes, 'title') || null });
+  }
+
+  for (const [, attributes] of source.matchAll(/<area\b([^>]*)>/gi)) {
+    const url = getAttribute(attributes, 'href');
+    if (url) links.push({ url, text: getAttribute(attributes, 'alt') });
+  }
+
+  return links;
+}
+
+/**
+ * Odkazy z textového těla (http(s), ftp a mailto URL)
+ * @param {string} text
+ * @returns {Array<{url: string, text: null}>}
+ */
+function extractTextLinks(text) {
+  const links = [];
+
+  for (const [match] of text.matchAll(/\b(?:(?:https?|ftp):\/\/|mailto:)[^\s<>"'`]+/gi)) {
+    let url = match.replace(/[.,;:!?'"\]}>]+$/, '');
+    // Závorka na konci patří k URL jen když je v ní i otevírací ("(https://x.cz/a)" vs. wiki URL)
+    while (url.endsWith(')') && (url.match(/\(/g) || []).length < (url.match(/\)/g) || []).length) {
+      url = url.slice(0, -1).replace(/[.,;:!?'"\]}>]+$/, '');
+    }
+    links.push({ url, text: null });
+  }
+
+  return links;
+}
+
+/**
+ * Vytáhne všechny odkazy z HTML i textového těla
+ *
+ * `differs` = odkaz je jen v jedné z částí (jen když má email obě části)
+ *
+ * @param {Object} bodies
+ * @param {string} [bodies.html] - HTML tělo
+ * @param {string} [bodies.text] - Textové tělo
+ * @returns {{links: Array<Object>, differences: {htmlOnly: Array<string>, textOnly: Array<string>}}}
+ */
+function extractLinks({ html, text }) {
+  const htmlLinks = html ? extractHtmlLinks(html).map(link => ({ ...link, part: 'html' })) : [];
+  const textLinks = text ? extractTextLinks(text).map(link => ({ ...link, part: 'text' })) : [];
+
+  const htmlUrls = new Set(htmlLinks.map(link => normalizeUrl(link.url)));
+  const textUrls = new Set(textLinks.map(link => normalizeUrl(link.url)));
+  const compare = Boolean(html && text);
+
+  const links = [...htmlLinks, ...textLinks].map((link, index) => {
+    const normalized = normalizeUrl(link.url);
+    const otherPart = link.part === 'html' ? textUrls : htmlUrls;
+    return {
+      index,
+      url: link.url,
+      text: link.text,
+      part: link.part,
+      ...parseLinkUrl(link.url),
+      differs: compare && !otherPart.has(normalized),
+    };
+  });
+
+  const only = (urls, other) => [...urls].filter(url => !other.has(url));
+
+  return {
+    links,
+    differences: compare
+      ? { htmlOnly: only(htmlUrls, textUrls), textOnly: only(textUrls, htmlUrls) }
+      : { htmlOnly: [], textOnly: [] },
+  };
+}
+
+/**
+ * Filtr odkazů podle URL - glob (`*reset-password*`) nebo regex
+ * @param {Object} options
+ * @param {string} [options.pattern] - Glob přes celou URL
+ * @param {string} [options.regex] - Regulární výraz (hledá se kdekoli v URL)
+ * @param {string} [options.part] - html | text
+ * @returns {function(Object): boolean}
+ */
+function createLinkFilter({ pattern, regex, part }) {
+  const matchers = [];
+  if (pattern) matchers.push(globToRegExp(pattern));
+  if (regex) matchers.push(new RegExp(regex, 'i'));
+
+  return link => (!part || link.part === part) && matchers.every(matcher => matcher.test(link.url));
+}
+
+/**
+ * Vytvoří kontrolu odkazů proti allow-listu hostů
+ * @param {Object} options
+ * @param {string} options.allowedHosts - Hosty oddělené čárkou (glob)
+ * @param {number} options.timeout - Timeout jednoho požadavku v ms
+ * @param {Object} options.logger - Pino logger
+ * @returns {Object} Checker (describe, check, checkAll)
+ */
+function createLinkChecker({ allowedHosts, timeout, logger }) {
+  const hosts = (allowedHosts || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean)
+    .map(host => ({ host, match: globToRegExp(host.replace(/^\[|\]$/g, '')) }));
+
+  const isAllowed = url => hosts.some(entry => entry.match.test(url.hostname.replace(/^\[|\]$/g, '')));
+
+  /**
+   * Zkontroluje jednu URL - GET s ručním sledováním přesměrování
+   * @param {string} link - URL
+   * @returns {Promise<Object>} { checked, status, ok, redirects, finalUrl, error } nebo { checked: false, reason }
+   */
+  const check = async (link) => {
+    let url;
+    try {
+      url = new URL(link);
+    } catch {
+      return { checked: false, reason: 'Invalid or relative URL' };
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return { checked: false, reason: 'Not an HTTP link' };
+    }
+    if (!isAllowed(url)) {
+      return { checked: false, reason: `Host ${url.hostname} is not in LINK_CHECK_HOSTS` };
+    }
+
+    const redirects = [];
+    const result = (fields) => ({ checked: true, status: null, ok: false, redirects, finalUrl: url.href, error: null, ...fields });
+
+    for (;;) {
+      let response;
+      try {
+        response = await fetch(url, { redirect: 'manual', signal: AbortSignal.timeout(timeout) });
+        await response.body?.cancel();
+      } catch (error) {
+        const message = error.name === 'TimeoutError' ? `Timed out after ${timeout} ms` : (error.cause?.message || error.message);
+        logger.debug({ url: url.href, error: message }, 'Link check failed');
+        return result({ error: message });
+      }
+
+      const { status } = response;
+      const location = response.headers.get('location');
+      if (status < 300 || status >= 400 || !location) {
+        return result({ status, ok: status >= 200 && status < 400 });
+      }
+
+      redirects.push({ url: url.href, status, location });
+      if (redirects.length > MAX_REDIRECTS) {
+        return result({ status, error: `More than ${MAX_REDIRECTS} redirects` });
+      }
+
+      let next;
+      try {
+        next = new URL(location, url);
+      } catch {
+        return result({ status, error: 'Invalid redirect location' });
+      }
+      if (!isAllowed(next)) {
+        // Přesměrování mimo allow-list (např. na externí SSO) se nesleduje, odkaz sám funguje
+        return result({ status, ok: true, finalUrl: next.href, error: `Redirect to ${next.hostname} not followed (not in LINK_CHECK_HOSTS)` });
+      }
+      url = next;
+    }
+  };
+
+  return {
+    /**
+     * Konfigurace pro API
+     */
+    describe() {
+      return { allowedHosts: hosts.map(entry => entry.host), timeout };
+    },
+
+    check,
+
+    /**
+     * Zkontroluje všechny unikátní URL (max MAX_CHECKED_LINKS, po CHECK_CONCURRENCY najednou)
+     * @param {Array<string>} urls
+     * @returns {Promise<Map<string, Object>>} url -> výsledek
+     */
+    async checkAll(urls) {
+      const unique = [...new Set(urls)];
+      const results = new Map();
+
+      const queue = unique.slice(0, MAX_CHECKED_LINKS);
+      unique.slice(MAX_CHECKED_LINKS).forEach(url => {
+        results.set(url, { checked: false, reason: `Only the first ${MAX_CHECKED_LINKS} links are checked` });
+      });
+
+      const worker = async () => {
+        while (queue.length > 0) {
+          const url = queue.shift();
+          results.set(url, await check(url));
+        }
+      };
+      await Promise.all(Array.from({ length: CHECK_CONCURRENCY }, worker));
+
+      return results;
+    },
+  };
+}
+
+module.exports = {
+  createLinkChecker,
+  createLinkFilter,
+  extractLinks,
+};
@@ -0,0 +1,3442 @@
+#!/usr/bin/env node
+
+/**
+ * MailRider - catch-all SMTP server + Web UI/API pro lokální vývoj
+ *
+ * Účel:
+ * - Přijímá SMTP emaily na JAKOUKOLIV adresu a doménu (universální catch-all)
+ * - Všechny emaily ukládá do Maildir formátu do jednoho účtu
+ * - Dovecot IMAP server pak čte z tohoto Maildir
+ *
+ * V Dockeru běží přes src/smtp-server.js spolu s Dovecotem. Testy v Node ho můžou
+ * spustit přímo v procesu přes createMailRider() (typicky storage: 'memory', porty 0).
+ */
+
+const { SMTPServer } = require('smtp-server');
+const { MailParser, simpleParser } = require('mailparser');
+const fs = require('fs').promises;
+const { isAscii } = require('buffer');
+const http = require('http');
+const path = require('path');
+const { EventEmitter, once } = require('events');
+const pino = require('pino');
+const express = require('express');
+const sharp = require('sharp');
+const multer = require('multer');
+const { createRouter, loadRoutingRules, normalizeMailboxName } = require('./routing');
+const { AUTH_METHODS, AUTH_MODES, createAuthHandler, loadCredentials } = require('./smtp-auth');
+const { describeTlsSession, loadTlsCredentials } = require('./tls');
+const { createFaultInjector, loadFaultRules } = require('./faults');
+const { createReleaser } = require('./release');
+const { createSearchIndex, parseSearchQuery } = require('./search');
+const { createRetentionSweeper, parseRetentionPolicy, parseSize } = require('./retention');
+const { analyzeCompatibility } = require('./compatibility');
+const { createLinkChecker, createLinkFilter, extractLinks } = require('./links');
+const { normalizeContentId, resolveCidReferences } = require('./cid');
+const { createDkimDigest, createDkimVerifier, digestMessage, loadDkimKeys } = require('./dkim');
+const { createWebhookDispatcher, loadWebhooks } = require('./webhooks');
+const { createMetricsRegistry } = require('./metrics');
+const { createHealthChecker } = require('./health');
+const { createZipWriter, detectArchiveFormat, formatMboxMessage, getMessageDate, parseMbox, readZipEntries } = require('./archive');
+const { MAILDIR_FLAGS, createStorage, parseMaildirName } = require('./storage');
+const { buildThreads, findMissingReferences, layoutThread, parseMessageIds } = require('./threads');
+const { createMessageIndex } = require('./message-index');
+
+/**
+ * Výchozí logger (pino-pretty) - vytvoří se až při prvním použití, embedded instance s vlastním
+ * loggerem tak nespouští transport worker
+ * @returns {Object} pino logger
+ */
+let defaultLogger = null;
+function getDefaultLogger() {
+  if (!defaultLogger) {
+    defaultLogger = pino({
+      level: process.env.LOG_LEVEL || 'info',
+      transport: {
+        target: 'pino-pretty',
+        options: {
+          colorize: true,
+          translateTime: 'HH:MM:ss.l',
+          ignore: 'pid,hostname',
+        },
+      },
+    });
+  }
+  return defaultLogger;
+}
+
+/**
+ * Vytvoří instanci MailRideru (SMTP server, Web UI/API, úložiště). Nic neposlouchá do start().
+ *
+ * Options mají přednost před proměnnými prostředí, zbytek konfigurace se čte z `env`.
+ * @param {Object} [options]
+ * @param {number} [options.smtpPort] - SMTP port (0 = náhodný volný), výchozí SMTP_PORT
+ * @param {number} [options.webPort] - Port Web UI/API (0 = náhodný volný), výchozí WEB_PORT
+ * @param {string} [options.host] - Adresa pro listenery, výchozí 0.0.0.0
+ * @param {string|Object} [options.storage] - 'maildir' | 'memory' nebo hotové úložiště ze src/storage.js
+ * @param {string} [options.maildirBase] - Adresář Maildir úložiště, výchozí MAILDIR_BASE
+ * @param {Object} [options.logger] - pino kompatibilní logger, výchozí pino-pretty na LOG_LEVEL
+ * @param {Object} [options.env] - Zdroj konfigurace, výchozí process.env
+ * @returns {EventEmitter} Instance (start, stop, clear, getMessages, getMessage, waitForMessage, app, storage)
+ *   - emituje eventy mailboxu (email.received, email.deleted, ...) s payloadem jako SSE stream
+ */
+function createMailRider(options = {}) {
+  const env = options.env || process.env;
+  const logger = options.logger || getDefaultLogger();
+  const customStorage = options.storage && typeof options.storage === 'object' ? options.storage : null;
+
+  // Konfigurace
+  const SMTP_PORT = options.smtpPort ?? parseInt(env.SMTP_PORT || '2587', 10);
+  const WEB_PORT = options.webPort ?? parseInt(env.WEB_PORT || '8082', 10);
+  const LISTEN_HOST = options.host || '0.0.0.0';
+  const MAILDIR_BASE = options.maildirBase || env.MAILDIR_BASE || '/var/mail/faktron.local';
+  const MAILRIDER_USER = env.MAILRIDER_USER || 'inbox';
+  const MAILRIDER_DOMAIN = env.MAILRIDER_DOMAIN || 'mailrider.local';
+  const MAILRIDER_EMAIL = `${MAILRIDER_USER}@${MAILRIDER_DOMAIN}`;
+
+  // Úložiště emailů (viz src/storage.js) - memory = bez Dovecotu, disku a rootu (CI, lokální testy)
+  const STORAGE_BACKEND = customStorage?.backend || (typeof options.storage === 'string' && options.storage) || env.STORAGE_BACKEND || 'maildir'; // 'maildir' | 'memory'
+  // Vlastník Maildir souborů pro Dovecot (vmail:vmail) - bez rootu se vlastník nemění
+  const MAILDIR_OWNER = env.MAILDIR_OWNER ?? (process.getuid?.() === 0 ? '5000:5000' : '');
+
+  // Info: MAILRIDER_DOMAIN je jen pro zobrazení, server přijímá VŠECHNY domény
+
+  // Routing příjemců do mailboxů (viz src/routing.js)
+  const ROUTING_MODE = env.ROUTING_MODE || 'catchall'; // 'catchall' | 'mailbox'
+  const ROUTING_KEY = env.ROUTING_KEY || 'localpart'; // 'localpart' | 'address'
+  const ROUTING_RULES_FILE = env.ROUTING_RULES_FILE || '';
+  const ROUTING_CATCHALL = normalizeMailboxName(env.ROUTING_CATCHALL || '') || '';
+
+  // SMTP AUTH (viz src/smtp-auth.js)
+  const SMTP_AUTH_MODE = env.SMTP_AUTH_MODE || 'off'; // 'off' | 'any' | 'credentials' | 'reject'
+  const SMTP_AUTH_USERS = env.SMTP_AUTH_USERS || ''; // user:pass,user2:pass2
+  const SMTP_AUTH_FILE = env.SMTP_AUTH_FILE || '';
+
+  // TLS (viz src/tls.js)
+  const SMTP_STARTTLS = env.SMTP_STARTTLS !== 'false'; // STARTTLS na SMTP_PORT
+  const SMTPS_PORT = parseInt(env.SMTPS_PORT || '0', 10); // implicitní TLS, 0 = vypnuto
+  const SMTP_REQUIRE_TLS = env.SMTP_REQUIRE_TLS === 'true'; // odmítnout MAIL FROM bez TLS
+  const SMTP_TLS_CERT = env.SMTP_TLS_CERT || '';
+  const SMTP_TLS_KEY = env.SMTP_TLS_KEY || '';
+  const SMTP_TLS_DIR = env.SMTP_TLS_DIR ?? (STORAGE_BACKEND === 'memory' ? '' : path.join(MAILDIR_BASE, '.tls')); // prázdné = neukládat
+  const SMTP_TLS_HOSTNAME = env.SMTP_TLS_HOSTNAME || 'localhost';
+
+  // ESMTP limity a rozšíření
+  const SMTP_MAX_SIZE = parseInt(env.SMTP_MAX_SIZE || '0', 10); // bajty, 0 = bez limitu
+  const SMTP_SMTPUTF8 = env.SMTP_SMTPUTF8 !== 'false'; // UTF-8 adresy (RFC 6531)
+  const SMTP_8BITMIME = env.SMTP_8BITMIME !== 'false'; // 8-bit tělo zprávy (RFC 6152)
+
+  // Fault injection (viz src/faults.js)
+  const SMTP_FAULTS_FILE = env.SMTP_FAULTS_FILE || '';
+
+  // Release zachycených emailů na upstream SMTP (viz src/release.js)
+  const RELEASE_SMTP_HOST = env.RELEASE_SMTP_HOST || ''; // prázdné = release vypnutý
+  const RELEASE_SMTP_PORT = parseInt(env.RELEASE_SMTP_PORT || '587', 10);
+  const RELEASE_SMTP_SECURE = env.RELEASE_SMTP_SECURE === 'true'; // implicitní TLS (465)
+  const RELEASE_SMTP_USER = env.RELEASE_SMTP_USER || '';
+  const RELEASE_SMTP_PASS = env.RELEASE_SMTP_PASS || '';
+  const RELEASE_SMTP_TLS_VERIFY = env.RELEASE_SMTP_TLS_VERIFY !== 'false';
+  const RELEASE_SMTP_FROM = env.RELEASE_SMTP_FROM || ''; // pevný MAIL FROM, jinak původní odesílatel
+  const RELEASE_ALLOWED_DOMAINS = env.RELEASE_ALLOWED_DOMAINS || ''; // faktron.cz,*.example.com
+  const RELEASE_DKIM_DOMAIN = env.RELEASE_DKIM_DOMAIN || ''; // prázdné = bez re-signingu
+  const RELEASE_DKIM_SELECTOR = env.RELEASE_DKIM_SELECTOR || 'default';
+  const RELEASE_DKIM_KEY = env.RELEASE_DKIM_KEY || ''; // PEM privátní klíč
+
+  // DKIM/ARC ověření proti lokálním veřejným klíčům (viz src/dkim.js)
+  const DKIM_KEYS_DIR = env.DKIM_KEYS_DIR || path.join(MAILDIR_BASE, '.dkim');
+  const DKIM_KEYS_FILE = env.DKIM_KEYS_FILE || '';
+
+  // Retention - automatické mazání nejstarších emailů (prázdné = bez limitu)
+  const RETENTION_MAX_AGE = env.RETENTION_MAX_AGE || ''; // 7d, 12h, 30m
+  const RETENTION_MAX_COUNT = env.RETENTION_MAX_COUNT || ''; // max. emailů v jedné složce
+  const RETENTION_MAX_SIZE = env.RETENTION_MAX_SIZE || ''; // 500MB, 2GB
+  const RETENTION_PROTECTED_FOLDERS = env.RETENTION_PROTECTED_FOLDERS || ''; // Archive,Keep*
+  const RETENTION_INTERVAL = env.RETENTION_INTERVAL || '10m';
+
+  // Kontrola odkazů z emailů (viz src/links.js) - jen hosty z allow-listu
+  const LINK_CHECK_HOSTS = env.LINK_CHECK_HOSTS || 'localhost,127.0.0.1,::1,*.localhost';
+  const LINK_CHECK_TIMEOUT = parseInt(env.LINK_CHECK_TIMEOUT || '5000', 10); // ms na jeden požadavek
+
+  // Webhooky po přijetí emailu (viz src/webhooks.js)
+  const WEBHOOKS_FILE = env.WEBHOOKS_FILE || '';
+  const WEBHOOK_URL = env.WEBHOOK_URL || ''; // jeden webhook bez souboru
+  const WEBHOOK_SECRET = env.WEBHOOK_SECRET || ''; // HMAC klíč pro WEBHOOK_URL
+  const WEBHOOK_TIMEOUT = parseInt(env.WEBHOOK_TIMEOUT || '5000', 10); // ms na jeden pokus
+  const WEBHOOK_MAX_ATTEMPTS = parseInt(env.WEBHOOK_MAX_ATTEMPTS || '5', 10);
+  // Základ pro rawUrl - bez WEBHOOK_PUBLIC_URL se doplní ve start() podle skutečného portu
+  let webhookPublicUrl = (env.WEBHOOK_PUBLIC_URL || '').replace(/\/+$/, '');
+
+  // Health / readiness kontroly (viz src/health.js)
+  const IMAP_HOST = env.IMAP_HOST || '127.0.0.1';
+  // Kontrola Dovecot IMAP jen když je port nastavený (Docker image: 143) - mimo Docker Dovecot neběží
+  const IMAP_PORT = parseInt(env.IMAP_PORT || '0', 10);
+  const HEALTH_MIN_FREE_SPACE = env.HEALTH_MIN_FREE_SPACE || '100MB';
+  const HEALTH_TIMEOUT = parseInt(env.HEALTH_TIMEOUT || '2000', 10); // ms na jednu kontrolu
+
+  // Import .eml / mbox / ZIP přes Web UI (soubor se drží v paměti)
+  const IMPORT_MAX_SIZE = env.IMPORT_MAX_SIZE || '50MB';
+
+  // Limit slov ve full-text indexu (po zaplnění se těla dalších emailů indexují zkráceně)
+  const SEARCH_INDEX_MAX_WORDS = parseInt(env.SEARCH_INDEX_MAX_WORDS || '5000000', 10);
+
+  // Úložiště emailů (Maildir nebo paměť) - přes něj jdou všechny operace s emaily
+  const storage = customStorage || createStorage({
+    backend: STORAGE_BACKEND,
+    baseDir: MAILDIR_BASE,
+    defaultMailbox: MAILRIDER_USER,
+    owner: MAILDIR_OWNER,
+    logger,
+  });
+
+  // Pomocná data se ukládají přes storage.writeState (Maildir: .<název>.json u výchozího mailboxu)
+
+  // SMTP envelope (MAIL FROM, RCPT TO, klient) pro každý přijatý email
+  let envelopeStore = {}; // { filename: { mailFrom, rcptTo, remoteAddress, clientHostname, heloName, transactionId, receivedAt } }
+
+  // Historie release (přeposlání na upstream SMTP) pro každý email
+  let releaseStore = {}; // { filename: [{ releasedAt, host, from, recipients, success, response, accepted, rejected }] }
+
+  // Emaily chráněné před retention (ruční označení 🔒)
+  let protectedStore = {}; // { filename: protectedAt }
+
+  // Index emailů (umístění, flagy, metadata) - seznam se staví z něj, ne parsováním souborů
+  const messageIndex = createMessageIndex({ storage, logger });
+  let messageIndexSynced = false; // Index odpovídá úložišti (bez hlídání úložiště jen do vypršení CACHE_TTL)
+  let messageIndexSync = null; // Probíhající porovnání indexu s úložištěm
+  let legacyMetadata = null; // Metadata ze starší .email-cache.json - použijí se při prvním sestavení indexu
+
+  // Full email list cache (sorted, ready for pagination)
+  let cachedEmailList = null; // Array of all emails, sorted by timestamp desc
+  let cachedTotalSize = 0;
+  let cachedThreads = null; // Vlákna k cachedEmailList (getThreads)
+  let cacheLastUpdate = 0;
+  const CACHE_TTL = 60000; // 60 seconds TTL for full list cache (jen když neběží hlídání úložiště)
+  let storageWatcher = null; // storage.watch - cache se pak místo TTL aktualizuje podle změn na disku
+
+  // DKIM verifier - klíče se načtou při startu (a přes POST /api/dkim/reload)
+  const dkimVerifier = createDkimVerifier();
+
+  // Full-text index (in-memory, doplňuje se při příjmu a parsování emailů, ostatní emaily na pozadí)
+  const searchIndex = createSearchIndex({ maxWords: SEARCH_INDEX_MAX_WORDS });
+  const searchIndexPending = new Set(); // Emaily v indexu zatím jen z metadat - celý text se doplní na pozadí
+  let searchIndexFill = null; // Probíhající doplňování na pozadí
+  let searchIndexTruncated = false; // Varování o zaplněném limitu se loguje jednou
+
+  // Prometheus metriky (GET /metrics)
+  const metrics = createMetricsRegistry({ prefix: 'mailrider_' });
+  const metricMessagesReceived = metrics.counter('messages_received_total', 'Emails received over SMTP and stored', ['mailbox']);
+  const metricMessagesRejected = metrics.counter('messages_rejected_total', 'SMTP commands rejected with an error reply', ['stage', 'code']);
+  const metricBytesStored = metrics.counter('bytes_stored_total', 'Bytes of received emails written to storage', ['mailbox']);
+  const metricSmtpSessions = metrics.counter('smtp_sessions_total', 'SMTP connections accepted', ['listener']);
+  const metricSmtpSessionsActive = metrics.gauge('smtp_sessions_active', 'Currently open SMTP connections', ['listener']);
+  const metricParseFailures = metrics.counter('parse_failures_total', 'Emails that could not be parsed', ['source']);
+  const metricHttpDuration = metrics.histogram('http_request_duration_seconds', 'Web UI and API request latency', ['method', 'route', 'status']);
+  const metricCacheLookups = metrics.counter('metadata_cache_lookups_total', 'Email metadata cache lookups', ['result']);
+  const metadataCacheStats = { hits: 0, misses: 0 };
+
+  metrics.gauge('metadata_cache_hit_ratio', 'Share of email metadata lookups served from cache (since start)', [], (gauge) => {
+    const lookups = metadataCacheStats.hits + metadataCacheStats.misses;
+    gauge.set({}, lookups > 0 ? metadataCacheStats.hits / lookups : 0);
+  });
+  metrics.gauge('metadata_cache_entries', 'Emails in the message index', [], (gauge) => {
+    gauge.set({}, messageIndex.size);
+  });
+
+  // Velikost mailboxů se bere z počtů v indexu, ne procházením disku při každém scrapu
+  const collectMailboxStats = async () => {
+    const stats = new Map();
+    for (const folder of await storage.listFolders()) {
+      stats.set(`${folder.mailbox}/${folder.name}`, { mailbox: folder.mailbox, folder: folder.name, messages: 0, bytes: 0 });
+    }
+    for (const { mailbox, folder, count, size } of await getFolderStats()) {
+      stats.set(`${mailbox}/${folder}`, { mailbox, folder, messages: count, bytes: size });
+    }
+    return [...stats.values()];
+  };
+  metrics.gauge('mailbox_messages', 'Emails per mailbox folder', ['mailbox', 'folder'], async (gauge) => {
+    gauge.reset();
+    for (const { mailbox, folder, messages } of await collectMailboxStats()) gauge.set({ mailbox, folder }, messages);
+  });
+  metrics.gauge('mailbox_bytes', 'Size of emails per mailbox folder in bytes', ['mailbox', 'folder'], async (gauge) => {
+    gauge.reset();
+    for (const { mailbox, folder, bytes } of await collectMailboxStats()) gauge.set({ mailbox, folder }, bytes);
+  });
+
+  /**
+   * Započítá odmítnutý SMTP příkaz do metrik
+   * @param {string} stage - mail, rcpt, data
+   * @param {Error|null} error - Chyba pro callback smtp-serveru
+   * @returns {Error|null} Stejná chyba (pro `callback(countRejection(...))`)
+   */
+  function countRejection(stage, error) {
+    if (error) metricMessagesRejected.inc({ stage, code: error.responseCode || 550 });
+    return error;
+  }
+
+  // Event bus pro změny v mailboxu (SSE stream pro Web UI)
+  const mailEvents = new EventEmitter();
+  mailEvents.setMaxListeners(0); // Každý SSE klient je jeden listener
+
+  // Vrácená instance - eventy se emitují i přímo pod svým typem (pro embedded použití)
+  const mailrider = new EventEmitter();
+
+  /**
+   * Publish mailbox change event to all subscribers
+   * @param {string} type - Event type (email.received, email.deleted, email.moved, email.read, email.flags, fault.triggered)
+   * @param {Object} data - Event payload
+   */
+  function publishMailEvent(type, data) {
+    mailEvents.emit('event', { type, data });
+    mailrider.emit(type, data);
+  }
+
+  // Debounced zápisy pomocných dat - stop() je dopíše hned
+  const pendingStateWrites = new Map(); // { název: { timer, write } }
+
+  /**
+   * Naplánuje zápis pomocných dat do úložiště (debounce 1s, další změna termín posune)
+   * @param {string} name - Název pro storage.writeState
+   * @param {function(): Object} getValue - Aktuální data (čtou se až při zápisu)
+   * @param {string} description - Popis pro log chyby
+   */
+  function scheduleStateWrite(name, getValue, description) {
+    clearTimeout(pendingStateWrites.get(name)?.timer);
+    const write = async () => {
+      pendingStateWrites.delete(name);
+      try {
+        await storage.writeState(name, getValue());
+      } catch (error) {
+        logger.warn({ error: error.message }, `Failed to save ${description}`);
+      }
+    };
+    pendingStateWrites.set(name, { timer: setTimeout(write, 1000), write });
+  }
+
+  /**
+   * Okamžitě zapíše všechna naplánovaná pomocná data
+   */
+  async function flushStateWrites() {
+    const pending = [...pendingStateWrites.values()];
+    pending.forEach(({ timer }) => clearTimeout(timer));
+    await Promise.all([...pending.map(({ write }) => write()), messageIndex.flush()]);
+  }
+
+  /**
+   * Klíče uložených dat bez Maildir flagů - starší verze klíčovaly i podle `:2,S`, takže emaily
+   * přejmenované Dovecotem o svá data přišly
+   * @param {Object} store - { filename: data }
+   * @returns {Object}
+   */
+  function keyByFilename(store) {
+    return Object.fromEntries(Object.entries(store).map(([key, value]) => [parseMaildirName(key).filename, value]));
+  }
+
+  /**
+   * Načte index emailů; starší cache metadat (.email-cache.json) ušetří parsování při jeho prvním sestavení
+   */
+  async function loadMessageIndex() {
+    await messageIndex.load();
+    messageIndexSynced = false;
+
+    try {
+      const legacy = await storage.readState('email-cache');
+      if (legacy) {
+        legacyMetadata = keyByFilename(legacy);
+        logger.info({ count: Object.keys(legacyMetadata).length }, 'Legacy email cache loaded');
+      }
+    } catch (error) {
+      logger.warn({ error: error.message }, 'Failed to load legacy email cache');
+    }
+  }
+
+  /**
+   * Load stored SMTP envelopes from storage
+   */
+  async function loadEnvelopes() {
+    try {
+      envelopeStore = keyByFilename((await storage.readState('envelopes')) || {});
+    } catch (error) {
+      logger.warn({ error: error.message }, 'Failed to load envelopes');
+      envelopeStore = {};
+    }
+  }
+
+  /**
+   * Save SMTP envelopes to storage (debounced)
+   */
+  function saveEnvelopes() {
+    scheduleStateWrite('envelopes', () => envelopeStore, 'envelopes');
+  }
+
+  /**
+   * Sestaví záznam envelope ze SMTP session
+   * @param {Object} session - smtp-server session
+   * @returns {Object} Envelope záznam
+   */
+  function buildEnvelopeRecord(session) {
+    return {
+      mailFrom: session.envelope.mailFrom?.address || '',
+      rcptTo: session.envelope.rcptTo.map(r => r.address),
+      remoteAddress: session.remoteAddress,
+      clientHostname: session.clientHostname,
+      heloName: session.hostNameAppearsAs,
+      authUser: session.user?.username || null,
+      authMethod: session.user?.method || null,
+      tls: describeTlsSession(session),
+      bodyType: session.envelope.mailFrom?.args?.BODY?.toLowerCase() || null, // MAIL FROM ... BODY=
+      smtpUtf8: isSmtpUtf8Transaction(session),
+      transactionId: session.id,
+      transaction: session.transaction,
+      receivedAt: new Date().toISOString(),
+    };
+  }
+
+  function setEnvelope(filename, envelope) {
+    envelopeStore[filename] = envelope;
+    saveEnvelopes();
+  }
+
+  function getEnvelope(filename) {
+    return envelopeStore[filename] || null;
+  }
+
+  /**
+   * Load release history from storage
+   */
+  async function loadReleases() {
+    try {
+      releaseStore = keyByFilename((await storage.readState('releases')) || {});
+    } catch (error) {
+      logger.warn({ error: error.message }, 'Failed to load release history');
+      releaseStore = {};
+    }
+  }
+
+  /**
+   * Save release history to storage (debounced)
+   */
+  function saveReleases() {
+    scheduleStateWrite('releases', () => releaseStore, 'release history');
+  }
+
+  function addRelease(filename, release) {
+    releaseStore[filename] = [...(releaseStore[filename] || []), release];
+    saveReleases();
+  }
+
+  function getReleases(filename) {
+    return releaseStore[filename] || [];
+  }
+
+  /**
+   * Load protected emails from storage
+   */
+  async function loadProtected() {
+    try {
+      protectedStore = keyByFilename((await storage.readState('protected')) || {});
+    } catch (error) {
+      logger.warn({ error: error.message }, 'Failed to load protected emails');
+      protectedStore = {};
+    }
+  }
+
+  /**
+   * Save protected emails to storage (debounced)
+   */
+  function saveProtected() {
+    scheduleStateWrite('protected', () => protectedStore, 'protected emails');
+  }
+
+  function isProtected(filename) {
+    return Boolean(protectedStore[filename]);
+  }
+
+  function setProtected(filename, value) {
+    if (value) {
+      protectedStore[filename] = new Date().toISOString();
+    } else {
+      delete protectedStore[filename];
+    }
+    saveProtected();
+  }
+
+  /**
+   * Get cached metadata or parse email and cache it
+   * @param {{mailbox: string, folder: string, subfolder: string, filename: string}} location - Umístění v úložišti
+   */
+  async function getEmailMetadata(location) {
+    // Check index first
+    const entry = messageIndex.get(location.filename);
+    let metadata = entry?.metadata || legacyMetadata?.[location.filename];
+    // Starší cache nerozlišuje inline části od příloh a nemá hlavičky vláken - email se naparsuje znovu
+    if (metadata && metadata.inlineCount !== undefined && metadata.references !== undefined) {
+      metadataCacheStats.hits++;
+      metricCacheLookups.inc({ result: 'hit' });
+      // DKIM výsledek chybí (starší cache) nebo byl ověřen s jinou sadou klíčů
+      if (metadata.dkim === undefined || (metadata.dkim && metadata.dkim.keyset !== dkimVerifier.keysetId)) {
+        metadata = { ...metadata, dkim: await verifyStoredEmailDkim(location) };
+      }
+      // Nový email v indexu, jiné umístění (přesun, flagy) nebo nový DKIM výsledek
+      if (metadata !== entry?.metadata || !isSameLocation(entry, location)) messageIndex.put(location, metadata);
+      return metadata;
+    }
+
+    // Parse email and index it
+    metadataCacheStats.misses++;
+    metricCacheLookups.inc({ result: 'miss' });
+    const content = await storage.readMessage(location);
+    const parsed = await parseEmail(content);
+    // Naparsovaný email rovnou i do full-text indexu - vyhledávání ho pak nemusí číst znovu
+    indexEmail(location.filename, parsed);
+
+    return cacheEmailMetadata(location, parsed, content.length, verifyEmailDkim(content));
+  }
+
+  /**
+   * Je záznam indexu na stejném místě a se stejnými flagy?
+   * @param {Object|undefined} entry - Záznam z messageIndex
+   * @param {Object} location - Umístění z úložiště
+   * @returns {boolean}
+   */
+  function isSameLocation(entry, location) {
+    return Boolean(entry) && ['mailbox', 'folder', 'subfolder', 'flags'].every(field => entry[field] === location[field]);
+  }
+
+  /**
+   * Ověří DKIM podpisy emailu a vrátí shrnutí pro cache
+   * @param {Buffer|Object} content - Raw email nebo výsledek createDkimDigest().digest()
+   * @returns {Object|null} Shrnutí z dkimVerifier.summarize (null = bez podpisu)
+   */
+  function verifyEmailDkim(content) {
+    try {
+      const digest = Buffer.isBuffer(content) ? digestMessage(content) : content;
+      return digest.signed ? dkimVerifier.summarize(dkimVerifier.verify(digest)) : null;
+    } catch (error) {
+      logger.warn({ error: error.message }, 'Failed to verify DKIM');
+      return null;
+    }
+  }
+
+  /**
+   * Ověří DKIM uloženého emailu - čte ho streamem, email bez podpisů jen po konec hlaviček
+   * @param {Object} location - Umístění v úložišti
+   * @returns {Promise<Object|null>} Shrnutí jako verifyEmailDkim
+   */
+  async function verifyStoredEmailDkim(location) {
+    const digest = createDkimDigest();
+    const stream = storage.openMessage(location);
+    for await (const chunk of stream) {
+      digest.update(chunk);
+      if (digest.complete) break;
+    }
+    stream.destroy();
+    return verifyEmailDkim(digest.digest());
+  }
+
+  /**
+   * Uloží metadata naparsovaného emailu do indexu
+   * @param {{mailbox: string, folder: string, subfolder: string, filename: string, flags: string}} location - Umístění v úložišti
+   * @param {Object} parsed - Výsledek parseEmail
+   * @param {number} size - Velikost souboru v bajtech
+   * @param {Object|null} dkim - Shrnutí DKIM z verifyEmailDkim
+   * @returns {Object} Metadata pro seznam emailů
+   */
+  function cacheEmailMetadata(location, parsed, size, dkim) {
+    const { filename } = location;
+    const metadata = {
+      from: parsed.from,
+      to: parsed.to,
+      subject: parsed.subject || '(No subject)',
+      preview: parsed.text.substring(0, 200),
+      attachmentCount: parsed.attachmentCount,
+      inlineCount: parsed.inlineCount,
+      size,
+      timestamp: parseInt(filename.split('.')[0]) || 0,
+      dkim,
+      messageId: parsed.messageId,
+      inReplyTo: parsed.inReplyTo,
+      references: parsed.references,
+    };
+
+    messageIndex.put(location, metadata);
+
+    return metadata;
+  }
+
+  /**
+   * Remove email from index and list cache
+   */
+  function removeFromCache(filename) {
+    messageIndex.remove(filename);
+    removeFromListCache(filename);
+
+    if (envelopeStore[filename]) {
+      delete envelopeStore[filename];
+      saveEnvelopes();
+    }
+
+    if (releaseStore[filename]) {
+      delete releaseStore[filename];
+      saveReleases();
+    }
+
+    if (protectedStore[filename]) {
+      delete protectedStore[filename];
+      saveProtected();
+    }
+
+    removeFromSearchIndex(filename);
+  }
+
+  /**
+   * Invalidate full list cache (called when emails are added/removed)
+   */
+  function invalidateListCache() {
+    cachedEmailList = null;
+    cacheLastUpdate = 0;
+  }
+
+  /**
+   * Při dalším sestavení seznamu porovnat index s úložištěm (emaily zapsané mimo index, nová sada DKIM klíčů)
+   */
+  function invalidateMessageIndex() {
+    messageIndexSynced = false;
+    invalidateListCache();
+  }
+
+  /**
+   * Vloží položku do seřazeného seznamu v cache (nové pole - vlákna se přepočítají)
+   * @param {Object} item - Položka z buildEmailListItem
+   */
+  function addToListCache(item) {
+    if (!cachedEmailList) return;
+
+    const emails = cachedEmailList.filter(email => email.filename !== item.filename);
+    const index = emails.findIndex(email => email.timestamp < item.timestamp);
+    emails.splice(index === -1 ? emails.length : index, 0, item);
+    cachedEmailList = emails;
+    cachedTotalSize = emails.reduce((sum, email) => sum + email.size, 0);
+  }
+
+  /**
+   * Odebere email ze seznamu v cache
+   * @param {string} filename
+   */
+  function removeFromListCache(filename) {
+    if (!cachedEmailList?.some(email => email.filename === filename)) return;
+
+    cachedEmailList = cachedEmailList.filter(email => email.filename !== filename);
+    cachedTotalSize = cachedEmailList.reduce((sum, email) => sum + email.size, 0);
+  }
+
+  /**
+   * Přidá naparsovaný email do full-text indexu
+   * @param {string} filename - Maildir filename
+   * @param {Object} parsed - Výsledek parseEmail
+   */
+  function indexEmail(filename, parsed) {
+    const envelope = getEnvelope(filename);
+    const from = parsed.from || '';
+    const to = [parsed.to, parsed.cc].filter(Boolean).join(', ');
+    // Envelope adresy jen pokud nejsou v hlavičkách (RCPT TO obsahuje i BCC příjemce)
+    const notIn = (text) => (address) => !text.toLowerCase().includes(address.toLowerCase());
+
+    searchIndex.add(filename, {
+      subject: parsed.subject,
+      from: [from, ...[envelope?.mailFrom].filter(Boolean).filter(notIn(from))].join(' '),
+      to: [to, ...(envelope?.rcptTo || []).filter(notIn(to))].join(' '),
+      text: parsed.text,
+      html: parsed.html,
+      headers: parsed.headerText,
+      envelope: envelope
+        ? [envelope.remoteAddress, envelope.clientHostname, envelope.heloName, envelope.authUser].filter(Boolean).join(' ')
+        : '',
+      attachments: parsed.attachmentNames.join(' '),
+    });
+    searchIndexPending.delete(filename);
+
+    if (searchIndex.truncated > 0 && !searchIndexTruncated) {
+      searchIndexTruncated = true;
+      logger.warn({ words: searchIndex.words, maxWords: SEARCH_INDEX_MAX_WORDS }, 'Search index is full, bodies of further emails are indexed only partially (SEARCH_INDEX_MAX_WORDS)');
+    }
+  }
+
+  /**
+   * Srovná full-text index se seznamem emailů - smazané odebere, chybějící (start, import) hned přidá
+   * z metadat (předmět, adresy, náhled) a celý text doplní na pozadí
+   *
+   * Vyhledávání tak nečeká na naparsování všech emailů; dokud doplňování běží, najde v nich jen metadata.
+   *
+   * @param {Array<Object>} emails - Seznam z getAllEmailsCached
+   */
+  function syncSearchIndex(emails) {
+    const present = new Set(emails.map(email => email.filename));
+    for (const filename of searchIndex.filenames()) {
+      if (!present.has(filename)) removeFromSearchIndex(filename);
+    }
+
+    for (const email of emails) {
+      if (searchIndex.has(email.filename)) continue;
+      searchIndex.add(email.filename, { subject: email.subject, from: email.from, to: email.to, text: email.preview });
+      searchIndexPending.add(email.filename);
+    }
+
+    if (searchIndexPending.size > 0 && !searchIndexFill) {
+      searchIndexFill = fillSearchIndex().finally(() => {
+        searchIndexFill = null;
+      });
+    }
+  }
+
+  /**
+   * @param {string} filename
+   */
+  function removeFromSearchIndex(filename) {
+    searchIndex.remove(filename);
+    searchIndexPending.delete(filename);
+  }
+
+  /**
+   * Naparsuje emaily, které jsou ve full-text indexu jen z metadat (po jednom, na pozadí)
+   * @returns {Promise<void>}
+   */
+  async function fillSearchIndex() {
+    let indexed = 0;
+    // Set iteruje i emaily přidané během doplňování
+    for (const filename of searchIndexPending) {
+      searchIndexPending.delete(filename);
+      const location = messageIndex.get(filename);
+      if (!location) continue;
+
+      try {
+        const parsed = await parseEmail(storage.openMessage(location));
+        // Email mohl být mezitím smazán
+        if (!searchIndex.has(filename)) continue;
+        indexEmail(filename, parsed);
+        indexed++;
+      } catch (error) {
+        // Email mohl být mezitím smazán nebo přesunut - zůstane v indexu z metadat
+        logger.debug({ filename, error: error.message }, 'Failed to index email');
+      }
+    }
+
+    logger.info({ indexed, total: searchIndex.size, words: searchIndex.words }, 'Search index updated');
+  }
+
+  /**
+   * Porovná index s úložištěm - doplní nové emaily (naparsují se jen ty), opraví umístění a flagy, odebere smazané
+   * @returns {Promise<void>}
+   */
+  function syncMessageIndex() {
+    if (messageIndexSync) return messageIndexSync;
+
+    messageIndexSync = (async () => {
+      // Emaily přidané během porovnání (SMTP) v úložišti zatím být nemusely - odebírat se smí jen starší
+      const indexed = new Set(messageIndex.list().map(entry => entry.filename));
+      const present = new Set();
+      let failed = 0;
+
+      for (const folder of await storage.listFolders()) {
+        for (const location of await storage.listMessages(folder.mailbox, folder.name)) {
+          present.add(location.filename);
+          try {
+            await getEmailMetadata(location);
+          } catch (parseError) {
+            // Skip malformed emails
+            failed++;
+            metricParseFailures.inc({ source: storage.backend });
+            logger.warn({ file: location.filename, error: parseError.message }, 'Failed to parse email for API');
+          }
+        }
+      }
+
+      for (const filename of indexed) {
+        if (!present.has(filename)) messageIndex.remove(filename);
+      }
+      messageIndexSynced = true;
+
+      if (legacyMetadata) {
+        legacyMetadata = null;
+        await storage.deleteState('email-cache').catch((error) => {
+          logger.warn({ error: error.message }, 'Failed to delete legacy email cache');
+        });
+      }
+      logger.debug({ count: messageIndex.size, failed }, 'Message index synced with storage');
+    })().finally(() => {
+      messageIndexSync = null;
+    });
+
+    return messageIndexSync;
+  }
+
+  /**
+   * Počty emailů ve složkách z indexu
+   * @returns {Promise<Array<{mailbox: string, folder: string, count: number, unreadCount: number, size: number}>>}
+   */
+  async function getFolderStats() {
+    await getAllEmailsCached(); // Bez hlídání úložiště porovná index s diskem (TTL)
+    return messageIndex.folderStats();
+  }
+
+  /**
+   * Najde email v úložišti - nejdřív ve složce podle indexu, ostatní složky se prohledají, jen když tam není
+   * @param {string} filename - Název souboru emailu
+   * @returns {Promise<Object|null>} Umístění z storage.findMessage
+   */
+  function findEmail(filename) {
+    return storage.findMessage(filename, messageIndex.get(filename));
+  }
+
+  /**
+   * Get all emails with caching (builds sorted list once, reuses for pagination)
+   */
+  async function getAllEmailsCached() {
+    const now = Date.now();
+
+    // Return cached list if still valid (při hlídání úložiště ho udržují aktuální změny z disku)
+    if (cachedEmailList && (storageWatcher || (now - cacheLastUpdate) < CACHE_TTL)) {
+      return { emails: cachedEmailList, totalSize: cachedTotalSize };
+    }
+
+    // Index udržují vlastní zápisy a hlídání úložiště - bez hlídání se s diskem porovná po vypršení TTL
+    if (!storageWatcher || !messageIndexSynced) await syncMessageIndex();
+
+    // Build fresh list from index
+    const allEmails = messageIndex.list().map(entry => buildEmailListItem(entry, entry.metadata));
+    const totalSize = allEmails.reduce((sum, email) => sum + email.size, 0);
+    allEmails.sort((a, b) => b.timestamp - a.timestamp);
+
+    // Cache the result
+    cachedEmailList = allEmails;
+    cachedTotalSize = totalSize;
+    cacheLastUpdate = now;
+
+    return { emails: allEmails, totalSize };
+  }
+
+  /**
+   * Vlákna nad celým seznamem emailů (přepočítají se jen s novým seznamem z getAllEmailsCached)
+   * @param {Array<Object>} emails - Seznam z getAllEmailsCached
+   * @returns {{threads: Array<Object>, byFilename: Map<string, Object>, received: Set<string>}}
+   */
+  function getThreads(emails) {
+    if (cachedThreads?.emails !== emails) {
+      cachedThreads = {
+        emails,
+        ...buildThreads(emails),
+        received: new Set(emails.map(email => email.messageId).filter(Boolean)),
+      };
+    }
+    return cachedThreads;
+  }
+
+  /**
+   * Souhrn vlákna pro seznam (GET /api/emails?view=threads)
+   * @param {Object} thread - Vlákno z buildThreads
+   * @param {Set<string>} received - Message-ID všech uložených emailů
+   * @returns {Object}
+   */
+  function summarizeThread(thread, received) {
+    const { emails } = thread;
+    return {
+      id: thread.id,
+      subject: thread.subject,
+      messageCount: emails.length,
+      unreadCount: emails.filter(email => !email.isRead).length,
+      firstTimestamp: emails[0].timestamp,
+      latestTimestamp: thread.latestTimestamp,
+      participants: [...new Set(emails.map(email => email.from).filter(Boolean))],
+      mailboxes: [...new Set(emails.map(email => email.mailbox))],
+      attachmentCount: emails.reduce((sum, email) => sum + (email.attachmentCount || 0), 0),
+      brokenReferences: emails.filter(email => findMissingReferences(email, received).inReplyTo).length,
+      latest: emails[emails.length - 1],
+    };
+  }
+
+  /**
+   * Validates filename to prevent path traversal attacks
+   * @param {string} filename - The filename to validate
+   * @throws {Error} If filename is invalid
+   */
+  function validateFilename(filename) {
+    if (!filename || typeof filename !== 'string') {
+      throw new Error('Invalid filename: empty or not a string');
+    }
+
+    // Check for path traversal attempts
+    if (filename.includes('/') || filename.includes('\\')) {
+      throw new Error('Invalid filename: contains path separators');
+    }
+
+    if (filename.includes('..')) {
+      throw new Error('Invalid filename: contains parent directory reference');
+    }
+
+    // Check for null bytes
+    if (filename.includes('\0')) {
+      throw new Error('Invalid filename: contains null byte');
+    }
+
+    // Check for common malicious patterns
+    if (/^\./.test(filename)) {
+      throw new Error('Invalid filename: starts with dot');
+    }
+
+    return filename;
+  }
+
+  // Pole API -> Maildir flag (flagy v názvu souboru jsou jediný zdroj pravdy, sdílený s Dovecotem)
+  const FLAG_FIELDS = {
+    isRead: MAILDIR_FLAGS.seen,
+    isFlagged: MAILDIR_FLAGS.flagged,
+    isAnswered: MAILDIR_FLAGS.answered,
+    isDeleted: MAILDIR_FLAGS.deleted,
+  };
+
+  /**
+   * Stav emailu z Maildir flagů
+   * @param {string} [flags] - Písmena flagů z úložiště (`FS`)
+   * @returns {{isRead: boolean, isFlagged: boolean, isAnswered: boolean, isDeleted: boolean}}
+   */
+  function describeFlags(flags = '') {
+    return Object.fromEntries(Object.entries(FLAG_FIELDS).map(([field, flag]) => [field, flags.includes(flag)]));
+  }
+
+  /**
+   * Změní flagy emailu v úložišti a oznámí to klientům
+   * @param {string} filename - Název souboru emailu
+   * @param {Object} changes - { isRead, isFlagged, isAnswered, isDeleted } - chybějící pole se nemění
+   * @returns {Promise<Object|null>} Nový stav (describeFlags), null když email neexistuje
+   */
+  async function updateFlags(filename, changes) {
+    const location = await findEmail(filename);
+    if (!location) return null;
+
+    const flagChanges = {};
+    for (const [field, flag] of Object.entries(FLAG_FIELDS)) {
+      if (changes[field] !== undefined) flagChanges[flag] = Boolean(changes[field]);
+    }
+
+    const updated = await storage.setFlags(location, flagChanges);
+    return applyFlagChange(updated, location.flags);
+  }
+
+  /**
+   * Promítne nové flagy do položky v cache seznamu a oznámí změnu klientům
+   * @param {{filename: string, subfolder: string, flags: string}} location - Nové umístění z úložiště
+   * @param {string} previousFlags - Flagy před změnou
+   * @returns {Object} Nový stav (describeFlags)
+   */
+  function applyFlagChange(location, previousFlags) {
+    const { filename } = location;
+    const previous = describeFlags(previousFlags);
+    const state = describeFlags(location.flags);
+
+    // Položka v cache seznamu se upraví na místě - kvůli flagům se seznam nenačítá znovu
+    messageIndex.relocate(location);
+    const cached = cachedEmailList?.find(email => email.filename === filename);
+    if (cached) Object.assign(cached, { subfolder: location.subfolder }, state);
+
+    if (Object.keys(state).every(field => state[field] === previous[field])) return state;
+    if (previous.isRead !== state.isRead) {
+      publishMailEvent('email.read', { filename, isRead: state.isRead });
+    }
+    publishMailEvent('email.flags', { filename, ...state });
+    return state;
+  }
+
+  /**
+   * Promítne změny v úložišti, které udělal někdo jiný (IMAP klient přes Dovecot, test zapisující
+   * přímo do Maildir), do cache a seznamu emailů a oznámí je klientům
+   * @param {Array<Object>} changes - Dávka ze storage.watch
+   */
+  async function applyStorageChanges(changes) {
+    for (const { type, location, previous } of changes) {
+      const { filename } = location;
+      try {
+        if (type === 'added') {
+          const item = buildEmailListItem(location, await getEmailMetadata(location));
+          addToListCache(item);
+          publishMailEvent('email.received', item);
+        } else if (type === 'removed') {
+          removeFromCache(filename);
+          publishMailEvent('email.deleted', { filename, folder: location.folder });
+        } else if (type === 'moved') {
+          messageIndex.relocate(location);
+          const cached = cachedEmailList?.find(email => email.filename === filename);
+          if (cached) Object.assign(cached, { folder: location.folder, subfolder: location.subfolder });
+          publishMailEvent('email.moved', { filename, mailbox: location.mailbox, fromFolder: previous.folder, toFolder: location.folder });
+          // IMAP klient často mění flagy spolu s přesunem (přečíst a archivovat)
+          if (previous.flags !== location.flags) applyFlagChange(location, previous.flags);
+        } else if (type === 'changed') {
+          applyFlagChange(location, previous.flags);
+        }
+        logger.debug({ type, filename, folder: location.folder }, 'Storage change applied');
+      } catch (error) {
+        // Email mohl mezitím zase zmizet - další změna ho dorovná
+        logger.warn({ type, filename, error: error.message }, 'Failed to apply storage change');
+      }
+    }
+  }
+
+  /**
+   * Převede přečtení ze starších verzí (`.read-status.json`, jen Web UI) na Maildir flag S a soubor smaže
+   */
+  async function migrateReadStatus() {
+    let readStatus;
+    try {
+      readStatus = await storage.readState('read-status');
+    } catch (error) {
+      logger.warn({ error: error.message }, 'Failed to load legacy read status');
+      return;
+    }
+    if (!readStatus) return;
+
+    const read = new Set(Object.keys(readStatus)
+      .filter(filename => readStatus[filename] === true)
+      .map(filename => parseMaildirName(filename).filename));
+    let migrated = 0;
+    let failed = 0;
+
+    for (const folder of await storage.listFolders()) {
+      for (const location of await storage.listMessages(folder.mailbox, folder.name)) {
+        if (!read.has(location.filename)) continue;
+        try {
+          await storage.setFlags(location, { [MAILDIR_FLAGS.seen]: true });
+          migrated++;
+        } catch (error) {
+          failed++;
+          logger.warn({ filename: location.filename, error: error.message }, 'Failed to migrate read status');
+        }
+      }
+    }
+
+    // Při chybě soubor zůstane - migrace se zopakuje při dalším startu
+    if (failed === 0) await storage.deleteState('read-status');
+    logger.info({ migrated, failed, entries: read.size }, 'Read status migrated to Maildir flags');
+  }
+
+  // Router příjemce -> mailbox (pravidla se načtou při startu)
+  let routeRecipient = createRouter({ mode: 'catchall', defaultMailbox: MAILRIDER_USER });
+
+  /**
+   * Připraví výchozí mailbox a převede read status ze starších verzí na Maildir flagy
+   */
+  async function initStorage() {
+    try {
+      await storage.ensureMailbox(MAILRIDER_USER);
+
+      await migrateReadStatus();
+
+      logger.info({
+        ...storage.describe(),
+        mailriderEmail: MAILRIDER_EMAIL
+      }, 'Storage initialized');
+    } catch (error) {
+      logger.error({ error: error.message }, 'Failed to initialize storage');
+      throw error;
+    }
+  }
+
+  /**
+   * Uloží email do úložiště (import)
+   *
+   * @param {Buffer} emailBuffer - Raw email content
+   * @param {string} [mailbox] - Cílový mailbox (výchozí MAILRIDER_USER)
+   * @param {Date} [date] - Původní datum přijetí - použije se v názvu souboru i jako mtime (Dovecot z něj bere INTERNALDATE)
+   * @returns {Promise<{mailbox: string, folder: string, subfolder: string, filename: string}>}
+   */
+  async function saveEmail(emailBuffer, mailbox = MAILRIDER_USER, date = null) {
+    const draft = await storage.createDraft(mailbox, date);
+
+    try {
+      await draft.write(emailBuffer);
+      const location = await draft.commit();
+      logger.info({ filename: location.filename, size: emailBuffer.length, destination: `${mailbox}@${MAILRIDER_DOMAIN}` }, 'Email saved');
+      return location;
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        filename: draft.filename
+      }, 'Failed to save email');
+
+      await draft.discard();
+      throw error;
+    }
+  }
+
+  /**
+   * Format email address for display (removes quotes from name)
+   * @param {Object} addressObj - Parsed address object from mailparser
+   * @returns {string} Formatted email address
+   */
+  function formatEmailAddress(addressObj) {
+    if (!addressObj) return 'Unknown';
+
+    // addressObj.value is an array of address objects
+    if (addressObj.value && addressObj.value.length > 0) {
+      const addresses = addressObj.value.map(addr => {
+        const name = addr.name || '';
+        const address = addr.address || '';
+
+        if (name && address) {
+          // Remove quotes from name if present
+          const cleanName = name.replace(/^["']|["']$/g, '');
+          return `${cleanName} <${address}>`;
+        }
+        return address || 'Unknown';
+      });
+      return addresses.join(', ');
+    }
+
+    // Fallback to text property (remove quotes if present)
+    const text = addressObj.text || 'Unknown';
+    return text.replace(/"([^"]+)"/g, '$1');
+  }
+
+  /**
+   * Naparsuje hlavičky, text, HTML a přílohy emailu
+   *
+   * Na rozdíl od simpleParser nedrží přílohy v paměti - jen je dočte, spočítá a zapamatuje si jejich názvy.
+   * Inline části (obrázky přes `cid:`) se počítají zvlášť a do attachmentCount nepatří.
+   *
+   * @param {Buffer|Stream} source - Raw email nebo stream z úložiště
+   * @returns {Promise<{messageId: string|null, inReplyTo: string|null, references: Array<string>, from: string, to: string, cc: string, subject: string, date: Date, text: string, html: string, headerText: string, attachmentCount: number, inlineCount: number, attachmentNames: Array<string>}>}
+   */
+  function parseEmail(source) {
+    return new Promise((resolve, reject) => {
+      const parser = new MailParser();
+      let headers = new Map();
+      let headerText = '';
+      let text = '';
+      let html = '';
+      const parts = [];
+      const attachmentNames = [];
+
+      parser.on('headers', (parsedHeaders) => {
+        headers = parsedHeaders;
+      });
+
+      parser.on('headerLines', (lines) => {
+        headerText = lines.map(header => header.line).join('\n');
+      });
+
+      parser.on('data', (data) => {
+        if (data.type === 'text') {
+          text = data.text || '';
+          html = typeof data.html === 'string' ? data.html : '';
+          return;
+        }
+
+        parts.push({ contentId: data.contentId, related: data.related, contentDisposition: data.contentDisposition });
+        if (data.filename) attachmentNames.push(data.filename);
+        data.content.on('end', () => data.release());
+        data.content.resume();
+      });
+
+      parser.on('end', () => {
+        const { inline } = resolveCidReferences({ html, attachments: parts, buildUrl: cid => cid });
+        resolve({
+          messageId: parseMessageIds(headers.get('message-id'))[0] || null,
+          inReplyTo: parseMessageIds(headers.get('in-reply-to'))[0] || null,
+          references: parseMessageIds(headers.get('references')),
+          from: formatEmailAddress(headers.get('from')),
+          to: formatEmailAddress(headers.get('to')),
+          cc: headers.has('cc') ? formatEmailAddress(headers.get('cc')) : '',
+          subject: headers.get('subject'),
+          date: headers.get('date'),
+          text,
+          html,
+          headerText,
+          attachmentCount: parts.length - inline.size,
+          inlineCount: inline.size,
+          attachmentNames,
+        });
+      });
+
+      parser.on('error', reject);
+
+      if (Buffer.isBuffer(source)) {
+        parser.end(source);
+      } else {
+        source.on('error', reject).pipe(parser);
+      }
+    });
+  }
+
+  /**
+   * Web UI & API Server
+   */
+  const app = express();
+
+  // Latence requestů pro /metrics (route = Express pattern, ne konkrétní URL)
+  app.use((req, res, next) => {
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+      const route = req.route ? req.baseUrl + req.route.path : 'unmatched';
+      metricHttpDuration.observe(
+        { method: req.method, route, status: res.statusCode },
+        Number(process.hrtime.bigint() - started) / 1e9,
+      );
+    });
+    next();
+  });
+
+  // Middleware for parsing JSON bodies
+  app.use(express.json());
+
+  // Multer configuration for EML file uploads
+  const importMaxSize = parseSize(IMPORT_MAX_SIZE, 'IMPORT_MAX_SIZE');
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: (req, file, cb) => {
+      // .eml (message/rfc822), mbox a ZIP archiv s .eml soubory
+      if (/\.(eml|mbox|mbx|zip)$/i.test(file.originalname)
+        || ['message/rfc822', 'application/mbox', 'application/zip', 'application/x-zip-compressed'].includes(file.mimetype)) {
+        cb(null, true);
+      } else {
+        cb(new Error('Only .eml, .mbox and .zip files are allowed'));
+      }
+    },
+    limits: {
+      fileSize: importMaxSize,
+    },
+  });
+
+  // Serve static HTML
+  app.get('/', async (req, res) => {
+    try {
+      const html = await fs.readFile(path.join(__dirname, 'web-ui.html'), 'utf-8');
+      res.type('html').send(html);
+    } catch (error) {
+      res.status(500).send('Error loading UI');
+    }
+  });
+
+  /**
+   * Sestaví položku seznamu emailů (tvar používaný v GET /api/emails)
+   * @param {{mailbox: string, folder: string, subfolder: string, filename: string, flags: string}} location - Umístění z úložiště
+   * @param {Object} metadata - Metadata z getEmailMetadata
+   * @returns {Object} Položka seznamu
+   */
+  function buildEmailListItem(location, metadata) {
+    const { filename } = location;
+    return {
+      filename,
+      mailbox: location.mailbox,
+      folder: location.folder,
+      subfolder: location.subfolder, // 'new' nebo 'cur'
+      timestamp: metadata.timestamp,
+      size: metadata.size,
+      from: metadata.from,
+      to: metadata.to,
+      subject: metadata.subject,
+      preview: metadata.preview,
+      attachmentCount: metadata.attachmentCount,
+      inlineCount: metadata.inlineCount || 0,
+      ...describeFlags(location.flags),
+      isProtected: isProtected(filename),
+      dkim: metadata.dkim ? { result: metadata.dkim.result, signatures: metadata.dkim.signatures } : null,
+      envelope: getEnvelope(filename),
+      messageId: metadata.messageId || null,
+      inReplyTo: metadata.inReplyTo || null,
+      references: metadata.references || [],
+    };
+  }
+
+  /**
+   * Smaže email z úložiště včetně cache a indexu a oznámí to klientům
+   * @param {string} filename - Název souboru emailu
+   * @param {{mailbox: string, folder: string, subfolder: string, filename: string}} emailLocation - Z storage.findMessage
+   * @param {string} [reason] - Důvod v eventu email.deleted (např. retention)
+   */
+  async function deleteEmail(filename, emailLocation, reason) {
+    await storage.deleteMessage(emailLocation);
+
+    // Cleanup caches to prevent memory leak
+    removeFromCache(filename);
+    publishMailEvent('email.deleted', { filename, folder: emailLocation.folder, ...(reason && { reason }) });
+  }
+
+  /**
+   * Načte a naparsuje kompletní email (tvar odpovědi GET /api/emails/:filename/full)
+   * @param {string} filename - Název souboru emailu
+   * @param {{mailbox: string, folder: string, subfolder: string}} emailLocation - Umístění z storage.findMessage
+   * @returns {Promise<Object>} Detail emailu včetně těla, hlaviček a příloh
+   */
+  async function buildFullEmail(filename, emailLocation) {
+    const content = await storage.readMessage(emailLocation);
+    // cid: odkazy nechá mailparser být (jinak by obrázky vložil jako data: URI) - přepíšou se na /cid/ route
+    const parsed = await simpleParser(content, { keepCidLinks: true });
+
+    // Vlákno a odkazy na zprávy, které nikdy nedorazily
+    const { byFilename, received } = getThreads((await getAllEmailsCached()).emails);
+    const thread = byFilename.get(filename);
+    const threadHeaders = {
+      inReplyTo: parseMessageIds(parsed.inReplyTo)[0] || null,
+      references: parseMessageIds(parsed.references),
+    };
+
+    // Extract headers
+    const headers = {};
+    const emailHeaderKeys = [
+      'from', 'to', 'cc', 'bcc', 'reply-to', 'sender',
+      'delivered-to', 'return-path',
+      'resent-from', 'resent-to', 'resent-cc', 'resent-bcc', 'resent-sender'
+    ];
+
+    if (parsed.headers) {
+      for (const [key, value] of parsed.headers) {
+        // Special handling for email address headers
+        if (emailHeaderKeys.includes(key.toLowerCase())) {
+          headers[key] = formatEmailAddress(value);
+        } else if (Array.isArray(value)) {
+          // If it's an array, convert each element to string
+          headers[key] = value.map(v => {
+            if (typeof v === 'object' && v !== null) {
+              // For objects, try to get a meaningful string representation
+              return v.value || v.text || JSON.stringify(v);
+            }
+            return String(v);
+          }).join(', ');
+        } else if (typeof value === 'object' && value !== null) {
+          // For objects, try to get a meaningful string representation
+          headers[key] = value.value || value.text || JSON.stringify(value);
+        } else {
+          headers[key] = value;
+        }
+      }
+    }
+
+    const cidReferences = resolveCidReferences({
+      html: parsed.html || '',
+      attachments: parsed.attachments || [],
+      buildUrl: cid => `/api/emails/${encodeURIComponent(filename)}/cid/${encodeURIComponent(cid)}`,
+    });
+
+    // Process attachments
+    const attachments = (parsed.attachments || []).map((att, index) => ({
+      index,
+      filename: att.filename || `attachment-${index}`,
+      contentType: att.contentType || 'application/octet-stream',
+      size: att.size || 0,
+      contentId: att.contentId,
+      isImage: (att.contentType || '').startsWith('image/'),
+      isInline: cidReferences.inline.has(index),
+    }));
+
+    return {
+      filename,
+      mailbox: emailLocation.mailbox,
+      folder: emailLocation.folder,
+      messageId: parsed.messageId,
+      from: formatEmailAddress(parsed.from),
+      to: formatEmailAddress(parsed.to),
+      cc: parsed.cc ? formatEmailAddress(parsed.cc) : undefined,
+      subject: parsed.subject || '(No subject)',
+      date: parsed.date,
+      headers,
+      textBody: parsed.text || '',
+      htmlBody: cidReferences.html,
+      rawContent: content.toString(),
+      attachments,
+      inlineParts: {
+        references: cidReferences.references,
+        unmatched: cidReferences.unmatched,
+        unreferenced: cidReferences.unreferenced,
+      },
+      ...describeFlags(emailLocation.flags),
+      isProtected: isProtected(filename),
+      dkim: dkimVerifier.verify(content),
+      envelope: getEnvelope(filename),
+      releases: getReleases(filename),
+      thread: {
+        id: thread?.id || filename,
+        messageCount: thread?.emails.length || 1,
+        ...threadHeaders,
+        missingReferences: findMissingReferences(threadHeaders, received),
+      },
+    };
+  }
+
+  // Health kontroly (SMTP listener, Dovecot IMAP, zápis do úložiště, volné místo)
+  const healthChecker = createHealthChecker({
+    smtp: () => (server?.server?.listening ? { host: '127.0.0.1', port: server.server.address().port } : null),
+    imap: IMAP_PORT ? { host: IMAP_HOST, port: IMAP_PORT } : null,
+    storage,
+    minFreeSpace: parseSize(HEALTH_MIN_FREE_SPACE, 'HEALTH_MIN_FREE_SPACE'),
+    timeout: HEALTH_TIMEOUT,
+  });
+  let startupComplete = false; // Servery poslouchají a seznam emailů je načtený
+
+  // Prometheus metriky
+  app.get('/metrics', async (req, res) => {
+    try {
+      res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+      res.send(await metrics.render());
+    } catch (error) {
+      logger.error({ error: error.message }, 'API error: metrics');
+      res.status(500).send(`# ${error.message}\n`);
+    }
+  });
+
+  // Health: všechny kontroly musí projít, jinak 503 (Docker healthcheck)
+  app.get('/health', async (req, res) => {
+    const health = await healthChecker.check();
+    res.status(health.status === 'ok' ? 200 : 503).json(health);
+  });
+
+  // Readiness: health + dokončený start (seznam emailů načtený do cache)
+  app.get('/ready', async (req, res) => {
+    const health = await healthChecker.check();
+    const ready = startupComplete && health.status === 'ok';
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ok' : 'fail', startupComplete, checks: health.checks });
+  });
+
+  // API: Server-Sent Events stream se změnami v mailboxu
+  app.get('/api/events', (req, res) => {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // Vypnout buffering za reverse proxy
+    res.flushHeaders();
+
+    // Klient se po výpadku znovu připojí za 5s
+    res.write('retry: 5000\n\n');
+
+    const onEvent = (event) => {
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    };
+    mailEvents.on('event', onEvent);
+
+    // Heartbeat drží spojení otevřené přes proxy a odhalí mrtvé klienty
+    const heartbeat = setInterval(() => {
+      res.write(': ping\n\n');
+    }, 25000);
+
+    logger.debug({ clients: mailEvents.listenerCount('event') }, 'SSE client connected');
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      mailEvents.off('event', onEvent);
+      logger.debug({ clients: mailEvents.listenerCount('event') }, 'SSE client disconnected');
+    });
+  });
+
+  /**
+   * Vyfiltruje seznam emailů podle query parametrů /api/emails (mailbox, folder, search, sort)
+   * @param {Array<Object>} allEmails - Seznam z getAllEmailsCached
+   * @param {Object} params - { mailbox, folder, search, sort }
+   * @returns {Promise<{emails: Array<Object>, scores: Map<string, number>|null, query: Object}>}
+   */
+  async function filterEmailList(allEmails, params) {
+    const mailboxFilter = params.mailbox || ''; // optional mailbox filter
+    const folderFilter = params.folder || ''; // optional folder filter
+    const query = parseSearchQuery(params.search || ''); // optional search query (operators, phrases)
+    const sortByDate = params.sort === 'date'; // search results are ranked by relevance by default
+
+    // Apply mailbox filter if specified
+    let filteredEmails = allEmails;
+    if (mailboxFilter) {
+      filteredEmails = filteredEmails.filter(email => email.mailbox === mailboxFilter);
+    }
+
+    // Apply folder filter if specified
+    if (folderFilter) {
+      filteredEmails = filteredEmails.filter(email => email.folder === folderFilter);
+    }
+
+    // Apply search operators (has:, is:, folder:, mailbox:, before:, after:)
+    const { filters } = query;
+    if (Object.keys(filters).length > 0) {
+      filteredEmails = filteredEmails.filter(email => {
+        if (filters.hasAttachment && !(email.attachmentCount > 0)) return false;
+        for (const field of Object.keys(FLAG_FIELDS)) {
+          if (filters[field] !== undefined && email[field] !== filters[field]) return false;
+        }
+        if (filters.folder && email.folder.toLowerCase() !== filters.folder.toLowerCase()) return false;
+        if (filters.mailbox && email.mailbox !== filters.mailbox) return false;
+        if (filters.after !== undefined && email.timestamp < filters.after) return false;
+        if (filters.before !== undefined && email.timestamp >= filters.before) return false;
+        return true;
+      });
+    }
+
+    // Apply full-text search - results ranked by score, then newest first
+    let scores = null;
+    if (query.clauses.length > 0) {
+      syncSearchIndex(allEmails);
+      scores = searchIndex.search(query.clauses);
+      filteredEmails = filteredEmails.filter(email => scores.has(email.filename));
+      if (!sortByDate) {
+        filteredEmails = [...filteredEmails].sort((a, b) =>
+          scores.get(b.filename) - scores.get(a.filename) || b.timestamp - a.timestamp);
+      }
+    }
+
+    return { emails: filteredEmails, scores, query };
+  }
+
+  // API: Get emails with pagination support
+  app.get('/api/emails', async (req, res) => {
+    try {
+      const limit = parseInt(req.query.limit) || 50;
+      const offset = parseInt(req.query.offset) || 0;
+      const since = parseInt(req.query.since) || 0; // timestamp - get emails newer than this
+
+      // Use cached email list for fast response
+      const { emails: allEmails, totalSize } = await getAllEmailsCached();
+      const { emails: filteredEmails, scores, query } = await filterEmailList(allEmails, req.query);
+
+      // Relevance and highlighted snippet (only for returned page)
+      const withSearchResult = (emails) => {
+        if (!scores) return emails;
+        return emails.map(email => ({
+          ...email,
+          search: {
+            score: Math.round(scores.get(email.filename) * 100) / 100,
+            ...searchIndex.snippet(email.filename, query.clauses),
+          },
+        }));
+      };
+
+      const latestTimestamp = filteredEmails.reduce((latest, email) => Math.max(latest, email.timestamp), 0);
+      // Emaily, ve kterých se zatím hledá jen v metadatech (full-text index se doplňuje na pozadí)
+      const searchStatus = scores ? { searchIndexPending: searchIndexPending.size } : {};
+
+      // Vlákna s aspoň jedním emailem odpovídajícím filtru, seřazená podle první shody (nejnovější / nejrelevantnější)
+      if (req.query.view === 'threads') {
+        const { byFilename, received } = getThreads(allEmails);
+        const matching = since > 0 ? filteredEmails.filter(email => email.timestamp > since) : filteredEmails;
+        const matchCounts = new Map();
+        for (const email of matching) {
+          const thread = byFilename.get(email.filename);
+          matchCounts.set(thread, (matchCounts.get(thread) || 0) + 1);
+        }
+        const threads = [...matchCounts.keys()];
+
+        res.json({
+          view: 'threads',
+          total: allEmails.length,
+          filteredTotal: matching.length,
+          threadTotal: threads.length,
+          totalSize,
+          threads: threads.slice(offset, offset + limit).map(thread => ({
+            ...summarizeThread(thread, received),
+            matchCount: matchCounts.get(thread),
+          })),
+          hasMore: offset + limit < threads.length,
+          offset,
+          limit,
+          latestTimestamp,
+          ...searchStatus,
+        });
+        return;
+      }
+
+      // If 'since' is provided, return only newer emails (for auto-refresh)
+      if (since > 0) {
+        const newerEmails = filteredEmails.filter(email => email.timestamp > since);
+        res.json({
+          total: allEmails.length,
+          totalSize,
+          emails: withSearchResult(newerEmails),
+          newCount: newerEmails.length,
+          latestTimestamp,
+          ...searchStatus,
+        });
+        return;
+      }
+
+      // Apply pagination
+      const paginatedEmails = filteredEmails.slice(offset, offset + limit);
+      const hasMore = offset + limit < filteredEmails.length;
+
+      res.json({
+        total: allEmails.length,
+        filteredTotal: filteredEmails.length,
+        totalSize,
+        emails: withSearchResult(paginatedEmails),
+        hasMore,
+        offset,
+        limit,
+        latestTimestamp,
+        ...searchStatus,
+      });
+    } catch (error) {
+      logger.error({ error: error.message }, 'API error: list emails');
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // API: Vlákno konverzace (id vlákna nebo filename kteréhokoli jeho emailu)
+  app.get('/api/threads/:id', async (req, res) => {
+    try {
+      const { emails } = await getAllEmailsCached();
+      const { byFilename, received } = getThreads(emails);
+      const thread = byFilename.get(req.params.id);
+
+      if (!thread) {
+        return res.status(404).json({ error: 'Thread not found' });
+      }
+
+      res.json({
+        ...summarizeThread(thread, received),
+        emails: layoutThread(thread, received),
+      });
+    } catch (error) {
+      logger.error({ error: error.message }, 'API error: get thread');
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  const EXPORT_FORMATS = {
+    mbox: { contentType: 'application/mbox', extension: 'mbox' },
+    zip: { contentType: 'application/zip', extension: 'zip' },
+  };
+
+  // API: Export složky nebo výsledku vyhledávání (stejné filtry jako /api/emails) jako mbox nebo ZIP
+  app.get('/api/emails/export', async (req, res) => {
+    const format = req.query.format || 'mbox';
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: `Invalid format "${format}" (expected ${Object.keys(EXPORT_FORMATS).join(', ')})` });
+    }
+
+    let emails;
+    try {
+      const { emails: allEmails } = await getAllEmailsCached();
+      // Archiv je chronologicky (nejstarší první), i když je výsledek vyhledávání řazený podle relevance
+      emails = [...(await filterEmailList(allEmails, req.query)).emails].sort((a, b) => a.timestamp - b.timestamp);
+    } catch (error) {
+      logger.error({ error: error.message }, 'API error: export emails');
+      return res.status(500).json({ error: error.message });
+    }
+
+    // ZIP: plochý seznam pro jednu složku, jinak mailbox/složka/soubor
+    const nested = new Set(emails.map(email => `${email.mailbox}/${email.folder}`)).size > 1;
+    const label = (req.query.folder || req.query.mailbox || (req.query.search ? 'search' : 'all')).replace(/[^\w.-]+/g, '_');
+    const { contentType, extension } = EXPORT_FORMATS[format];
+
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="mailrider-${label}-${new Date().toISOString().slice(0, 10)}.${extension}"`);
+    res.setHeader('X-Export-Count', String(emails.length));
+
+    const zip = format === 'zip' ? createZipWriter(res) : null;
+    let exported = 0;
+
+    try {
+      for (const email of emails) {
+        if (res.destroyed) break; // Klient zavřel spojení
+
+        let content;
+        try {
+          content = await storage.readMessage(email);
+        } catch {
+          // Mezitím přesunutý (new -> cur) nebo smazaný email
+          const emailLocation = await findEmail(email.filename);
+          if (!emailLocation) continue;
+          content = await storage.readMessage(emailLocation);
+        }
+
+        const date = new Date(email.timestamp * 1000);
+        if (zip) {
+          const name = `${email.filename}.eml`;
+          await zip.add(nested ? `${email.mailbox}/${email.folder}/${name}` : name, content, date);
+        } else {
+          // Importované zprávy envelope nemají - odesílatel z hlavičky From
+          const sender = email.envelope?.mailFrom || (email.from || '').match(/[^\s<>"]+@[^\s<>"]+/)?.[0];
+          if (!res.write(formatMboxMessage(content, { sender, date }))) {
+            await Promise.race([once(res, 'drain'), once(res, 'close')]);
+          }
+        }
+        exported++;
+      }
+
+      if (zip) await zip.finish();
+      res.end();
+      logger.info({ format, exported, query: req.query }, 'Emails exported');
+    } catch (error) {
+      // Hlavičky už jsou odeslané - jen ukončit spojení (klient dostane neúplný soubor)
+      logger.error({ error: error.message, exported }, 'API error: export emails');
+      res.destroy(error);
+    }
+  });
+
+  /**
+   * Ověří, zda položka seznamu emailů odpovídá filtru pro /api/emails/wait
+   * (from/to/subject = case-insensitive substring, since = unix timestamp v sekundách)
+   * @param {Object} email - Položka z getAllEmailsCached / buildEmailListItem
+   * @param {{mailbox: string, from: string, to: string, subject: string, since: number}} filter - Filtr
+   * @returns {boolean}
+   */
+  function matchesWaitFilter(email, filter) {
+    const envelope = email.envelope || {};
+    const from = `${email.from || ''} ${envelope.mailFrom || ''}`.toLowerCase();
+    // Envelope RCPT TO obsahuje i BCC příjemce, kteří nejsou v hlavičkách
+    const to = `${email.to || ''} ${(envelope.rcptTo || []).join(' ')}`.toLowerCase();
+
+    if (filter.since && email.timestamp < filter.since) return false;
+    if (filter.mailbox && email.mailbox !== filter.mailbox) return false;
+    if (filter.from && !from.includes(filter.from)) return false;
+    if (filter.to && !to.includes(filter.to)) return false;
+    if (filter.subject && !(email.subject || '').toLowerCase().includes(filter.subject)) return false;
+    return true;
+  }
+
+  const WAIT_DEFAULT_TIMEOUT = 30000; // 30s
+  const WAIT_MAX_TIMEOUT = 300000; // 5 min
+
+  /**
+   * Normalizuje filtr pro matchesWaitFilter (adresy a předmět bez ohledu na velikost písmen)
+   * @param {Object} [filter] - { mailbox, from, to, subject, since }
+   * @returns {Object}
+   */
+  function normalizeWaitFilter(filter = {}) {
+    return {
+      mailbox: filter.mailbox || '',
+      from: (filter.from || '').toLowerCase(),
+      to: (filter.to || '').toLowerCase(),
+      subject: (filter.subject || '').toLowerCase(),
+      since: parseInt(filter.since) || 0,
+    };
+  }
+
+  /**
+   * Počká na email odpovídající filtru (už uložený nebo nově přijatý)
+   * @param {Object} filter - { mailbox, from, to, subject, since }
+   * @param {Object} [waitOptions]
+   * @param {number} [waitOptions.timeout] - ms, výchozí WAIT_DEFAULT_TIMEOUT
+   * @param {AbortSignal} [waitOptions.signal] - Zrušení čekání (např. klient zavřel spojení)
+   * @returns {Promise<Object>} Detail emailu (buildFullEmail); chyba s `timeout` / `notFound` / `aborted`
+   */
+  function waitForEmail(filter, { timeout = WAIT_DEFAULT_TIMEOUT, signal } = {}) {
+    const normalized = normalizeWaitFilter(filter);
+
+    return new Promise((resolve, reject) => {
+      let finished = false;
+      let timer = null;
+
+      const finish = () => {
+        finished = true;
+        clearTimeout(timer);
+        mailEvents.off('event', onEvent);
+        signal?.removeEventListener('abort', onAbort);
+      };
+
+      const fail = (message, flag) => {
+        if (finished) return;
+        finish();
+        const error = new Error(message);
+        if (flag) error[flag] = true;
+        reject(error);
+      };
+
+      const resolveWithEmail = async (filename) => {
+        finish();
+        try {
+          const emailLocation = await findEmail(filename);
+          if (!emailLocation) {
+            const error = new Error('Email not found');
+            error.notFound = true;
+            throw error;
+          }
+          resolve(await buildFullEmail(filename, emailLocation));
+        } catch (error) {
+          reject(error);
+        }
+      };
+
+      // Přihlásit se k eventům dřív než projdeme existující emaily, ať nic neproklouzne
+      const onEvent = (event) => {
+        if (finished || event.type !== 'email.received') return;
+        if (matchesWaitFilter(event.data, normalized)) {
+          resolveWithEmail(event.data.filename);
+        }
+      };
+      const onAbort = () => fail('Waiting for email aborted', 'aborted');
+
+      if (signal?.aborted) return onAbort();
+      mailEvents.on('event', onEvent);
+      signal?.addEventListener('abort', onAbort);
+      timer = setTimeout(() => fail('Timed out waiting for email', 'timeout'), timeout);
+
+      // Nejdřív zkus již uložené emaily (seznam je seřazený od nejnovějšího)
+      getAllEmailsCached().then(({ emails }) => {
+        const existing = emails.find(email => matchesWaitFilter(email, normalized));
+        if (existing && !finished) {
+          resolveWithEmail(existing.filename);
+        }
+      }).catch(error => fail(error.message));
+    });
+  }
+
+  // API: Long-poll - počká na email odpovídající filtru (pro E2E testy)
+  app.get('/api/emails/wait', async (req, res) => {
+    const requestedTimeout = parseInt(req.query.timeout);
+    const timeout = Number.isNaN(requestedTimeout)
+      ? WAIT_DEFAULT_TIMEOUT
+      : Math.min(Math.max(requestedTimeout, 0), WAIT_MAX_TIMEOUT);
+    // Bez since se čeká na další email - odpovídající email uložený dřív by byl z předchozího kroku testu
+    const since = req.query.since ?? Math.floor(Date.now() / 1000);
+    const controller = new AbortController();
+    res.on('close', () => controller.abort()); // klient zavřel spojení
+
+    try {
+      res.json(await waitForEmail({ ...req.query, since }, { timeout, signal: controller.signal }));
+    } catch (error) {
+      if (error.aborted) return;
+      if (error.timeout) {
+        return res.status(408).json({ error: error.message, timeout });
+      }
+      if (error.notFound) {
+        return res.status(404).json({ error: error.message });
+      }
+      logger.error({ error: error.message }, 'API error: wait for email');
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * Smaže všechny emaily ve všech mailboxech a vyčistí pomocná data
+   * @returns {Promise<number>} Počet smazaných emailů
+   */
+  async function deleteAllEmails() {
+    const deletedCount = await storage.deleteAllMessages();
+
+    // Cleanup entire caches to prevent memory leak
+    messageIndex.clear();
+    envelopeStore = {};
+    saveEnvelopes();
+    releaseStore = {};
+    saveReleases();
+    protectedStore = {};
+    saveProtected();
+    searchIndex.clear();
+    searchIndexPending.clear();
+    invalidateListCache();
+    publishMailEvent('email.deleted', { all: true, deletedCount });
+
+    logger.info({ deletedCount }, 'Bulk delete completed');
+    return deletedCount;
+  }
+
+  // API: Bulk delete all emails (must be before /:filename route)
+  app.delete('/api/emails/all', async (req, res) => {
+    try {
+      const deletedCount = await deleteAllEmails();
+      res.json({ success: true, deletedCount });
+    } catch (error) {
+      logger.error({ error: error.message }, 'API error: bulk delete');
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // API: Delete email
+  app.delete('/api/emails/:filename', async (req, res) => {
+    try {
+      const filename = validateFilename(req.params.filename);
+      const emailLocation = await findEmail(filename);
+
+      if (!emailLocation) {
+        return res.status(404).json({ error: 'Email not found' });
+      }
+
+      await deleteEmail(filename, emailLocation);
+
+      logger.info({ filename, folder: emailLocation.folder }, 'Email deleted via API');
+      res.json({ success: true });
+    } catch (error) {
+      logger.error({ error: error.message }, 'API error: delete email');
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // API: Protect email from retention
+  app.post('/api/emails/:filename/protect', async (req, res) => {
+    await updateProtection(req, res, true);
+  });
+
+  // API: Remove retention protection
+  app.delete('/api/emails/:filename/protect', async (req, res) => {
+    await updateProtection(req, res, false);
+  });
+
+  /**
+   * Nastaví / zruší ochranu emailu před retention
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {boolean} value - Chránit?
+   */
+  async function updateProtection(req, res, value) {
+    try {
+      const filename = validateFilename(req.params.filename);
+      const emailLocation = await findEmail(filename);
+
+      if (!emailLocation) {
+        return res.status(404).json({ error: 'Email not found' });
+      }
+
+      setProtected(filename, value);
+      invalidateListCache();
+      publishMailEvent('email.protected', { filename, isProtected: value });
+
+      res.json({ success: true, isProtected: value });
+    } catch (error) {
+      logger.error({ error: error.message }, 'API error: update protection');
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // API: Get full email detail with all parts
+  app.get('/api/emails/:filename/full', async (req, res) => {
+    try {
+      const filename = validateFilename(req.params.filename);
+      const emailLocation = await findEmail(filename);
+
+      if (!emailLocation) {
+        return res.status(404).json({ error: 'Email not found' });
+      }
+
+      res.json(await buildFullEmail(filename, emailLocation));
+    } catch (error) {
+      logger.error({ error: error.message }, 'API error: get full email');
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // API: HTML compatibility report (CSS/HTML features vs. email clients)
+  app.get('/api/emails/:filename/compatibility', async (req, res) => {
+    try {
+      const filename = validateFilename(req.params.filename);
+      const emailLocation = await findEmail(filename);
+
+      if (!emailLocation) {
+        return res.status(404).json({ error: 'Email not found' });
+      }
+
+      const content = await storage.readMessage(emailLocation);
+      const parsed = await simpleParser(content);
+
+      res.json({
+        filename,
+        hasHtml: Boolean(parsed.html),
+        ...analyzeCompatibility(parsed.html || ''),
+      });
+    } catch (error) {
+      logger.error({ error: error.message }, 'API error: compatibility report');
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Kontrola odkazů (?check=true) - GET jen na hosty z LINK_CHECK_HOSTS
+  const linkChecker = createLinkChecker({
+    allowedHosts: LINK_CHECK_HOSTS,
+    timeout: LINK_CHECK_TIMEOUT,
+    logger,
+  });
+
+  // API: Links from HTML and text body (filter by pattern, optional check)
+  app.get('/api/emails/:filename/links', async (req, res) => {
+    try {
+      const filename = validateFilename(req.params.filename);
+      const { pattern = '', regex = '', part = '' } = req.query;
+      const check = req.query.check === 'true';
+
+      if (part && part !== 'html' && part !== 'text') {
+        return res.status(400).json({ error: 'Part must be html or text' });
+      }
+
+      let filter;
+      try {
+        filter = createLinkFilter({ pattern, regex, part });
+      } catch (error) {
+        return res.status(400).json({ error: `Invalid regex: ${error.message}` });
+      }
+
+      const emailLocation = await findEmail(filename);
+      if (!emailLocation) {
+        return res.status(404).json({ error: 'Email not found' });
+      }
+
+      // Bez skipHtmlToText by mailparser u HTML-only emailu vygeneroval text z HTML
+      const content = await storage.readMessage(emailLocation);
+      const parsed = await simpleParser(content, { skipHtmlToText: true });
+
+      const { links: allLinks, differences } = extractLinks({
+        html: parsed.html || '',
+        text: parsed.text || '',
+      });
+      const links = allLinks.filter(filter);
+
+      if (check) {
+        const results = await linkChecker.checkAll(links.map(link => link.url));
+        links.forEach(link => {
+          link.check = results.get(link.url);
+        });
+      }
+
+      res.json({
+        filename,
+        total: allLinks.length,
+        count: links.length,
+        links,
+        differences,
+        ...(check && { check: linkChecker.describe() }),
+      });
+    } catch (error) {
+      logger.error({ error: error.message }, 'API error: get links');
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // API: Download attachment
+  app.get('/api/emails/:filename/attachments/:index', async (req, res) => {
+    try {
+      const filename = validateFilename(req.params.filename);
+      const attachmentIndex = parseInt(req.params.index);
+      const emailLocation = await findEmail(filename);
+
+      if (!emailLocation) {
+        return res.status(404).json({ error: 'Email not found' });
+      }
+
+      const content = await storage.readMessage(emailLocation);
+      const parsed = await simpleParser(content);
+
+      if (!parsed.attachments || attachmentIndex >= parsed.attachments.length) {
+        return res.status(404).json({ error: 'Attachment not found' });
+      }
+
+      const attachment = parsed.attachments[attachmentIndex];
+
+      res.setHeader('Content-Type', attachment.contentType || 'application/octet-stream');
+      res.setHeader('Content-Disposition', `attachment; filename="${attachment.filename || 'attachment'}"`);
+      res.send(attachment.content);
+    } catch (error) {
+      logger.error({ error: error.message }, 'API error: download attachment');
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // API: Inline část podle Content-ID (cíl přepsaných cid: odkazů v htmlBody)
+  app.get('/api/emails/:filename/cid/:contentId', async (req, res) => {
+    try {
+      const filename = validateFilename(req.params.filename);
+      const contentId = normalizeContentId(req.params.contentId);
+      const emailLocation = await findEmail(filename);
+
+      if (!emailLocation) {
+        return res.status(404).json({ error: 'Email not found' });
+      }
+
+      const content = await storage.readMessage(emailLocation);
+      const parsed = await simpleParser(content);
+      const attachment = (parsed.attachments || [])
+        .find(att => att.contentId && normalizeContentId(att.contentId) === contentId);
+
+      if (!attachment) {
+        return res.status(404).json({ error: 'No part with this Content-ID' });
+      }
+
+      res.setHeader('Content-Type', attachment.contentType || 'application/octet-stream');
+      res.setHeader('Content-Disposition', 'inline');
+      res.setHeader('Cache-Control', 'public, max-age=86400');
+      res.send(attachment.content);
+    } catch (error) {
+      logger.error({ error: error.message }, 'API error: inline part');
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // API: Get attachment thumbnail (for images)
+  app.get('/api/emails/:filename/attachments/:index/thumb', async (req, res) => {
+    try {
+      const filename = validateFilename(req.params.filename);
+      const attachmentIndex = parseInt(req.params.index);
+      const emailLocation = await findEmail(filename);
+
+      if (!emailLocation) {
+        return res.status(404).json({ error: 'Email not found' });
+      }
+
+      const content = await storage.readMessage(emailLocation);
+      const parsed = await simpleParser(content);
+
+      if (!parsed.attachments || attachmentIndex >= parsed.attachments.length) {
+        return res.status(404).json({ error: 'Attachment not found' });
+      }
+
+      const attachment = parsed.attachments[attachmentIndex];
+
+      // Check if it's an image
+      if (!(attachment.contentType || '').startsWith('image/')) {
+        return res.status(400).json({ error: 'Not an image attachment' });
+      }
+
+      // Generate thumbnail using sharp
+      const thumbnail = await sharp(attachment.content)
+        .resize(200, 200, { fit: 'inside', withoutEnlargement: true })
+        .png()
+        .toBuffer();
+
+      res.setHeader('Content-Type', 'image/png');
+      res.setHeader('Cache-Control', 'public, max-age=86400'); // Cache for 24 hours
+      res.send(thumbnail);
+    } catch (error) {
+      logger.error({ error: error.message }, 'API error: generate thumbnail');
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // API: Export email as .eml
+  app.get('/api/emails/:filename.eml', async (req, res) => {
+    try {
+      const filename = validateFilename(req.params.filename);
+      const emailLocation = await findEmail(filename);
+
+      if (!emailLocation) {
+        return res.status(404).json({ error: 'Email not found' });
+      }
+
+      const content = await storage.readMessage(emailLocation);
+
+      res.setHeader('Content-Type', 'message/rfc822');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.eml"`);
+      res.send(content);
+    } catch (error) {
+      logger.error({ error: error.message }, 'API error: export eml');
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Retention sweeper (vytvoří se ve start() - policy se ověřuje při startu)
+  let retentionSweeper = null;
+
+  /**
+   * Shrnutí sweepu pro SSE a hlavičku Web UI (bez seznamu smazaných emailů)
+   * @param {Object|null} sweep - Výsledek sweepu
+   * @returns {Object|null}
+   */
+  function summarizeSweep(sweep) {
+    if (!sweep) return null;
+    const { removed, ...summary } = sweep;
+    return summary;
+  }
+
+  // API: Retention policy and last sweep
+  app.get('/api/retention', (req, res) => {
+    res.json({
+      policy: retentionSweeper.describe(),
+      lastSweep: retentionSweeper.getLastSweep(),
+    });
+  });
+
+  // API: Run retention sweep now
+  app.post('/api/retention/sweep', async (req, res) => {
+    if (!retentionSweeper.describe().enabled) {
+      return res.status(409).json({ error: 'Retention policy is not configured' });
+    }
+
+    try {
+      res.json(await retentionSweeper.sweep());
+    } catch (error) {
+      logger.error({ error: error.message }, 'API error: retention sweep');
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * Načte DKIM klíče z DKIM_KEYS_DIR / DKIM_KEYS_FILE do verifieru
+   * @returns {Promise<Array<Object>>} Načtené klíče
+   */
+  async function loadDkimKeysIntoVerifier() {
+    const keys = dkimVerifier.setKeys(await loadDkimKeys({ dir: DKIM_KEYS_DIR, file: DKIM_KEYS_FILE }));
+    // Výsledky v indexu mají otisk staré sady klíčů - seznam je ověří znovu
+    invalidateMessageIndex();
+    return keys;
+  }
+
+  // API: DKIM keys used for verification
+  app.get('/api/dkim', (req, res) => {
+    res.json({
+      dir: DKIM_KEYS_DIR,
+      file: DKIM_KEYS_FILE || null,
+      keyset: dkimVerifier.keysetId,
+      keys: dkimVerifier.getKeys(),
+    });
+  });
+
+  // API: Reload DKIM keys (after adding a key to DKIM_KEYS_DIR)
+  app.post('/api/dkim/reload', async (req, res) => {
+    try {
+      const keys = await loadDkimKeysIntoVerifier();
+      logger.info({ keys: keys.length }, 'DKIM keys reloaded');
+      res.json({ keyset: dkimVerifier.keysetId, keys });
+    } catch (error) {
+      logger.error({ error: error.message }, 'API error: reload DKIM keys');
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Release na upstream SMTP server (bez RELEASE_SMTP_HOST je vypnutý)
+  const releaser = createReleaser({
+    host: RELEASE_SMTP_HOST,
+    port: RELEASE_SMTP_PORT,
+    secure: RELEASE_SMTP_SECURE,
+    user: RELEASE_SMTP_USER,
+    pass: RELEASE_SMTP_PASS,
+    rejectUnauthorized: RELEASE_SMTP_TLS_VERIFY,
+    from: RELEASE_SMTP_FROM,
+    allowedDomains: RELEASE_ALLOWED_DOMAINS,
+    dkim: { domain: RELEASE_DKIM_DOMAIN, selector: RELEASE_DKIM_SELECTOR, keyPath: RELEASE_DKIM_KEY },
+    logger,
+  });
+
+  /**
+   * Původní odesílatel a příjemci emailu - ze SMTP envelope, u importovaných emailů z hlaviček (From, To + Cc)
+   * @param {string} filename - Maildir filename
+   * @param {Buffer} content - Raw email
+   * @returns {Promise<{sender: string, recipients: Array<string>}>}
+   */
+  async function getOriginalEnvelope(filename, content) {
+    const envelope = getEnvelope(filename);
+    if (envelope) {
+      return { sender: envelope.mailFrom, recipients: envelope.rcptTo };
+    }
+
+    const parsed = await simpleParser(content);
+    const addresses = (...headers) => headers
+      .flatMap(header => (Array.isArray(header) ? header : [header]))
+      .flatMap(header => header?.value || [])
+      .map(address => address.address)
+      .filter(Boolean);
+
+    return { sender: addresses(parsed.from)[0] || '', recipients: addresses(parsed.to, parsed.cc) };
+  }
+
+  // API: Release configuration (for Web UI)
+  app.get('/api/release', (req, res) => {
+    res.json(releaser.describe());
+  });
+
+  // API: Release email to upstream SMTP server
+  app.post('/api/emails/:filename/release', async (req, res) => {
+    try {
+      if (!releaser.configured) {
+        return res.status(503).json({ error: 'Release is not configured (RELEASE_SMTP_HOST)' });
+      }
+
+      const filename = validateFilename(req.params.filename);
+      const emailLocation = await findEmail(filename);
+
+      if (!emailLocation) {
+        return res.status(404).json({ error: 'Email not found' });
+      }
+
+      const content = await storage.readMessage(emailLocation);
+      const original = await getOriginalEnvelope(filename, content);
+
+      // Příjemci z body (pole nebo čárkou oddělený string), jinak původní
+      let recipients = req.body.recipients;
+      if (typeof recipients === 'string') recipients = recipients.split(',');
+      if (recipients !== undefined && !Array.isArray(recipients)) {
+        return res.status(400).json({ error: 'Recipients must be an array or a comma-separated string' });
+      }
+      recipients = (recipients || original.recipients)
+        .map(address => String(address).trim().toLowerCase())
+        .filter(Boolean);
+      recipients = [...new Set(recipients)];
+
+      if (recipients.length === 0) {
+        return res.status(400).json({ error: 'No recipients to release to' });
+      }
+
+      const invalid = recipients.filter(address => !/^[^\s@<>,]+@[^\s@<>,]+$/.test(address));
+      if (invalid.length > 0) {
+        return res.status(400).json({ error: 'Invalid recipient address', recipients: invalid });
+      }
+
+      const { denied } = releaser.checkRecipients(recipients);
+      if (denied.length > 0) {
+        logger.warn({ filename, denied }, 'Release blocked by domain allow-list');
+        return res.status(403).json({ error: 'Recipient domain not allowed for release', recipients: denied });
+      }
+
+      const release = await releaser.release({ raw: content, sender: original.sender, recipients });
+      addRelease(filename, release);
+
+      res.status(release.success ? 200 : 502).json({ success: release.success, release });
+    } catch (error) {
+      logger.error({ error: error.message }, 'API error: release email');
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // API: Mark email as read / unread, star / unstar (Maildir flagy S a F)
+  app.post('/api/emails/:filename/read', async (req, res) => {
+    await setEmailFlags(req, res, { isRead: true });
+  });
+
+  app.post('/api/emails/:filename/unread', async (req, res) => {
+    await setEmailFlags(req, res, { isRead: false });
+  });
+
+  app.post('/api/emails/:filename/flag', async (req, res) => {
+    await setEmailFlags(req, res, { isFlagged: true });
+  });
+
+  app.post('/api/emails/:filename/unflag', async (req, res) => {
+    await setEmailFlags(req, res, { isFlagged: false });
+  });
+
+  // API: Set any of isRead, isFlagged, isAnswered, isDeleted at once
+  app.patch('/api/emails/:filename/flags', async (req, res) => {
+    const changes = req.body || {};
+    const fields = Object.keys(changes);
+    if (fields.length === 0 || fields.some(field => !Object.hasOwn(FLAG_FIELDS, field) || typeof changes[field] !== 'boolean')) {
+      return res.status(400).json({ error: `Expected boolean ${Object.keys(FLAG_FIELDS).join(', ')}` });
+    }
+    await setEmailFlags(req, res, changes);
+  });
+
+  /**
+   * Změní flagy emailu (Maildir - projeví se i v IMAP klientech)
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   * @param {Object} changes - { isRead, isFlagged, isAnswered, isDeleted }
+   */
+  async function setEmailFlags(req, res, changes) {
+    try {
+      const filename = validateFilename(req.params.filename);
+      const state = await updateFlags(filename, changes);
+
+      if (!state) {
+        return res.status(404).json({ error: 'Email not found' });
+      }
+
+      logger.debug({ filename, ...changes }, 'Email flags updated');
+      res.json({ success: true, ...state });
+    } catch (error) {
+      logger.error({ error: error.message }, 'API error: update flags');
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  // API: Import EML files
+  app.post('/api/emails/import', upload.array('emlFiles', 100), async (req, res) => {
+    try {
+      if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ error: 'No files uploaded' });
+      }
+
+      const results = {
+        files: req.files.length,
+        total: 0,
+        imported: 0,
+        failed: 0,
+        errors: [],
+      };
+
+      // Nečitelný archiv odmítne celý import dřív, než se cokoli uloží
+      const files = [];
+      for (const file of req.files) {
+        try {
+          files.push(expandImportFile(file));
+        } catch (error) {
+          if (!error.invalid) throw error;
+          logger.warn({ filename: file.originalname, error: error.message }, 'Invalid import file');
+          return res.status(400).json({ error: error.message, filename: file.originalname });
+        }
+      }
+
+      // Volitelný cílový mailbox (multipart pole "mailbox")
+      const mailbox = normalizeMailboxName(req.body.mailbox) || MAILRIDER_USER;
+      await storage.ensureMailbox(mailbox);
+
+      for (const messages of files) {
+        for (const message of messages) {
+          results.total++;
+          try {
+            // Save the EML file content to Maildir (s původním datem)
+            await saveEmail(message.raw, mailbox, message.date);
+            results.imported++;
+
+            logger.info({
+              filename: message.name,
+              size: message.raw.length,
+            }, 'EML file imported successfully');
+          } catch (error) {
+            results.failed++;
+            results.errors.push({
+              filename: message.name,
+              error: error.message,
+            });
+
+            logger.error({
+              filename: message.name,
+              error: error.message,
+            }, 'Failed to import EML file');
+          }
+        }
+      }
+
+      // Importované emaily se naparsují při dalším čtení seznamu
+      if (results.imported > 0) invalidateMessageIndex();
+      res.json(results);
+    } catch (error) {
+      logger.error({ error: error.message }, 'API error: import EML');
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * Rozbalí nahraný soubor na jednotlivé zprávy (.eml = jedna, mbox a ZIP = více)
+   *
+   * Datum pro Maildir: hlavička Date:, u mbox jinak datum z `From ` oddělovače, u ZIP datum souboru v archivu.
+   *
+   * @param {Object} file - Soubor z multeru (originalname, buffer)
+   * @returns {Array<{name: string, raw: Buffer, date: Date|null}>}
+   * @throws {Error} invalid: true - nečitelný mbox nebo ZIP (viz src/archive.js)
+   */
+  function expandImportFile(file) {
+    const format = detectArchiveFormat(file.originalname, file.buffer);
+
+    if (format === 'mbox') {
+      return parseMbox(file.buffer).map((message, index) => ({
+        name: `${file.originalname} #${index + 1}`,
+        raw: message.raw,
+        date: message.date,
+      }));
+    }
+
+    if (format === 'zip') {
+      // Rozbalený archiv smí být velký jako nahraný soubor (ZIP bomba)
+      return readZipEntries(file.buffer, { maxSize: importMaxSize })
+        .filter(entry => /\.eml$/i.test(entry.name))
+        .map(entry => ({
+          name: `${file.originalname}: ${entry.name}`,
+          raw: entry.data,
+          date: getMessageDate(entry.data) || entry.date,
+        }));
+    }
+
+    return [{ name: file.originalname, raw: file.buffer, date: getMessageDate(file.buffer) }];
+  }
+
+  // API: Get list of all mailboxes (per-address routing)
+  app.get('/api/mailboxes', async (req, res) => {
+    try {
+      const folderStats = await getFolderStats();
+      const mailboxes = await storage.listMailboxes();
+      const sum = (name, field) => folderStats
+        .filter(stats => stats.mailbox === name)
+        .reduce((total, stats) => total + stats[field], 0);
+
+      res.json({
+        routingMode: ROUTING_MODE,
+        defaultMailbox: MAILRIDER_USER,
+        mailboxes: mailboxes.map(name => ({
+          name,
+          // Dovecot z přihlášení bere jen část před @ - mailbox s @ v názvu přes IMAP nedostupný
+          imapUser: name.includes('@') ? null : `${name}@${MAILRIDER_DOMAIN}`,
+          count: sum(name, 'count'),
+          unreadCount: sum(name, 'unreadCount'),
+        })),
+      });
+    } catch (error) {
+      logger.error({ error: error.message }, 'API error: list mailboxes');
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // API: Get list of all folders
+  app.get('/api/folders', async (req, res) => {
+    try {
+      const mailbox = req.query.mailbox ? normalizeMailboxName(req.query.mailbox) : null;
+      const folders = await storage.listFolders(mailbox || undefined);
+
+      // Add email counts for each folder
+      const counts = new Map((await getFolderStats()).map(stats => [`${stats.mailbox}/${stats.folder}`, stats.count]));
+      const foldersWithCounts = folders.map(folder => ({
+        name: folder.name,
+        mailbox: folder.mailbox,
+        count: counts.get(`${folder.mailbox}/${folder.name}`) || 0,
+        isDeletable: folder.name !== 'INBOX'
+      }));
+
+      res.json({ folders: foldersWithCounts });
+    } catch (error) {
+      logger.error({ error: error.message }, 'API error: list folders');
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // API: Create new folder
+  app.post('/api/folders', async (req, res) => {
+    try {
+      const { name } = req.body;
+      const mailbox = normalizeMailboxName(req.body.mailbox || MAILRIDER_USER);
+
+      if (!mailbox || !(await storage.mailboxExists(mailbox))) {
+        return res.status(404).json({ error: 'Mailbox not found' });
+      }
+
+      if (!name || typeof name !== 'string') {
+        return res.status(400).json({ error: 'Folder name is required' });
+      }
+
+      // Validate folder name
+      if (name.includes('/') || name.includes('\\') || name.includes('..') || name.startsWith('.')) {
+        return res.status(400).json({ error: 'Invalid folder name' });
+      }
+
+      if (name.toUpperCase() === 'INBOX') {
+        return res.status(400).json({ error: 'Cannot create folder named INBOX' });
+      }
+
+      // Maildir: složka začínající tečkou (.Archive)
+      try {
+        await storage.createFolder(mailbox, name);
+      } catch (error) {
+        if (error.conflict) return res.status(409).json({ error: error.message });
+        throw error;
+      }
+
+      invalidateListCache();
+
+      logger.info({ folderName: name, mailbox }, 'Folder created');
+      res.json({ success: true, folder: name, mailbox });
+    } catch (error) {
+      logger.error({ error: error.message }, 'API error: create folder');
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // API: Delete folder
+  app.delete('/api/folders/:name', async (req, res) => {
+    try {
+      const folderName = req.params.name;
+      const mailbox = normalizeMailboxName(req.query.mailbox || MAILRIDER_USER);
+
+      if (folderName.toUpperCase() === 'INBOX') {
+        return res.status(403).json({ error: 'Cannot delete INBOX folder' });
+      }
+
+      if (!mailbox || folderName.includes('/') || folderName.includes('\\') || folderName.includes('..')) {
+        return res.status(400).json({ error: 'Invalid folder name' });
+      }
+
+      // Delete folder and all contents
+      try {
+        await storage.deleteFolder(mailbox, folderName);
+      } catch (error) {
+        if (error.notFound) return res.status(404).json({ error: error.message });
+        throw error;
+      }
+
+      messageIndex.list()
+        .filter(entry => entry.mailbox === mailbox && entry.folder === folderName)
+        .forEach(entry => messageIndex.remove(entry.filename));
+      invalidateListCache();
+      publishMailEvent('email.deleted', { all: true, folder: folderName, mailbox });
+
+      logger.info({ folderName, mailbox }, 'Folder deleted');
+      res.json({ success: true });
+    } catch (error) {
+      logger.error({ error: error.message }, 'API error: delete folder');
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // API: Move email to different folder
+  app.post('/api/emails/:filename/move', async (req, res) => {
+    try {
+      const filename = validateFilename(req.params.filename);
+      const { targetFolder } = req.body;
+
+      if (!targetFolder || typeof targetFolder !== 'string') {
+        return res.status(400).json({ error: 'Target folder is required' });
+      }
+
+      // Find current location
+      const emailLocation = await findEmail(filename);
+      if (!emailLocation) {
+        return res.status(404).json({ error: 'Email not found' });
+      }
+
+      // Check if already in target folder
+      if (emailLocation.folder === targetFolder) {
+        return res.status(400).json({ error: 'Email is already in this folder' });
+      }
+
+      // Move within the email's mailbox (preserve subfolder - new/cur)
+      try {
+        messageIndex.relocate(await storage.moveMessage(emailLocation, targetFolder));
+      } catch (error) {
+        if (error.notFound) return res.status(404).json({ error: error.message });
+        throw error;
+      }
+
+      invalidateListCache();
+      publishMailEvent('email.moved', {
+        filename,
+        mailbox: emailLocation.mailbox,
+        fromFolder: emailLocation.folder,
+        toFolder: targetFolder,
+      });
+
+      logger.info({
+        filename,
+        mailbox: emailLocation.mailbox,
+        from: emailLocation.folder,
+        to: targetFolder
+      }, 'Email moved between folders');
+
+      res.json({ success: true, targetFolder });
+    } catch (error) {
+      logger.error({ error: error.message }, 'API error: move email');
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // API: Fault injection pravidla (simulace chyb SMTP serveru)
+  app.get('/api/faults', (req, res) => {
+    res.json({
+      file: SMTP_FAULTS_FILE || null,
+      rules: faultInjector.getRules(),
+    });
+  });
+
+  // API: Replace all fault rules
+  app.put('/api/faults', (req, res) => {
+    try {
+      const rules = Array.isArray(req.body) ? req.body : req.body.rules;
+      const updated = faultInjector.setRules(rules);
+      logger.info({ rules: updated.length }, 'Fault injection rules replaced');
+      res.json({ rules: updated });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // API: Add fault rule
+  app.post('/api/faults', (req, res) => {
+    try {
+      const rule = faultInjector.addRule(req.body);
+      logger.info({ rule }, 'Fault injection rule added');
+      res.status(201).json({ rule });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // API: Reload fault rules from SMTP_FAULTS_FILE (zahodí změny z API)
+  app.post('/api/faults/reload', async (req, res) => {
+    if (!SMTP_FAULTS_FILE) {
+      return res.status(400).json({ error: 'SMTP_FAULTS_FILE is not configured' });
+    }
+
+    try {
+      const rules = faultInjector.setRules(await loadFaultRules(SMTP_FAULTS_FILE));
+      logger.info({ file: SMTP_FAULTS_FILE, rules: rules.length }, 'Fault injection rules reloaded');
+      res.json({ rules });
+    } catch (error) {
+      logger.error({ error: error.message }, 'API error: reload fault rules');
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // API: Log of triggered fault rules (newest first)
+  app.get('/api/faults/log', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    res.json({ entries: faultInjector.getLog().slice(0, limit) });
+  });
+
+  // API: Clear fault log (must be before /:id route)
+  app.delete('/api/faults/log', (req, res) => {
+    faultInjector.clearLog();
+    res.json({ success: true });
+  });
+
+  // API: Update fault rule (e.g. enable/disable)
+  app.patch('/api/faults/:id', (req, res) => {
+    try {
+      const rule = faultInjector.updateRule(req.params.id, req.body);
+      logger.info({ rule }, 'Fault injection rule updated');
+      res.json({ rule });
+    } catch (error) {
+      res.status(error.notFound ? 404 : 400).json({ error: error.message });
+    }
+  });
+
+  // API: Delete fault rule
+  app.delete('/api/faults/:id', (req, res) => {
+    try {
+      const rule = faultInjector.removeRule(req.params.id);
+      logger.info({ id: rule.id }, 'Fault injection rule removed');
+      res.json({ success: true });
+    } catch (error) {
+      res.status(error.notFound ? 404 : 400).json({ error: error.message });
+    }
+  });
+
+  // Webhooky po přijetí emailu (z WEBHOOKS_FILE / WEBHOOK_URL, měnitelné přes /api/webhooks)
+  const webhookDispatcher = createWebhookDispatcher({
+    timeout: WEBHOOK_TIMEOUT,
+    maxAttempts: WEBHOOK_MAX_ATTEMPTS,
+    logger,
+    onDelivery: (delivery) => publishMailEvent('webhook.delivery', {
+      id: delivery.id,
+      webhookId: delivery.webhookId,
+      filename: delivery.filename,
+      status: delivery.status,
+      attempts: delivery.attempts.length,
+    }),
+  });
+
+  /**
+   * Načte webhooky z WEBHOOKS_FILE a WEBHOOK_URL
+   * @returns {Promise<Array<Object>>} Webhooky pro dispatcher
+   */
+  async function loadConfiguredWebhooks() {
+    const webhooks = WEBHOOKS_FILE ? await loadWebhooks(WEBHOOKS_FILE) : [];
+    if (WEBHOOK_URL) {
+      webhooks.push({ id: 'default', url: WEBHOOK_URL, secret: WEBHOOK_SECRET });
+    }
+    return webhookDispatcher.setWebhooks(webhooks);
+  }
+
+  // API: Webhooky a log doručení
+  app.get('/api/webhooks', (req, res) => {
+    res.json({
+      file: WEBHOOKS_FILE || null,
+      ...webhookDispatcher.describe(),
+      webhooks: webhookDispatcher.getWebhooks(),
+      deliveries: webhookDispatcher.getDeliveries().slice(0, 20),
+    });
+  });
+
+  // API: Replace all webhooks
+  app.put('/api/webhooks', (req, res) => {
+    try {
+      const webhooks = Array.isArray(req.body) ? req.body : req.body.webhooks;
+      const updated = webhookDispatcher.setWebhooks(webhooks);
+      logger.info({ webhooks: updated.length }, 'Webhooks replaced');
+      res.json({ webhooks: updated });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // API: Add webhook
+  app.post('/api/webhooks', (req, res) => {
+    try {
+      const webhook = webhookDispatcher.addWebhook(req.body);
+      logger.info({ webhook }, 'Webhook added');
+      res.status(201).json({ webhook });
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // API: Reload webhooks from WEBHOOKS_FILE / WEBHOOK_URL (zahodí změny z API)
+  app.post('/api/webhooks/reload', async (req, res) => {
+    if (!WEBHOOKS_FILE && !WEBHOOK_URL) {
+      return res.status(400).json({ error: 'Neither WEBHOOKS_FILE nor WEBHOOK_URL is configured' });
+    }
+
+    try {
+      const webhooks = await loadConfiguredWebhooks();
+      logger.info({ file: WEBHOOKS_FILE || undefined, webhooks: webhooks.length }, 'Webhooks reloaded');
+      res.json({ webhooks });
+    } catch (error) {
+      logger.error({ error: error.message }, 'API error: reload webhooks');
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // API: Delivery log (newest first), filtr ?webhook=&status=
+  app.get('/api/webhooks/deliveries', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const deliveries = webhookDispatcher.getDeliveries({ webhookId: req.query.webhook, status: req.query.status });
+    res.json({ deliveries: deliveries.slice(0, limit) });
+  });
+
+  // API: Clear delivery log (must be before /:id route, probíhající opakování zůstanou)
+  app.delete('/api/webhooks/deliveries', (req, res) => {
+    webhookDispatcher.clearDeliveries();
+    res.json({ success: true });
+  });
+
+  // API: Update webhook (e.g. enable/disable)
+  app.patch('/api/webhooks/:id', (req, res) => {
+    try {
+      const webhook = webhookDispatcher.updateWebhook(req.params.id, req.body);
+      logger.info({ webhook }, 'Webhook updated');
+      res.json({ webhook });
+    } catch (error) {
+      res.status(error.notFound ? 404 : 400).json({ error: error.message });
+    }
+  });
+
+  // API: Delete webhook
+  app.delete('/api/webhooks/:id', (req, res) => {
+    try {
+      const webhook = webhookDispatcher.removeWebhook(req.params.id);
+      logger.info({ id: webhook.id }, 'Webhook removed');
+      res.json({ success: true });
+    } catch (error) {
+      res.status(error.notFound ? 404 : 400).json({ error: error.message });
+    }
+  });
+
+  /**
+   * SMTP Server setup
+   */
+  // Auth handler se nastaví při startu (po načtení účtů)
+  let smtpAuthHandler = createAuthHandler({ mode: 'reject', logger });
+
+  // SMTP servery se vytvoří při startu (po načtení TLS certifikátu)
+  let server = null; // SMTP_PORT - plaintext + STARTTLS
+  let secureServer = null; // SMTPS_PORT - implicitní TLS
+
+  // Fault injection pravidla (ze SMTP_FAULTS_FILE, měnitelná přes /api/faults)
+  const faultInjector = createFaultInjector({
+    logger,
+    onTrigger: (entry) => publishMailEvent('fault.triggered', entry),
+  });
+
+  /**
+   * Zavře SMTP spojení bez odpovědi (simulace výpadku serveru)
+   * @param {Object} session - smtp-server session
+   */
+  function dropSmtpConnection(session) {
+    for (const smtpServer of [server, secureServer]) {
+      if (!smtpServer) continue;
+      for (const connection of smtpServer.connections) {
+        // smtp-server nemá veřejné API pro zavření spojení bez odpovědi
+        if (connection.id === session.id) {
+          connection._socket.destroy();
+          return;
+        }
+      }
+    }
+  }
+
+  /**
+   * Vyhodnotí fault-injection pravidla pro fázi transakce a provede zpoždění / zavření spojení
+   * @param {string} stage - rcpt, data, eod
+   * @param {Object} session - smtp-server session
+   * @param {Object} [context] - { recipient, subject, size } (size jinak z MAIL FROM SIZE=)
+   * @returns {Promise<{error?: Error, dropped?: boolean}|null>} null = pokračovat normálně
+   */
+  async function injectFault(stage, session, context = {}) {
+    const declaredSize = parseInt(session.envelope.mailFrom?.args?.SIZE, 10);
+
+    const rule = faultInjector.evaluate(stage, {
+      sender: session.envelope.mailFrom?.address || '',
+      recipients: context.recipient
+        ? [context.recipient]
+        : session.envelope.rcptTo.map(r => r.address.toLowerCase()),
+      subject: context.subject,
+      size: context.size ?? (Number.isNaN(declaredSize) ? undefined : declaredSize),
+      remoteAddress: session.remoteAddress,
+      sessionId: session.id,
+    });
+    if (!rule) return null;
+
+    if (rule.delayMs) {
+      await new Promise(resolve => setTimeout(resolve, rule.delayMs));
+    }
+
+    if (rule.action === 'drop') {
+      dropSmtpConnection(session);
+      return { dropped: true };
+    }
+    if (rule.action === 'reject') {
+      return { error: createSmtpError(rule.code, rule.message) };
+    }
+    return null;
+  }
+
+  /**
+   * Vytvoří chybu s SMTP kódem odpovědi
+   * @param {number} code - SMTP kód
+   * @param {string} message - Text odpovědi
+   * @returns {Error}
+   */
+  function createSmtpError(code, message) {
+    const error = new Error(message);
+    error.responseCode = code;
+    return error;
+  }
+
+  /**
+   * Poslal klient v MAIL FROM parametr SMTPUTF8?
+   * (session.envelope.smtpUtf8 zůstane nastavený i po odmítnutém MAIL FROM, proto z přijatých parametrů)
+   * @param {Object} session - smtp-server session
+   * @returns {boolean}
+   */
+  function isSmtpUtf8Transaction(session) {
+    return session.envelope.mailFrom?.args?.SMTPUTF8 === true;
+  }
+
+  /**
+   * Ne-ASCII adresa (např. `jiří@example.cz`) je povolená jen v transakci se SMTPUTF8 (RFC 6531)
+   * @param {string} address - Adresa z MAIL FROM / RCPT TO
+   * @param {boolean} smtpUtf8 - Klient poslal MAIL FROM ... SMTPUTF8
+   * @returns {Error|null}
+   */
+  function checkAddressEncoding(address, smtpUtf8) {
+    if (/^[\x00-\x7f]*$/.test(address)) return null;
+
+    if (!SMTP_SMTPUTF8) {
+      return createSmtpError(553, 'Non-ASCII addresses not supported');
+    }
+    if (!smtpUtf8) {
+      return createSmtpError(553, 'Non-ASCII address requires SMTPUTF8');
+    }
+    return null;
+  }
+
+  // Sdílené options a handlery pro oba SMTP servery
+  const smtpServerOptions = {
+    authOptional: true,
+    // Povolit přihlášení bez TLS (lokální dev), pokud není TLS vyžadováno
+    allowInsecureAuth: !SMTP_REQUIRE_TLS,
+
+    // AUTH je volitelný - ve výchozím stavu vypnutý (lokální dev)
+    authMethods: AUTH_METHODS,
+
+    onAuth(auth, session, callback) {
+      smtpAuthHandler(auth, session, callback);
+    },
+
+    // Handler pro MAIL FROM - volitelně vynutí TLS (odhalí klienty, kteří padají na plaintext)
+    onMailFrom(address, session, callback) {
+      if (SMTP_REQUIRE_TLS && !session.secure) {
+        logger.warn({
+          from: address.address,
+          remoteAddress: session.remoteAddress
+        }, 'Rejected plaintext SMTP transaction (TLS required)');
+
+        const error = new Error('Must issue a STARTTLS command first');
+        error.responseCode = 530;
+        return callback(countRejection('mail', error));
+      }
+
+      // Parametry vypnutých rozšíření (nejsou v EHLO) nejsou povolené
+      if (!SMTP_SMTPUTF8 && address.args.SMTPUTF8) {
+        return callback(countRejection('mail', createSmtpError(555, 'SMTPUTF8 parameter not supported')));
+      }
+      if (!SMTP_8BITMIME && address.args.BODY) {
+        return callback(countRejection('mail', createSmtpError(555, 'BODY parameter not supported')));
+      }
+
+      callback(countRejection('mail', checkAddressEncoding(address.address, address.args.SMTPUTF8 === true)));
+    },
+
+    // Banner
+    banner: 'Faktron Catch-all SMTP Server',
+
+    // Log úroveň
+    logger: env.SMTP_DEBUG === 'true',
+
+    // Handler pro RCPT TO (příjemce)
+    onRcptTo(address, session, callback) {
+      const email = address.address.toLowerCase();
+
+      const encodingError = checkAddressEncoding(address.address, isSmtpUtf8Transaction(session));
+      if (encodingError) return callback(countRejection('rcpt', encodingError));
+
+      injectFault('rcpt', session, { recipient: email }).then((fault) => {
+        if (fault?.dropped) return;
+        if (fault) return callback(countRejection('rcpt', fault.error));
+
+        // Přijmout všechny domény (MailRider routing pro celý server)
+        logger.debug({
+          originalRecipient: email,
+          routedTo: `${routeRecipient(email)}@${MAILRIDER_DOMAIN}`
+        }, 'MailRider routing');
+
+        callback();
+      }).catch(error => callback(error));
+    },
+
+    // Handler pro příjem emailu
+    onData(stream, session, callback) {
+      injectFault('data', session).then((fault) => {
+        if (fault?.dropped) return;
+        if (fault) {
+          // 354 už bylo odesláno - smtp-server pošle chybu až po přijetí celé zprávy
+          stream.resume();
+          return callback(countRejection('data', fault.error));
+        }
+
+        return receiveEmail(stream, session, callback);
+      }).catch((error) => {
+        // Chyba mimo try v receiveEmail - klient jinak na odpověď čeká do timeoutu
+        logger.error({ error: error.message }, 'Failed to receive email');
+        stream.resume();
+        callback(error);
+      });
+    },
+  };
+
+  /**
+   * Přijme tělo emailu a uloží ho do všech cílových mailboxů
+   *
+   * DATA se zapisuje rovnou do draftu prvního mailboxu (u Maildir do tmp, celá zpráva se nedrží v paměti),
+   * ostatní mailboxy dostanou kopii.
+   *
+   * @param {Stream} stream - DATA stream ze smtp-server
+   * @param {Object} session - smtp-server session
+   * @param {Function} callback - onData callback
+   */
+  async function receiveEmail(stream, session, callback) {
+    // Každý cílový mailbox dostane jednu kopii (v catch-all režimu je jen jeden)
+    const mailboxes = [...new Set(session.envelope.rcptTo.map(r => routeRecipient(r.address)))];
+    if (mailboxes.length === 0) mailboxes.push(MAILRIDER_USER);
+
+    let size = 0;
+    let eightBitData = false;
+    let draft = null;
+    const deliveries = [];
+    let committed = 0;
+
+    try {
+      draft = await storage.createDraft(mailboxes[0]);
+
+      // DKIM hash těla se počítá během zápisu - zpráva se kvůli ověření znovu nečte
+      const dkimDigest = createDkimDigest();
+      stream.on('data', (chunk) => {
+        size += chunk.length;
+        if (!eightBitData && !isAscii(chunk)) eightBitData = true;
+        dkimDigest.update(chunk);
+      });
+      await draft.writeStream(stream);
+
+      if (stream.sizeExceeded) {
+        await draft.discard();
+        logger.warn({ from: session.envelope.mailFrom?.address, size, maxSize: SMTP_MAX_SIZE }, 'Rejected email exceeding size limit');
+        return callback(countRejection('data', createSmtpError(552, `Message exceeds fixed maximum message size ${SMTP_MAX_SIZE}`)));
+      }
+
+      // Bez 8BITMIME smí klient posílat jen 7-bit data (SMTPUTF8 povoluje UTF-8 hlavičky)
+      if (eightBitData && !SMTP_8BITMIME && !isSmtpUtf8Transaction(session)) {
+        await draft.discard();
+        logger.warn({ from: session.envelope.mailFrom?.address }, 'Rejected 8-bit message without 8BITMIME');
+        return callback(countRejection('data', createSmtpError(554, '8-bit data not allowed without 8BITMIME')));
+      }
+
+      // Parse metadata pro logging a cache (jednou, z draftu)
+      let parsed = null;
+      try {
+        parsed = await parseEmail(draft.open());
+      } catch (error) {
+        metricParseFailures.inc({ source: 'smtp' });
+        logger.warn({ error: error.message }, 'Failed to parse email metadata');
+      }
+      const dkim = parsed ? verifyEmailDkim(dkimDigest.digest()) : null;
+
+      logger.info({
+        from: session.envelope.mailFrom?.address,
+        to: session.envelope.rcptTo.map(r => r.address),
+        user: session.user?.username,
+        subject: parsed?.subject,
+        size,
+        eightBitData,
+        dkim: dkim?.result,
+      }, 'Receiving email');
+
+      const fault = await injectFault('eod', session, { subject: parsed?.subject || '', size });
+      if (fault) {
+        await draft.discard();
+        if (fault.dropped) return;
+        return callback(countRejection('data', fault.error));
+      }
+
+      const envelope = { ...buildEnvelopeRecord(session), eightBitData };
+
+      // Kopie pro další mailboxy se vytvoří dřív, než se originál uloží (u Maildir přesune z tmp)
+      deliveries.push(draft);
+      for (const mailbox of mailboxes.slice(1)) {
+        deliveries.push(await draft.copy(mailbox));
+      }
+
+      for (const delivery of deliveries) {
+        const location = await delivery.commit();
+        committed++;
+        const { filename, mailbox } = location;
+        logger.info({ filename, size, destination: `${mailbox}@${MAILRIDER_DOMAIN}` }, 'Email saved');
+        setEnvelope(filename, envelope);
+        metricMessagesReceived.inc({ mailbox });
+        metricBytesStored.inc({ mailbox }, size);
+
+        // Nenaparsovaný email se zkusí načíst znovu při dalším čtení seznamu
+        if (!parsed) invalidateMessageIndex();
+
+        // Předpřipravit metadata nového emailu do indexu a oznámit ho klientům
+        if (parsed) {
+          const newMetadata = cacheEmailMetadata(location, parsed, size, dkim);
+          indexEmail(filename, parsed);
+          logger.debug({ filename }, 'New email metadata cached');
+          const item = buildEmailListItem(location, newMetadata);
+          addToListCache(item); // Nový email se ihned objeví na API
+          publishMailEvent('email.received', item);
+          webhookDispatcher.dispatch('email.received', item, {
+            sender: envelope.mailFrom,
+            recipients: envelope.rcptTo,
+            subject: newMetadata.subject,
+            filename,
+            rawUrl: `${webhookPublicUrl}/api/emails/${encodeURIComponent(filename)}.eml`,
+          });
+        }
+      }
+
+      callback();
+    } catch (error) {
+      logger.error({
+        error: error.message,
+        from: session.envelope.mailFrom?.address
+      }, 'Failed to process email');
+
+      // smtp-server odpoví až po dočtení DATA
+      stream.resume();
+      for (const delivery of (deliveries.length > 0 ? deliveries : [draft]).slice(committed)) {
+        if (delivery) await delivery.discard();
+      }
+
+      // Část mailboxů email už má - 4xx by klient zopakoval a email by se uložil podruhé
+      if (committed > 0) {
+        logger.warn({ committed, mailboxes: mailboxes.length }, 'Email already stored, accepting it despite the error');
+        return callback();
+      }
+      callback(countRejection('data', createSmtpError(450, 'Failed to save email')));
+    }
+  }
+
+  /**
+   * Vytvoří SMTP server se sdílenými handlery
+   * @param {Object} options - Options specifické pro listener (secure, key, cert, ...)
+   * @returns {SMTPServer}
+   */
+  function createSmtpServer(options) {
+    const disabledCommands = [];
+    if (SMTP_AUTH_MODE === 'off') disabledCommands.push('AUTH');
+    if (!SMTP_STARTTLS || options.secure) disabledCommands.push('STARTTLS');
+
+    const listener = options.secure ? 'smtps' : 'smtp';
+
+    // SMTPServer options mutuje - každý server dostane vlastní kopii
+    const smtpServer = new SMTPServer({
+      ...smtpServerOptions,
+      onConnect(session, callback) {
+        // Kontroly z /health (každých pár sekund) by jinak přebily skutečná spojení
+        session.healthProbe = healthChecker.isProbeConnection(session);
+        if (!session.healthProbe) {
+          metricSmtpSessions.inc({ listener });
+          metricSmtpSessionsActive.inc({ listener });
+        }
+        callback();
+      },
+      onClose(session) {
+        if (!session.healthProbe) metricSmtpSessionsActive.dec({ listener });
+      },
+      disabledCommands,
+      size: SMTP_MAX_SIZE || undefined, // SIZE v EHLO + 552 pro MAIL FROM ... SIZE= nad limit
+      hideSMTPUTF8: !SMTP_SMTPUTF8,
+      hide8BITMIME: !SMTP_8BITMIME,
+      closeTimeout: 5000, // stop() nečeká na otevřená spojení déle
+      ...options,
+    });
+
+    // Chyby socketů a listeneru smtp-server re-emituje na serveru - bez listeneru by shodily proces
+    smtpServer.on('error', (error) => {
+      logger.warn({ listener, error: error.message }, 'SMTP server error');
+    });
+    return smtpServer;
+  }
+
+  /**
+   * Spustí listener a počká, až poslouchá
+   * @param {Object} target - http.Server nebo SMTPServer
+   * @param {number} port - 0 = náhodný volný port
+   * @returns {Promise<number>} Skutečný port
+   */
+  function listen(target, port) {
+    return new Promise((resolve, reject) => {
+      const netServer = target.server || target; // SMTPServer obaluje net.Server
+      netServer.once('error', reject);
+      target.listen(port, LISTEN_HOST, () => {
+        netServer.off('error', reject);
+        resolve(netServer.address().port);
+      });
+    });
+  }
+
+  /**
+   * Zavře listener (callback API -> Promise)
+   * @param {Object} target - http.Server nebo SMTPServer
+   * @returns {Promise<void>}
+   */
+  function close(target) {
+    return new Promise(resolve => target.close(() => resolve()));
+  }
+
+  let webServer = null;
+
+  /**
+   * Start servers
+   *
+   * Když start selže (neplatná konfigurace, obsazený port), zavře hlídání úložiště i servery,
+   * které už poslouchají - instanci jde opravit a spustit znovu.
+   *
+   * @returns {Promise<{smtpPort: number, smtpsPort: number|null, webPort: number, url: string}>} Skutečné porty
+   */
+  async function start() {
+    if (webServer) throw new Error('MailRider is already started');
+
+    try {
+      return await startServers();
+    } catch (error) {
+      storageWatcher?.close();
+      storageWatcher = null;
+      const listening = [webServer, server, secureServer].filter(target => target && (target.server || target).listening);
+      await Promise.all(listening.map(close));
+      webServer = null;
+      server = null;
+      secureServer = null;
+      throw error;
+    }
+  }
+
+  /**
+   * Načte konfiguraci a data z úložiště a spustí servery (úklid po chybě dělá start)
+   * @returns {Promise<Object>} Skutečné porty
+   */
+  async function startServers() {
+    // Výchozí mailbox a migrace read status
+    await initStorage();
+
+    // Load message index for fast list loading
+    await loadMessageIndex();
+    await loadEnvelopes();
+    await loadReleases();
+    await loadProtected();
+
+    // Změny v úložišti od IMAP klientů (Dovecot) - bez hlídání je uvidíme až po vypršení CACHE_TTL
+    try {
+      storageWatcher = await storage.watch(changes => applyStorageChanges(changes));
+    } catch (error) {
+      logger.warn({ error: error.message }, 'Storage watcher unavailable, external changes will show up after cache TTL');
+    }
+
+    // SMTP AUTH
+    if (!AUTH_MODES.includes(SMTP_AUTH_MODE)) {
+      throw new Error(`Invalid SMTP_AUTH_MODE "${SMTP_AUTH_MODE}" (expected ${AUTH_MODES.join(', ')})`);
+    }
+    const smtpCredentials = SMTP_AUTH_MODE === 'credentials'
+      ? await loadCredentials({ users: SMTP_AUTH_USERS, file: SMTP_AUTH_FILE })
+      : new Map();
+    smtpAuthHandler = createAuthHandler({ mode: SMTP_AUTH_MODE, credentials: smtpCredentials, logger });
+    logger.info({ mode: SMTP_AUTH_MODE, accounts: smtpCredentials.size }, 'SMTP authentication configured');
+
+    // Routing příjemců do mailboxů
+    const routingRules = ROUTING_RULES_FILE ? await loadRoutingRules(ROUTING_RULES_FILE) : [];
+    routeRecipient = createRouter({
+      mode: ROUTING_MODE,
+      defaultMailbox: MAILRIDER_USER,
+      key: ROUTING_KEY,
+      catchAll: ROUTING_CATCHALL,
+      rules: routingRules,
+    });
+    logger.info({ mode: ROUTING_MODE, key: ROUTING_KEY, rules: routingRules.length }, 'Recipient routing configured');
+    if (ROUTING_MODE === 'mailbox' && ROUTING_KEY === 'address') {
+      logger.warn('ROUTING_KEY=address creates mailboxes the bundled Dovecot config cannot serve, they are available only in the Web UI and API');
+    }
+
+    // Fault injection pravidla
+    if (SMTP_FAULTS_FILE) {
+      faultInjector.setRules(await loadFaultRules(SMTP_FAULTS_FILE));
+      logger.info({ file: SMTP_FAULTS_FILE, rules: faultInjector.getRules().length }, 'Fault injection rules loaded');
+    }
+
+    // Webhooky po přijetí emailu
+    if (WEBHOOKS_FILE || WEBHOOK_URL) {
+      const webhooks = await loadConfiguredWebhooks();
+      logger.info({ file: WEBHOOKS_FILE || undefined, webhooks: webhooks.length }, 'Webhooks loaded');
+    }
+
+    // Veřejné klíče pro DKIM/ARC ověření
+    const dkimKeys = await loadDkimKeysIntoVerifier();
+    logger.info({ dir: DKIM_KEYS_DIR, file: DKIM_KEYS_FILE || undefined, keys: dkimKeys.length }, 'DKIM keys loaded');
+    dkimKeys.filter(key => key.error).forEach(key => logger.warn({ key: key.name, error: key.error }, 'Invalid DKIM key'));
+
+    // Retention policy
+    const retentionPolicy = parseRetentionPolicy({
+      maxAge: RETENTION_MAX_AGE,
+      maxCount: RETENTION_MAX_COUNT,
+      maxSize: RETENTION_MAX_SIZE,
+      protectedFolders: RETENTION_PROTECTED_FOLDERS,
+      interval: RETENTION_INTERVAL,
+    });
+    retentionSweeper = createRetentionSweeper({
+      policy: retentionPolicy,
+      listEmails: async () => {
+        invalidateListCache();
+        return (await getAllEmailsCached()).emails;
+      },
+      removeEmail: async (email) => {
+        const emailLocation = await findEmail(email.filename);
+        if (!emailLocation) throw new Error('Email not found');
+        await deleteEmail(email.filename, emailLocation, 'retention');
+      },
+      logger,
+      onSweep: (sweep) => publishMailEvent('retention.swept', summarizeSweep(sweep)),
+    });
+    if (retentionPolicy.enabled) {
+      const { maxAge, maxCount, maxSize, protectedFolders, interval } = retentionPolicy;
+      logger.info({ maxAge, maxCount, maxSize, protectedFolders, interval }, 'Retention policy configured');
+    }
+
+    // TLS certifikát pro STARTTLS / SMTPS
+    const tlsCredentials = (SMTP_STARTTLS || SMTPS_PORT)
+      ? await loadTlsCredentials({
+        certPath: SMTP_TLS_CERT,
+        keyPath: SMTP_TLS_KEY,
+        dir: SMTP_TLS_DIR,
+        hostname: SMTP_TLS_HOSTNAME,
+        logger,
+      })
+      : null;
+    if (tlsCredentials) {
+      logger.info({ source: tlsCredentials.source }, 'TLS certificate loaded');
+    }
+    const tlsOptions = tlsCredentials ? { key: tlsCredentials.key, cert: tlsCredentials.cert } : {};
+
+    server = createSmtpServer({ secure: false, ...tlsOptions });
+    if (SMTPS_PORT) {
+      secureServer = createSmtpServer({ secure: true, ...tlsOptions });
+    }
+
+    // Start Web UI server
+    webServer = http.createServer(app);
+    const webPort = await listen(webServer, WEB_PORT);
+    const url = `http://localhost:${webPort}`;
+    if (!webhookPublicUrl) webhookPublicUrl = url;
+    logger.info({ port: webPort, url }, 'Web UI started');
+
+    // Start SMTP server
+    const smtpPort = await listen(server, SMTP_PORT);
+    logger.info({
+      port: smtpPort,
+      starttls: SMTP_STARTTLS,
+      requireTls: SMTP_REQUIRE_TLS,
+      maxSize: SMTP_MAX_SIZE || null,
+      smtpUtf8: SMTP_SMTPUTF8,
+      eightBitMime: SMTP_8BITMIME,
+      mailriderEmail: MAILRIDER_EMAIL,
+      storage: STORAGE_BACKEND
+    }, 'SMTP server started');
+
+    // Start SMTPS server (implicit TLS)
+    let smtpsPort = null;
+    if (secureServer) {
+      smtpsPort = await listen(secureServer, SMTPS_PORT);
+      logger.info({ port: smtpsPort }, 'SMTPS server started');
+    }
+
+    // Pre-warm the full email list cache in background
+    getAllEmailsCached().then(({ emails }) => {
+      logger.info('Email list cache pre-warmed');
+      if (webServer) retentionSweeper.start(); // stop() mohl přijít před dokončením
+      syncSearchIndex(emails);
+    }).catch(err => {
+      logger.warn({ error: err.message }, 'Failed to pre-warm email cache');
+    }).finally(() => {
+      startupComplete = true;
+    });
+
+    return { smtpPort, smtpsPort, webPort, url };
+  }
+
+  /**
+   * Zastaví servery a dopíše pomocná data do úložiště (otevřená SSE a SMTP spojení se ukončí)
+   */
+  async function stop() {
+    if (!webServer) return;
+    logger.info('Shutting down servers');
+    retentionSweeper?.stop();
+    webhookDispatcher.stop();
+    storageWatcher?.close();
+    storageWatcher = null;
+
+    const closing = [close(webServer).then(() => logger.info('Web server closed'))];
+    webServer.closeAllConnections(); // SSE a long-poll by jinak držely server otevřený
+    if (secureServer) {
+      closing.push(close(secureServer).then(() => logger.info('SMTPS server closed')));
+    }
+    closing.push(close(server).then(() => logger.info('SMTP server closed')));
+    await Promise.all(closing);
+
+    await flushStateWrites();
+    webServer = null;
+    startupComplete = false;
+  }
+
+  return Object.assign(mailrider, {
+    start,
+    stop,
+
+    /**
+     * Smaže všechny emaily (jako DELETE /api/emails/all)
+     * @returns {Promise<number>} Počet smazaných emailů
+     */
+    clear: deleteAllEmails,
+
+    /**
+     * Seznam emailů odpovídajících filtru (od nejnovějšího)
+     * @param {Object} [filter] - { mailbox, from, to, subject, since }
+     * @returns {Promise<Array<Object>>} Položky seznamu jako GET /api/emails
+     */
+    async getMessages(filter = {}) {
+      const normalized = normalizeWaitFilter(filter);
+      const { emails } = await getAllEmailsCached();
+      return emails.filter(email => matchesWaitFilter(email, normalized));
+    },
+
+    /**
+     * Detail emailu (jako GET /api/emails/:filename)
+     * @param {string} filename
+     * @returns {Promise<Object|null>} null pokud email neexistuje
+     */
+    async getMessage(filename) {
+      const emailLocation = await findEmail(filename);
+      return emailLocation ? buildFullEmail(filename, emailLocation) : null;
+    },
+
+    /**
+     * Počká na email odpovídající filtru (jako GET /api/emails/wait)
+     *
+     * Bez `since` se čeká jen na email přijatý od zavolání - dřív uložený email z předchozího kroku
+     * testu se nevrátí. `since: 0` vrátí i odpovídající email, který už v úložišti je.
+     *
+     * @param {Object} [filter] - { mailbox, from, to, subject, since }
+     * @param {Object} [waitOptions] - { timeout (ms), signal }
+     * @returns {Promise<Object>} Detail emailu; po timeoutu chyba s `timeout: true`
+     */
+    waitForMessage: (filter = {}, waitOptions = {}) => waitForEmail(
+      { ...filter, since: filter.since ?? Math.floor(Date.now() / 1000) },
+      waitOptions,
+    ),
+
+    app,
+    storage,
+    logger,
+  });
+}
+
+module.exports = {
+  createMailRider,
+};
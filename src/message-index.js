@@ -0,0 +1,227 @@
+/**
+ * Index emailů - umístění, flagy a metadata všech emailů a počty ve složkách
+ *
+ * Seznam emailů (GET /api/emails), počty ve složkách i hledání emailu podle filename jdou přes index,
+ * takže se nemusí procházet a parsovat všechny soubory. Naparsovat je potřeba jen emaily, které v indexu chybí.
+ *
+ * Index se ukládá přes storage: celý jako `message-index` (readState / writeState) a změny od posledního
+ * uložení jako deník `message-index` (appendJournal) - jeden nový email nepřepisuje data všech ostatních.
+ * Když deník naroste, sloučí se do indexu. Poškozený nebo neznámý formát se zahodí a index se postaví znovu.
+ */
+
+const { MAILDIR_FLAGS } = require('./storage');
+
+const INDEX_NAME = 'message-index';
+const INDEX_VERSION = 1;
+const FLUSH_DELAY = 1000; // Změny se do deníku zapisují po dávkách
+const COMPACT_MIN_RECORDS = 1000; // Sloučení deníku nejdřív po tolika záznamech (a po polovině počtu emailů)
+
+const folderKey = (mailbox, folder) => `${mailbox}/${folder}`;
+
+/**
+ * Záznam indexu ze souboru má všechna pole umístění a metadata
+ * @param {*} entry
+ * @returns {boolean}
+ */
+function isValidEntry(entry) {
+  return Boolean(entry)
+    && ['mailbox', 'folder', 'subfolder', 'filename', 'flags'].every(field => typeof entry[field] === 'string')
+    && Boolean(entry.metadata) && typeof entry.metadata === 'object';
+}
+
+/**
+ * Vytvoří prázdný index (naplní ho load a průběžné změny)
+ * @param {Object} options
+ * @param {Object} options.storage - Úložiště (readState / writeState, appendJournal / readJournal)
+ * @param {Object} options.logger - Pino logger
+ * @returns {Object} Index (load, get, put, relocate, remove, clear, list, folderStats, size, flush)
+ */
+function createMessageIndex({ storage, logger }) {
+  const entries = new Map(); // filename -> { mailbox, folder, subfolder, filename, flags, metadata }
+  const folders = new Map(); // "mailbox/složka" -> { mailbox, folder, count, unreadCount, size }
+  let pending = []; // Změny čekající na zápis do deníku
+  let journalLength = 0;
+  let flushTimer = null;
+  let writing = Promise.resolve();
+
+  const count = (entry, sign) => {
+    const key = folderKey(entry.mailbox, entry.folder);
+    if (!folders.has(key)) folders.set(key, { mailbox: entry.mailbox, folder: entry.folder, count: 0, unreadCount: 0, size: 0 });
+
+    const stats = folders.get(key);
+    stats.count += sign;
+    stats.size += sign * (entry.metadata.size || 0);
+    if (!entry.flags.includes(MAILDIR_FLAGS.seen)) stats.unreadCount += sign;
+    if (stats.count === 0) folders.delete(key);
+  };
+
+  const set = (entry) => {
+    const previous = entries.get(entry.filename);
+    if (previous) count(previous, -1);
+    entries.set(entry.filename, entry);
+    count(entry, 1);
+  };
+
+  const unset = (filename) => {
+    const previous = entries.get(filename);
+    if (!previous) return false;
+    count(previous, -1);
+    entries.delete(filename);
+    return true;
+  };
+
+  const reset = () => {
+    entries.clear();
+    folders.clear();
+  };
+
+  const apply = (record) => {
+    if (record?.op === 'put' && isValidEntry(record.entry)) set(record.entry);
+    else if (record?.op === 'remove' && typeof record.filename === 'string') unset(record.filename);
+    else if (record?.op === 'clear') reset();
+    else throw new Error('Invalid journal record');
+  };
+
+  const record = (change) => {
+    pending.push(change);
+    if (!flushTimer) flushTimer = setTimeout(() => index.flush(), FLUSH_DELAY);
+  };
+
+  // Celý index jedním zápisem, deník se pak zahodí (volat jen přes writing)
+  const compact = async () => {
+    journalLength = 0;
+    await storage.writeState(INDEX_NAME, { version: INDEX_VERSION, entries: [...entries.values()] });
+    await storage.deleteJournal(INDEX_NAME);
+  };
+
+  const enqueue = (operation) => {
+    writing = writing.then(operation).catch((error) => {
+      // Co se nezapsalo, dorovná porovnání s úložištěm při dalším startu
+      logger.warn({ error: error.message }, 'Failed to save message index');
+    });
+    return writing;
+  };
+
+  const index = {
+    /**
+     * Načte uložený index a deník
+     * @returns {Promise<boolean>} false = index neexistoval nebo byl poškozený - je prázdný a postaví se z úložiště
+     */
+    async load() {
+      reset();
+      try {
+        const snapshot = await storage.readState(INDEX_NAME);
+        if (snapshot && (snapshot.version !== INDEX_VERSION || !Array.isArray(snapshot.entries))) {
+          throw new Error(`Unsupported message index format (version ${snapshot.version})`);
+        }
+        for (const entry of snapshot?.entries || []) {
+          if (!isValidEntry(entry)) throw new Error('Invalid message index entry');
+          set(entry);
+        }
+
+        const journal = await storage.readJournal(INDEX_NAME);
+        (journal || []).forEach(apply);
+        // Deník se hned sloučí - případný neúplný poslední řádek by jinak další zápis udělal poškozeným
+        if (journal) await enqueue(compact);
+
+        logger.info({ count: entries.size, journal: journal?.length || 0 }, 'Message index loaded');
+        return Boolean(snapshot || journal);
+      } catch (error) {
+        logger.warn({ error: error.message }, 'Message index is corrupted, rebuilding from storage');
+        reset();
+        await storage.deleteJournal(INDEX_NAME).catch(() => {});
+        await storage.deleteState(INDEX_NAME).catch(() => {});
+        return false;
+      }
+    },
+
+    /**
+     * @param {string} filename
+     * @returns {Object|undefined} Záznam - je zároveň umístěním pro storage (readMessage, ...)
+     */
+    get(filename) {
+      return entries.get(filename);
+    },
+
+    /**
+     * Přidá nebo nahradí email
+     * @param {{mailbox: string, folder: string, subfolder: string, filename: string, flags: string}} location
+     * @param {Object} metadata - Metadata z getEmailMetadata
+     * @returns {Object} Záznam
+     */
+    put(location, metadata) {
+      const { mailbox, folder, subfolder, filename, flags } = location;
+      const entry = { mailbox, folder, subfolder, filename, flags, metadata };
+      set(entry);
+      record({ op: 'put', entry });
+      return entry;
+    },
+
+    /**
+     * Nové umístění nebo flagy emailu (přesun, přejmenování) - metadata zůstávají
+     * @param {Object} location - Nové umístění z úložiště
+     * @returns {Object|null} Záznam, null když email v indexu není
+     */
+    relocate(location) {
+      const entry = entries.get(location.filename);
+      return entry ? index.put(location, entry.metadata) : null;
+    },
+
+    remove(filename) {
+      if (unset(filename)) record({ op: 'remove', filename });
+    },
+
+    clear() {
+      reset();
+      record({ op: 'clear' });
+    },
+
+    /**
+     * Všechny záznamy (v pořadí vložení)
+     * @returns {Array<Object>}
+     */
+    list() {
+      return [...entries.values()];
+    },
+
+    /**
+     * Počty emailů, nepřečtených a velikost po složkách (jen složky s emaily)
+     * @returns {Array<{mailbox: string, folder: string, count: number, unreadCount: number, size: number}>}
+     */
+    folderStats() {
+      return [...folders.values()].map(stats => ({ ...stats }));
+    },
+
+    get size() {
+      return entries.size;
+    },
+
+    /**
+     * Zapíše čekající změny do deníku (nebo celý index, když deník naroste)
+     * @returns {Promise<void>}
+     */
+    flush() {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+
+      return enqueue(async () => {
+        const records = pending;
+        pending = [];
+        if (records.length === 0) return;
+
+        journalLength += records.length;
+        if (journalLength >= Math.max(COMPACT_MIN_RECORDS, entries.size / 2)) {
+          await compact();
+        } else {
+          await storage.appendJournal(INDEX_NAME, records);
+        }
+      });
+    },
+  };
+
+  return index;
+}
+
+module.exports = {
+  createMessageIndex,
+};
@@ -0,0 +1,215 @@
+/**
+ * Metriky v textovém formátu Prometheus (GET /metrics)
+ *
+ * Minimální registry bez závislostí - counter, gauge a histogram s labely.
+ * Gauge může mít `collect` callback, který hodnoty dopočítá až při scrapu (např. velikost mailboxů).
+ *
+ * Formát: https://prometheus.io/docs/instrumenting/exposition_formats/
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escapuje hodnotu labelu (\, " a nový řádek)
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Naformátuje labely `{a="1",b="2"}`
+ * @param {Object} labels
+ * @returns {string} Prázdný řetězec bez labelů
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Naformátuje číslo (Prometheus zapisuje nekonečno jako +Inf)
+ * @param {number} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+/**
+ * Vytvoří metriku s hodnotami podle kombinace labelů
+ * @param {string} name
+ * @param {Array<string>} labelNames
+ * @returns {{key: function(Object): string, labelsOf: function(Object): Object}}
+ */
+function createLabelSet(name, labelNames) {
+  const labelsOf = (labels = {}) => {
+    const result = {};
+    for (const labelName of labelNames) {
+      if (labels[labelName] === undefined) {
+        throw new Error(`Metric ${name}: missing label "${labelName}"`);
+      }
+      result[labelName] = labels[labelName];
+    }
+    return result;
+  };
+  return { labelsOf, key: labels => JSON.stringify(labelNames.map(labelName => String(labels[labelName]))) };
+}
+
+/**
+ * Vytvoří registry metrik
+ * @param {Object} [options]
+ * @param {string} [options.prefix] - Prefix názvů metrik (`mailrider_`)
+ * @returns {Object} Registry (counter, gauge, histogram, render)
+ */
+function createMetricsRegistry({ prefix = '' } = {}) {
+  const metrics = [];
+
+  const register = (metric) => {
+    if (metrics.some(existing => existing.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    metrics.push(metric);
+    return metric;
+  };
+
+  return {
+    /**
+     * Counter - hodnota jen roste (od startu procesu)
+     * @param {string} name
+     * @param {string} help
+     * @param {Array<string>} [labelNames]
+     * @returns {{inc: function(Object=, number=): void}}
+     */
+    counter(name, help, labelNames = []) {
+      const fullName = prefix + name;
+      const { labelsOf, key } = createLabelSet(fullName, labelNames);
+      const values = new Map();
+
+      register({
+        name: fullName,
+        help,
+        type: 'counter',
+        lines: () => [...values.values()].map(({ labels, value }) => `${fullName}${formatLabels(labels)} ${formatValue(value)}`),
+      });
+
+      return {
+        inc(labels = {}, value = 1) {
+          const normalized = labelsOf(labels);
+          const entry = values.get(key(normalized)) || { labels: normalized, value: 0 };
+          entry.value += value;
+          values.set(key(normalized), entry);
+        },
+      };
+    },
+
+    /**
+     * Gauge - aktuální hodnota; s `collect` se hodnoty nastaví při každém scrapu
+     * @param {string} name
+     * @param {string} help
+     * @param {Array<string>} [labelNames]
+     * @param {function(Object): (void|Promise<void>)} [collect] - Dostane gauge, nastaví hodnoty přes set/reset
+     * @returns {{set: function(Object, number): void, inc: function(Object=, number=): void, dec: function(Object=, number=): void, reset: function(): void}}
+     */
+    gauge(name, help, labelNames = [], collect = null) {
+      const fullName = prefix + name;
+      const { labelsOf, key } = createLabelSet(fullName, labelNames);
+      const values = new Map();
+
+      const gauge = {
+        set(labels, value) {
+          const normalized = labelsOf(labels);
+          values.set(key(normalized), { labels: normalized, value });
+        },
+        inc(labels = {}, value = 1) {
+          const normalized = labelsOf(labels);
+          const entry = values.get(key(normalized)) || { labels: normalized, value: 0 };
+          entry.value += value;
+          values.set(key(normalized), entry);
+        },
+        dec(labels = {}, value = 1) {
+          gauge.inc(labels, -value);
+        },
+        reset() {
+          values.clear();
+        },
+      };
+
+      register({
+        name: fullName,
+        help,
+        type: 'gauge',
+        collect: collect && (() => collect(gauge)),
+        lines: () => [...values.values()].map(({ labels, value }) => `${fullName}${formatLabels(labels)} ${formatValue(value)}`),
+      });
+
+      return gauge;
+    },
+
+    /**
+     * Histogram - rozložení hodnot (typicky doba trvání v sekundách)
+     * @param {string} name
+     * @param {string} help
+     * @param {Array<string>} [labelNames]
+     * @param {Array<number>} [buckets] - Horní hranice bucketů (vzestupně)
+     * @returns {{observe: function(Object, number): void}}
+     */
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+      const fullName = prefix + name;
+      const { labelsOf, key } = createLabelSet(fullName, labelNames);
+      const values = new Map();
+
+      register({
+        name: fullName,
+        help,
+        type: 'histogram',
+        lines: () => [...values.values()].flatMap(({ labels, counts, sum, count }) => [
+          ...buckets.map((bucket, index) => `${fullName}_bucket${formatLabels({ ...labels, le: formatValue(bucket) })} ${counts[index]}`),
+          `${fullName}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+          `${fullName}_sum${formatLabels(labels)} ${formatValue(sum)}`,
+          `${fullName}_count${formatLabels(labels)} ${count}`,
+        ]),
+      });
+
+      return {
+        observe(labels, value) {
+          const normalized = labelsOf(labels);
+          let entry = values.get(key(normalized));
+          if (!entry) {
+            entry = { labels: normalized, counts: buckets.map(() => 0), sum: 0, count: 0 };
+            values.set(key(normalized), entry);
+          }
+          buckets.forEach((bucket, index) => {
+            if (value <= bucket) entry.counts[index]++;
+          });
+          entry.sum += value;
+          entry.count++;
+        },
+      };
+    },
+
+    /**
+     * Všechny metriky v textovém formátu (spustí collect callbacky)
+     * @returns {Promise<string>}
+     */
+    async render() {
+      const output = [];
+      for (const metric of metrics) {
+        if (metric.collect) await metric.collect();
+        output.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+        output.push(`# TYPE ${metric.name} ${metric.type}`);
+        output.push(...metric.lines());
+      }
+      return `${output.join('\n')}\n`;
+    },
+  };
+}
+
+module.exports = {
+  createMetricsRegistry,
+};
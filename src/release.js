@@ -0,0 +1,149 @@
+/**
+ * Release - přeposlání zachyceného emailu na skutečný (upstream) SMTP server
+ *
+ * Email se odešle beze změny (raw .eml), mění se jen SMTP envelope (MAIL FROM, RCPT TO).
+ * Příjemci musí být v allow-listu domén (RELEASE_ALLOWED_DOMAINS), jinak se nic neodešle:
+ *   RELEASE_ALLOWED_DOMAINS=faktron.cz,*.example.com
+ *
+ * Volitelně se email před odesláním znovu podepíše DKIM klíčem (přidá se nový DKIM-Signature):
+ *   RELEASE_DKIM_DOMAIN=example.com RELEASE_DKIM_SELECTOR=s1 RELEASE_DKIM_KEY=/keys/s1.pem
+ */
+
+const fs = require('fs').promises;
+const nodemailer = require('nodemailer');
+const { globToRegExp } = require('./routing');
+
+/**
+ * Naparsuje allow-list domén (oddělené čárkou, glob `*.example.com`)
+ * @param {string} text - Seznam domén
+ * @returns {Array<{domain: string, match: RegExp}>}
+ */
+function parseAllowedDomains(text) {
+  return (text || '')
+    .split(',')
+    .map(domain => domain.trim().toLowerCase())
+    .filter(Boolean)
+    .map(domain => ({ domain, match: globToRegExp(domain) }));
+}
+
+/**
+ * Vytvoří releaser pro upstream SMTP server
+ * @param {Object} options
+ * @param {string} [options.host] - Upstream SMTP host (bez hostu je release vypnutý)
+ * @param {number} options.port - Upstream SMTP port
+ * @param {boolean} options.secure - Implicitní TLS (465), jinak STARTTLS pokud ho server nabízí
+ * @param {string} [options.user] - Přihlašovací jméno
+ * @param {string} [options.pass] - Heslo
+ * @param {boolean} options.rejectUnauthorized - Ověřovat TLS certifikát upstream serveru
+ * @param {string} [options.from] - Pevný MAIL FROM (jinak původní odesílatel)
+ * @param {string} options.allowedDomains - Allow-list domén příjemců
+ * @param {Object} [options.dkim] - Re-signing: { domain, selector, keyPath } (bez domény vypnutý)
+ * @param {Object} options.logger - Pino logger
+ * @returns {Object} Releaser (configured, describe, checkRecipients, release)
+ */
+function createReleaser({ host, port, secure, user, pass, rejectUnauthorized, from, allowedDomains, dkim, logger }) {
+  const domains = parseAllowedDomains(allowedDomains);
+  const resign = dkim && dkim.domain ? dkim : null;
+
+  // Privátní klíč se načte při prvním release (chyba se ukáže u release, ne při startu)
+  let dkimKey = null;
+  const getDkimOptions = async () => {
+    if (!resign) return undefined;
+    if (!resign.keyPath) throw new Error('DKIM re-signing needs a private key (RELEASE_DKIM_KEY)');
+    if (!dkimKey) dkimKey = await fs.readFile(resign.keyPath, 'utf-8');
+    return { domainName: resign.domain, keySelector: resign.selector, privateKey: dkimKey };
+  };
+
+  const transport = host
+    ? nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      auth: user ? { user, pass } : undefined,
+      tls: { rejectUnauthorized },
+    })
+    : null;
+
+  const isAllowed = (address) => {
+    const domain = address.split('@').pop().toLowerCase();
+    return domains.some(entry => entry.match.test(domain));
+  };
+
+  return {
+    configured: Boolean(transport),
+
+    /**
+     * Veřejná konfigurace (bez hesla) pro API a Web UI
+     */
+    describe() {
+      return {
+        configured: Boolean(transport),
+        host: host || null,
+        port,
+        secure,
+        from: from || null,
+        allowedDomains: domains.map(entry => entry.domain),
+        dkim: resign ? { domain: resign.domain, selector: resign.selector } : null,
+      };
+    },
+
+    /**
+     * Rozdělí příjemce na povolené a zakázané podle allow-listu
+     * @param {Array<string>} recipients
+     * @returns {{allowed: Array<string>, denied: Array<string>}}
+     */
+    checkRecipients(recipients) {
+      const allowed = recipients.filter(isAllowed);
+      return { allowed, denied: recipients.filter(address => !allowed.includes(address)) };
+    },
+
+    /**
+     * Odešle raw email na upstream server
+     * @param {Object} options
+     * @param {Buffer} options.raw - Původní email
+     * @param {string} options.sender - Původní odesílatel (použije se bez RELEASE_SMTP_FROM)
+     * @param {Array<string>} options.recipients - Příjemci (už ověření přes checkRecipients)
+     * @returns {Promise<Object>} Záznam pro historii release (success, response, accepted, rejected, ...)
+     */
+    async release({ raw, sender, recipients }) {
+      const envelope = { from: from || sender, to: recipients };
+      const record = {
+        releasedAt: new Date().toISOString(),
+        host: `${host}:${port}`,
+        from: envelope.from,
+        recipients,
+        resigned: resign ? `${resign.selector}._domainkey.${resign.domain}` : null,
+      };
+
+      try {
+        const info = await transport.sendMail({ envelope, raw, dkim: await getDkimOptions() });
+
+        logger.info({ host, from: envelope.from, recipients, response: info.response }, 'Email released to upstream SMTP');
+
+        return {
+          ...record,
+          success: true,
+          response: info.response,
+          accepted: info.accepted,
+          rejected: info.rejected,
+        };
+      } catch (error) {
+        logger.warn({ host, from: envelope.from, recipients, error: error.message }, 'Email release failed');
+
+        return {
+          ...record,
+          success: false,
+          response: error.response || null,
+          responseCode: error.responseCode || null,
+          error: error.message,
+          accepted: [],
+          rejected: error.rejected || recipients,
+        };
+      }
+    },
+  };
+}
+
+module.exports = {
+  createReleaser,
+};
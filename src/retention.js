@@ -0,0 +1,268 @@
+/**
+ * Retention - automatické mazání starých emailů
+ *
+ * Sweeper běží na pozadí (RETENTION_INTERVAL) a maže nejstarší emaily, dokud neplatí všechny limity:
+ *   RETENTION_MAX_AGE=7d          starší emaily se smažou
+ *   RETENTION_MAX_COUNT=500       max. počet emailů v jedné složce (mailbox + složka)
+ *   RETENTION_MAX_SIZE=500MB      max. celková velikost všech emailů
+ *
+ * Chráněné emaily se nemažou nikdy (ale do limitů počtu a velikosti se počítají):
+ * - emaily ve složkách z RETENTION_PROTECTED_FOLDERS (glob, např. `Archive,Keep*`)
+ * - emaily označené jako chráněné (🔒 ve Web UI, POST /api/emails/:filename/protect)
+ */
+
+const { globToRegExp } = require('./routing');
+
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+const SIZE_UNITS = { b: 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+const DEFAULT_INTERVAL = 600; // 10 min
+const MIN_INTERVAL = 10;
+const MAX_REPORTED_REMOVALS = 200; // Výsledek sweepu drží jen prvních N smazaných emailů
+
+/**
+ * Naparsuje dobu trvání (`7d`, `12h`, `30m`, `90s`, číslo = sekundy)
+ * @param {string} value
+ * @param {string} name - Název proměnné pro chybovou hlášku
+ * @returns {number} Sekundy (0 = vypnuto)
+ */
+function parseDuration(value, name) {
+  const match = /^\s*(\d+)\s*([smhdw]?)\s*$/i.exec(String(value || '0'));
+  if (!match) {
+    throw new Error(`${name}: invalid duration "${value}" (e.g. 7d, 12h, 30m)`);
+  }
+  return Number(match[1]) * DURATION_UNITS[(match[2] || 's').toLowerCase()];
+}
+
+/**
+ * Naparsuje velikost (`500MB`, `2G`, `1048576`)
+ * @param {string} value
+ * @param {string} name - Název proměnné pro chybovou hlášku
+ * @returns {number} Bajty (0 = vypnuto)
+ */
+function parseSize(value, name) {
+  const match = /^\s*(\d+)\s*(?:([kmg])i?b?|b)?\s*$/i.exec(String(value || '0'));
+  if (!match) {
+    throw new Error(`${name}: invalid size "${value}" (e.g. 500MB, 2GB)`);
+  }
+  return Number(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()];
+}
+
+/**
+ * Sestaví retention policy z konfigurace
+ * @param {Object} options - Hodnoty proměnných RETENTION_*
+ * @returns {Object} Policy ({ enabled, maxAge, maxCount, maxSize, protectedFolders, interval })
+ */
+function parseRetentionPolicy({ maxAge, maxCount, maxSize, protectedFolders, interval }) {
+  const count = parseInt(maxCount || '0', 10);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`RETENTION_MAX_COUNT: invalid count "${maxCount}"`);
+  }
+
+  const policy = {
+    maxAge: parseDuration(maxAge, 'RETENTION_MAX_AGE'),
+    maxCount: count,
+    maxSize: parseSize(maxSize, 'RETENTION_MAX_SIZE'),
+    protectedFolders: (protectedFolders || '').split(',').map(folder => folder.trim()).filter(Boolean),
+    interval: Math.max(MIN_INTERVAL, parseDuration(interval || String(DEFAULT_INTERVAL), 'RETENTION_INTERVAL')),
+  };
+
+  return { enabled: Boolean(policy.maxAge || policy.maxCount || policy.maxSize), ...policy };
+}
+
+/**
+ * Vybere emaily ke smazání - nejstarší první
+ * @param {Array<Object>} emails - Položky seznamu (filename, mailbox, folder, timestamp, size, isProtected)
+ * @param {Object} policy - Z parseRetentionPolicy
+ * @param {number} now - Aktuální unix timestamp v sekundách
+ * @returns {Array<{email: Object, reason: string}>} reason: age | count | size
+ */
+function planRetentionSweep(emails, policy, now) {
+  const folderMatchers = policy.protectedFolders.map(globToRegExp);
+  const isProtected = email => Boolean(email.isProtected) || folderMatchers.some(matcher => matcher.test(email.folder));
+
+  const oldestFirst = [...emails].sort((a, b) => a.timestamp - b.timestamp);
+  const removed = new Map(); // filename -> reason
+
+  const remove = (email, reason) => {
+    if (!removed.has(email.filename)) removed.set(email.filename, { email, reason });
+  };
+
+  // 1. Stáří
+  if (policy.maxAge) {
+    for (const email of oldestFirst) {
+      if (email.timestamp < now - policy.maxAge && !isProtected(email)) remove(email, 'age');
+    }
+  }
+
+  // 2. Počet v každé složce (chráněné se počítají, ale nemažou)
+  if (policy.maxCount) {
+    const folders = new Map();
+    for (const email of oldestFirst) {
+      if (removed.has(email.filename)) continue;
+      const key = `${email.mailbox}/${email.folder}`;
+      if (!folders.has(key)) folders.set(key, []);
+      folders.get(key).push(email);
+    }
+
+    for (const folderEmails of folders.values()) {
+      let excess = folderEmails.length - policy.maxCount;
+      for (const email of folderEmails) {
+        if (excess <= 0) break;
+        if (isProtected(email)) continue;
+        remove(email, 'count');
+        excess--;
+      }
+    }
+  }
+
+  // 3. Celková velikost
+  if (policy.maxSize) {
+    let totalSize = oldestFirst
+      .filter(email => !removed.has(email.filename))
+      .reduce((sum, email) => sum + email.size, 0);
+
+    for (const email of oldestFirst) {
+      if (totalSize <= policy.maxSize) break;
+      if (removed.has(email.filename) || isProtected(email)) continue;
+      remove(email, 'size');
+      totalSize -= email.size;
+    }
+  }
+
+  return [...removed.values()].sort((a, b) => a.email.timestamp - b.email.timestamp);
+}
+
+/**
+ * Vytvoří retention sweeper
+ * @param {Object} options
+ * @param {Object} options.policy - Z parseRetentionPolicy
+ * @param {function(): Promise<Array<Object>>} options.listEmails - Aktuální seznam emailů
+ * @param {function(Object): Promise<void>} options.removeEmail - Smaže email (položku seznamu)
+ * @param {Object} options.logger - Pino logger
+ * @param {function(Object): void} [options.onSweep] - Callback s výsledkem každého sweepu
+ * @returns {Object} Sweeper (describe, getLastSweep, sweep, start, stop)
+ */
+function createRetentionSweeper({ policy, listEmails, removeEmail, logger, onSweep = () => {} }) {
+  let timer = null;
+  let running = null;
+  let lastSweep = null;
+
+  const runSweep = async () => {
+    const startedAt = new Date();
+    const result = {
+      startedAt: startedAt.toISOString(),
+      finishedAt: null,
+      durationMs: 0,
+      removedCount: 0,
+      freedBytes: 0,
+      removed: [],
+      error: null,
+    };
+
+    try {
+      const emails = await listEmails();
+      const plan = planRetentionSweep(emails, policy, Math.floor(startedAt.getTime() / 1000));
+
+      for (const { email, reason } of plan) {
+        try {
+          await removeEmail(email);
+        } catch (error) {
+          // Email mohl být mezitím smazán ručně
+          logger.warn({ filename: email.filename, error: error.message }, 'Retention failed to remove email');
+          continue;
+        }
+
+        const entry = {
+          filename: email.filename,
+          mailbox: email.mailbox,
+          folder: email.folder,
+          subject: email.subject,
+          timestamp: email.timestamp,
+          size: email.size,
+          reason,
+        };
+        if (result.removed.length < MAX_REPORTED_REMOVALS) result.removed.push(entry);
+        result.removedCount++;
+        result.freedBytes += email.size;
+        logger.info(entry, 'Retention removed email');
+      }
+    } catch (error) {
+      result.error = error.message;
+      logger.error({ error: error.message }, 'Retention sweep failed');
+    }
+
+    result.finishedAt = new Date().toISOString();
+    result.durationMs = Date.now() - startedAt.getTime();
+    lastSweep = result;
+
+    if (result.removedCount > 0) {
+      logger.info({ removed: result.removedCount, freedBytes: result.freedBytes }, 'Retention sweep finished');
+    }
+    onSweep(result);
+
+    return result;
+  };
+
+  const sweeper = {
+    /**
+     * Policy a plán pro API a Web UI
+     */
+    describe() {
+      return {
+        ...policy,
+        nextSweepAt: timer ? new Date(timer.nextAt).toISOString() : null,
+      };
+    },
+
+    getLastSweep() {
+      return lastSweep;
+    },
+
+    /**
+     * Spustí sweep hned (souběžné volání čeká na běžící sweep)
+     * @returns {Promise<Object>} Výsledek sweepu
+     */
+    sweep() {
+      if (!running) {
+        running = runSweep().finally(() => {
+          running = null;
+        });
+      }
+      return running;
+    },
+
+    start() {
+      if (!policy.enabled || timer) return;
+
+      const schedule = () => {
+        const delay = policy.interval * 1000;
+        timer = {
+          nextAt: Date.now() + delay,
+          handle: setTimeout(async () => {
+            await sweeper.sweep();
+            if (timer) schedule();
+          }, delay),
+        };
+        timer.handle.unref();
+      };
+
+      schedule();
+      sweeper.sweep();
+    },
+
+    stop() {
+      if (timer) clearTimeout(timer.handle);
+      timer = null;
+    },
+  };
+
+  return sweeper;
+}
+
+module.exports = {
+  createRetentionSweeper,
+  parseDuration,
+  parseRetentionPolicy,
+  parseSize,
+  planRetentionSweep,
+};
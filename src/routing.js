@@ -0,0 +1,117 @@
+/**
+ * Routing příjemců do mailboxů
+ *
+ * Režimy:
+ * - catchall: všechno do jednoho mailboxu (MAILRIDER_USER) - výchozí chování
+ * - mailbox:  každý příjemce do vlastního MAILDIR_BASE/<mailbox>/Maildir
+ *
+ * Pravidla (JSON soubor) se vyhodnocují v pořadí, první shoda vyhrává:
+ *   [
+ *     { "pattern": "admin@*", "mailbox": "admin" },
+ *     { "regex": "^support\\+(\\w+)@", "mailbox": "support-$1" },
+ *     { "pattern": "*@newsletter.test", "mailbox": "newsletters" }
+ *   ]
+ */
+
+const fs = require('fs').promises;
+
+// Povolené znaky v názvu mailboxu (název adresáře pod MAILDIR_BASE)
+const MAILBOX_NAME_PATTERN = /^[a-z0-9][a-z0-9._@+-]*$/;
+
+/**
+ * Převede glob (`*` = cokoliv, `?` = jeden znak) na case-insensitive RegExp
+ * @param {string} glob - Glob pattern, např. `admin@*`
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  const source = glob
+    .split('')
+    .map(char => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Normalizuje název mailboxu a ověří, že je bezpečný jako název adresáře
+ * @param {string} name - Název mailboxu
+ * @returns {string|null} Normalizovaný název nebo null, pokud je neplatný
+ */
+function normalizeMailboxName(name) {
+  if (!name || typeof name !== 'string') return null;
+
+  const normalized = name.trim().toLowerCase();
+  if (!MAILBOX_NAME_PATTERN.test(normalized) || normalized.includes('..')) {
+    return null;
+  }
+  return normalized;
+}
+
+/**
+ * Načte routing pravidla ze souboru
+ * @param {string} filePath - Cesta k JSON souboru s pravidly
+ * @returns {Promise<Array<{match: RegExp, mailbox: string, isRegex: boolean}>>} Zkompilovaná pravidla
+ */
+async function loadRoutingRules(filePath) {
+  const content = await fs.readFile(filePath, 'utf-8');
+  const rules = JSON.parse(content);
+
+  if (!Array.isArray(rules)) {
+    throw new Error('Routing rules must be a JSON array');
+  }
+
+  return rules.map((rule, index) => {
+    if (!rule || typeof rule.mailbox !== 'string' || (!rule.pattern && !rule.regex)) {
+      throw new Error(`Invalid routing rule at index ${index}: needs "mailbox" and "pattern" or "regex"`);
+    }
+    return {
+      match: rule.regex ? new RegExp(rule.regex, 'i') : globToRegExp(rule.pattern),
+      mailbox: rule.mailbox,
+      isRegex: Boolean(rule.regex),
+    };
+  });
+}
+
+/**
+ * Vytvoří router, který přiřadí adrese příjemce mailbox
+ * @param {Object} options
+ * @param {string} options.mode - 'catchall' nebo 'mailbox'
+ * @param {string} options.defaultMailbox - Mailbox pro catch-all režim (MAILRIDER_USER)
+ * @param {string} options.key - 'localpart' nebo 'address' (název mailboxu bez pravidla)
+ * @param {string} [options.catchAll] - Mailbox pro adresy bez shody s pravidlem (jinak podle key)
+ * @param {Array<{match: RegExp, mailbox: string, isRegex: boolean}>} [options.rules] - Zkompilovaná pravidla
+ * @returns {function(string): string} Funkce address -> mailbox
+ */
+function createRouter({ mode, defaultMailbox, key, catchAll, rules = [] }) {
+  return (address) => {
+    if (mode !== 'mailbox') return defaultMailbox;
+
+    const email = (address || '').toLowerCase();
+
+    for (const rule of rules) {
+      const matched = email.match(rule.match);
+      if (!matched) continue;
+
+      // Regex pravidla mohou použít skupiny ($1) v názvu mailboxu
+      const mailbox = normalizeMailboxName(rule.isRegex
+        ? matched[0].replace(rule.match, rule.mailbox)
+        : rule.mailbox);
+      if (mailbox) return mailbox;
+    }
+
+    if (catchAll) return catchAll;
+
+    const candidate = key === 'address' ? email : email.split('@')[0];
+    return normalizeMailboxName(candidate) || defaultMailbox;
+  };
+}
+
+module.exports = {
+  createRouter,
+  globToRegExp,
+  loadRoutingRules,
+  normalizeMailboxName,
+};
@@ -0,0 +1,193 @@
+/**
+ * Seznam pravidel měnitelný za běhu - společný základ pro webhooky a fault injection
+ *
+ * Pravidla mají unikátní `id` (bez něj se vygeneruje `<prefix>-N`), drží se v pořadí a každé může mít
+ * počítadla (spuštění, doručení), která přežijí úpravu pravidla přes API. Ověření a kompilaci konkrétního
+ * pravidla dodává modul, který store používá.
+ *
+ * Filtr `match` (recipient, sender, subject - glob) mají webhooky i fault pravidla stejný.
+ */
+
+const fs = require('fs').promises;
+const { globToRegExp } = require('./routing');
+
+const MATCH_FIELDS = ['recipient', 'sender', 'subject'];
+
+/**
+ * Načte pravidla z JSON souboru
+ * @param {string} filePath - Cesta k JSON souboru
+ * @param {string} label - Název pro chybovou hlášku (množné číslo), např. `Webhooks`
+ * @returns {Promise<Array<Object>>} Pravidla (neověřená, ověří je store.set)
+ */
+async function loadRuleFile(filePath, label) {
+  const content = await fs.readFile(filePath, 'utf-8');
+  const rules = JSON.parse(content);
+
+  if (!Array.isArray(rules)) {
+    throw new Error(`${label} must be a JSON array`);
+  }
+  return rules;
+}
+
+/**
+ * Ověří glob podmínky filtru `match`
+ * @param {Object} [match] - match z pravidla
+ * @param {string} owner - Pravidlo pro chybovou hlášku, např. `Webhook "tests"`
+ * @returns {Object} Jen vyplněná glob pole
+ */
+function normalizeMatchGlobs(match, owner) {
+  const normalized = {};
+  for (const field of MATCH_FIELDS) {
+    const value = match?.[field];
+    if (value === undefined || value === '') continue;
+    if (typeof value !== 'string') {
+      throw new Error(`${owner}: match.${field} must be a glob string`);
+    }
+    normalized[field] = value;
+  }
+  return normalized;
+}
+
+/**
+ * Zkompiluje glob podmínky filtru `match`
+ * @param {Object} match - Normalizovaný match
+ * @returns {Object} pole -> RegExp
+ */
+function compileMatchGlobs(match) {
+  const matchers = {};
+  for (const field of MATCH_FIELDS) {
+    if (match[field]) matchers[field] = globToRegExp(match[field]);
+  }
+  return matchers;
+}
+
+/**
+ * Odpovídá email / transakce glob podmínkám?
+ * @param {Object} matchers - Z compileMatchGlobs
+ * @param {Object} context - { sender, recipients, subject }
+ * @returns {boolean}
+ */
+function matchesGlobs(matchers, context) {
+  if (matchers.sender && !matchers.sender.test(context.sender || '')) return false;
+  if (matchers.recipient && !context.recipients.some(address => matchers.recipient.test(address))) return false;
+  if (matchers.subject && !matchers.subject.test(context.subject || '')) return false;
+  return true;
+}
+
+/**
+ * Vytvoří prázdný seznam pravidel
+ * @param {Object} options
+ * @param {string} options.name - Název jednoho pravidla pro chyby, např. `Webhook`
+ * @param {string} options.pluralName - Množné číslo, např. `Webhooks`
+ * @param {string} options.idPrefix - Prefix generovaných ID, např. `webhook`
+ * @param {function(Object, string): Object} options.normalize - Ověří pravidlo (pravidlo, výchozí ID)
+ * @param {function(Object): Object} options.compile - Záznam pro normalizované pravidlo
+ * @param {string} [options.key] - Pole záznamu s normalizovaným pravidlem
+ * @param {Array<string>} [options.counters] - Pole záznamu zachovaná při úpravě pravidla
+ * @returns {Object} Store (entries, set, add, update, remove)
+ */
+function createRuleStore({ name, pluralName, idPrefix, normalize, compile, key = 'rule', counters = [] }) {
+  let entries = [];
+  let nextNumber = 1;
+
+  const generateId = () => {
+    let id;
+    do {
+      id = `${idPrefix}-${nextNumber++}`;
+    } while (entries.some(entry => entry[key].id === id));
+    return id;
+  };
+
+  const findIndex = (id) => {
+    const index = entries.findIndex(entry => entry[key].id === id);
+    if (index === -1) {
+      const error = new Error(`${name} "${id}" not found`);
+      error.notFound = true;
+      throw error;
+    }
+    return index;
+  };
+
+  const duplicateError = id => new Error(`Duplicate ${name.toLowerCase()} id "${id}"`);
+
+  return {
+    /**
+     * Zkompilované záznamy v pořadí (pro vyhodnocení)
+     * @returns {Array<Object>}
+     */
+    entries() {
+      return entries;
+    },
+
+    /**
+     * Nahradí všechna pravidla (atomicky - při chybě zůstanou původní)
+     * @param {Array<Object>} rules
+     * @returns {Array<Object>} Nové záznamy
+     */
+    set(rules) {
+      if (!Array.isArray(rules)) {
+        throw new Error(`${pluralName} must be an array`);
+      }
+
+      const ids = new Set();
+      const next = rules.map((rule, index) => {
+        const normalized = normalize(rule, `${idPrefix}-${index + 1}`);
+        if (ids.has(normalized.id)) throw duplicateError(normalized.id);
+        ids.add(normalized.id);
+        return compile(normalized);
+      });
+
+      entries = next;
+      nextNumber = entries.length + 1;
+      return entries;
+    },
+
+    /**
+     * @param {Object} rule
+     * @returns {Object} Nový záznam
+     */
+    add(rule) {
+      const normalized = normalize(rule, generateId());
+      if (entries.some(entry => entry[key].id === normalized.id)) throw duplicateError(normalized.id);
+      const entry = compile(normalized);
+      entries.push(entry);
+      return entry;
+    },
+
+    /**
+     * Změní pole pravidla (ID zůstává, počítadla se zachovají)
+     * @param {string} id
+     * @param {Object} changes
+     * @returns {Object} Upravený záznam
+     * @throws {Error} notFound: true
+     */
+    update(id, changes) {
+      const index = findIndex(id);
+      const current = entries[index];
+      const entry = compile(normalize({ ...current[key], ...changes, id }, id));
+      counters.forEach((counter) => {
+        entry[counter] = current[counter];
+      });
+      entries[index] = entry;
+      return entry;
+    },
+
+    /**
+     * @param {string} id
+     * @returns {Object} Odebraný záznam
+     * @throws {Error} notFound: true
+     */
+    remove(id) {
+      const [removed] = entries.splice(findIndex(id), 1);
+      return removed;
+    },
+  };
+}
+
+module.exports = {
+  compileMatchGlobs,
+  createRuleStore,
+  loadRuleFile,
+  matchesGlobs,
+  normalizeMatchGlobs,
+};
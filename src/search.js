@@ -0,0 +1,534 @@
+/**
+ * Full-text vyhledávání v emailech
+ *
+ * In-memory invertovaný index nad předmětem, adresami, textovým i HTML tělem,
+ * všemi hlavičkami, SMTP envelope a názvy příloh.
+ *
+ * Index nedrží texty emailů - jen slova (posting listy a pořadí slov v poli kvůli frázím) a krátký
+ * začátek každého pole pro snippety. Shoda dál v těle dostane snippet složený ze slov indexu.
+ * Počet uložených slov je omezený (maxWords) - když se limit zaplní, těla dalších emailů se zkrátí.
+ *
+ * Dotazovací jazyk (všechny podmínky musí platit současně):
+ *   faktura 2024-0042            slova (prefixové hledání, bez ohledu na diakritiku a velikost písmen)
+ *   "order confirmed"            přesná fráze
+ *   from:shop@example.com        odesílatel (hlavička From i MAIL FROM)
+ *   to:petr                      příjemce (To, Cc i RCPT TO - najde i BCC)
+ *   subject:"reset hesla"        předmět
+ *   filename:invoice.pdf         název přílohy
+ *   has:attachment               jen emaily s přílohou
+ *   is:unread / is:read          stav přečtení
+ *   is:flagged / is:unflagged    hvězdička (alias is:starred)
+ *   is:answered / is:deleted     odpovězeno / označeno ke smazání v IMAP klientovi
+ *   folder:Archive               složka
+ *   mailbox:admin                mailbox (ROUTING_MODE=mailbox)
+ *   after:2024-11-01             přijato v daný den nebo později
+ *   before:2024-11-15            přijato před daným dnem
+ */
+
+// Váhy polí pro ranking
+const FIELD_WEIGHTS = {
+  subject: 5,
+  from: 3,
+  to: 3,
+  attachments: 3,
+  text: 1,
+  html: 1,
+  envelope: 1,
+  headers: 0.5,
+};
+
+// is:<hodnota> -> filtr nad položkou seznamu
+const STATE_OPERATORS = {
+  read: ['isRead', true],
+  unread: ['isRead', false],
+  flagged: ['isFlagged', true],
+  starred: ['isFlagged', true],
+  unflagged: ['isFlagged', false],
+  answered: ['isAnswered', true],
+  deleted: ['isDeleted', true],
+};
+
+// Operátory omezující hledání na pole indexu
+const FIELD_OPERATORS = {
+  from: ['from'],
+  to: ['to'],
+  subject: ['subject'],
+  filename: ['attachments'],
+};
+
+// Pole, ze kterých se bere snippet (v tomto pořadí)
+const SNIPPET_FIELDS = ['text', 'html', 'subject', 'attachments', 'from', 'to', 'envelope', 'headers'];
+
+const MAX_FIELD_TOKENS = 20000; // Delší pole se indexují jen do tohoto počtu slov
+const SHORT_FIELDS = new Set(['subject', 'from', 'to', 'attachments', 'envelope']); // Indexují se i po zaplnění limitu
+const EXCERPT_LENGTH = 400; // Začátek pole uložený pro snippety
+const DEFAULT_MAX_WORDS = 5000000;
+const MAX_TOKEN_LENGTH = 64;
+const MIN_PREFIX_LENGTH = 2;
+const PREFIX_MATCH_FACTOR = 0.5; // Prefixová shoda má menší váhu než celé slovo
+const SNIPPET_CONTEXT = 60; // Znaků před a za první shodou
+const SNIPPET_CONTEXT_WORDS = 8; // Slov před první shodou u snippetu ze slov indexu
+
+/**
+ * Normalizace pro index - malá písmena bez diakritiky
+ * @param {string} text
+ * @returns {string}
+ */
+function fold(text) {
+  return text.normalize('NFD').replace(/\p{M}+/gu, '').toLowerCase();
+}
+
+/**
+ * Rozdělí text na normalizovaná slova
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function tokenize(text) {
+  return fold(text || '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token && token.length <= MAX_TOKEN_LENGTH);
+}
+
+/**
+ * Text z HTML těla (bez tagů, stylů a skriptů) pro index a snippety
+ * @param {string} html
+ * @returns {string}
+ */
+function htmlToText(html) {
+  return html
+    .replace(/<(style|script|head)\b[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&quot;/gi, '"')
+    .replace(/&#(\d+);/g, (entity, code) => (Number(code) <= 0x10ffff ? String.fromCodePoint(Number(code)) : ' '))
+    .replace(/&amp;/gi, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Převede datum z dotazu (YYYY-MM-DD nebo YYYY/MM/DD) na unix timestamp začátku dne
+ * @param {string} value
+ * @returns {number|null}
+ */
+function parseQueryDate(value) {
+  const match = /^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/.exec(value);
+  if (!match) return null;
+
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  // Date přetéká (2024-13-45 = 2025-02-14) - takové datum je neplatné
+  if (date.getMonth() !== Number(match[2]) - 1 || date.getDate() !== Number(match[3])) return null;
+  return Math.floor(date.getTime() / 1000);
+}
+
+/**
+ * Naparsuje vyhledávací dotaz
+ * @param {string} input - Dotaz, např. `from:shop "order 42" has:attachment`
+ * @returns {{clauses: Array<{fields: Array<string>|null, tokens: Array<string>, phrase: boolean}>, filters: Object}}
+ */
+function parseSearchQuery(input) {
+  const clauses = [];
+  const filters = {};
+
+  // operator:"fráze" | operator:slovo | "fráze" | slovo
+  const pattern = /(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+  let match;
+  while ((match = pattern.exec(input || '')) !== null) {
+    const operator = match[1]?.toLowerCase();
+    const quoted = match[2] !== undefined;
+    const value = quoted ? match[2] : match[3] || '';
+
+    if (operator === 'has' && /^attachments?$/i.test(value)) {
+      filters.hasAttachment = true;
+      continue;
+    }
+    if (operator === 'is' && Object.hasOwn(STATE_OPERATORS, value.toLowerCase())) {
+      const [field, expected] = STATE_OPERATORS[value.toLowerCase()];
+      filters[field] = expected;
+      continue;
+    }
+    if (operator === 'folder' && value) {
+      filters.folder = value;
+      continue;
+    }
+    if (operator === 'mailbox' && value) {
+      filters.mailbox = value.toLowerCase();
+      continue;
+    }
+    if ((operator === 'before' || operator === 'after') && parseQueryDate(value) !== null) {
+      filters[operator] = parseQueryDate(value);
+      continue;
+    }
+
+    // Neznámý operátor se hledá jako obyčejný text (např. `re:` v předmětu)
+    const isFieldOperator = Boolean(operator && FIELD_OPERATORS[operator]);
+    const text = operator && !isFieldOperator ? match[0] : value;
+    const tokens = tokenize(text);
+    if (tokens.length === 0) continue;
+
+    clauses.push({
+      fields: isFieldOperator ? FIELD_OPERATORS[operator] : null,
+      tokens,
+      // Víceslovný výraz (fráze, `ORD-2024-0042`, e-mailová adresa) musí sedět přesně a v pořadí
+      phrase: quoted || tokens.length > 1,
+    });
+  }
+
+  return { clauses, filters };
+}
+
+/**
+ * Vytvoří HTML snippet s `<mark>` kolem nalezených slov
+ * @param {string} text - Původní text pole
+ * @param {Array<Object>} clauses - Klauzule dotazu platné pro toto pole
+ * @returns {string|null} Escapovaný HTML snippet nebo null, pokud se nic nenašlo
+ */
+function buildSnippet(text, clauses) {
+  // Normalizace znak po znaku s mapou pozic zpět do původního textu
+  let folded = '';
+  const positions = [];
+  let index = 0;
+  for (const char of text) {
+    const foldedChar = fold(char);
+    for (let i = 0; i < foldedChar.length; i++) positions.push(index);
+    folded += foldedChar;
+    index += char.length;
+  }
+  positions.push(text.length);
+
+  // Fráze celá (slova oddělená čímkoli kromě písmen a číslic), samostatné slovo i jako prefix
+  const escape = token => token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const patterns = clauses.map(clause => (clause.phrase
+    ? `${clause.tokens.map(escape).join('[^\\p{L}\\p{N}]+')}(?![\\p{L}\\p{N}])`
+    : escape(clause.tokens[0])));
+  const regex = new RegExp(`(?<![\\p{L}\\p{N}])(?:${patterns.join('|')})`, 'gu');
+
+  const matches = [];
+  let match;
+  while ((match = regex.exec(folded)) !== null) {
+    matches.push([positions[match.index], positions[match.index + match[0].length]]);
+  }
+  if (matches.length === 0) return null;
+
+  const start = Math.max(0, matches[0][0] - SNIPPET_CONTEXT);
+  const end = Math.min(text.length, matches[0][1] + SNIPPET_CONTEXT * 2);
+
+  const escapeHtml = value => value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+  let snippet = start > 0 ? '…' : '';
+  let cursor = start;
+  for (const [matchStart, matchEnd] of matches) {
+    if (matchStart < cursor) continue;
+    if (matchEnd > end) break;
+    snippet += escapeHtml(text.slice(cursor, matchStart)) + `<mark>${escapeHtml(text.slice(matchStart, matchEnd))}</mark>`;
+    cursor = matchEnd;
+  }
+  snippet += escapeHtml(text.slice(cursor, end)) + (end < text.length ? '…' : '');
+
+  return snippet.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Je posloupnost slov v poli za sebou?
+ * @param {Uint32Array} ids - Slova pole
+ * @param {Array<number>} sequence - Slova fráze
+ * @returns {number} Pozice první shody, -1 když tam není
+ */
+function findSequence(ids, sequence) {
+  for (let start = ids.indexOf(sequence[0]); start !== -1 && start + sequence.length <= ids.length; start = ids.indexOf(sequence[0], start + 1)) {
+    if (sequence.every((id, offset) => ids[start + offset] === id)) return start;
+  }
+  return -1;
+}
+
+/**
+ * Vytvoří prázdný vyhledávací index
+ * @param {Object} [options]
+ * @param {number} [options.maxWords] - Limit součtu indexovaných slov všech emailů
+ * @returns {Object} Index (has, filenames, add, remove, clear, size, words, truncated, search, snippet)
+ */
+function createSearchIndex({ maxWords = DEFAULT_MAX_WORDS } = {}) {
+  const documents = new Map(); // filename -> { fields: { name: { excerpt, ids: Uint32Array } }, words, shortened }
+  const postings = new Map(); // token -> Map(filename -> { field: tf })
+  const tokenIds = new Map(); // token -> číslo slova v ids polí
+  const tokenNames = []; // číslo -> token
+  const freeIds = []; // Čísla slov, která už žádný email neobsahuje
+  let sortedTokens = null; // Slovník pro prefixové hledání (lazy)
+  let words = 0;
+  let truncated = 0; // Emaily s tělem zkráceným kvůli maxWords
+
+  const idOf = (token) => {
+    if (!tokenIds.has(token)) {
+      const id = freeIds.length > 0 ? freeIds.pop() : tokenNames.length;
+      tokenIds.set(token, id);
+      tokenNames[id] = token;
+    }
+    return tokenIds.get(token);
+  };
+
+  /**
+   * Dokumenty obsahující slovo (přesně nebo jako prefix)
+   * @returns {Array<{token: string, docs: Map, factor: number}>}
+   */
+  const lookup = (token, allowPrefix) => {
+    const results = [];
+    if (postings.has(token)) {
+      results.push({ token, docs: postings.get(token), factor: 1 });
+    }
+    if (!allowPrefix || token.length < MIN_PREFIX_LENGTH) return results;
+
+    if (!sortedTokens) sortedTokens = [...postings.keys()].sort();
+
+    // Binární hledání prvního slova >= token, pak všechna slova se stejným prefixem
+    let low = 0;
+    let high = sortedTokens.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (sortedTokens[middle] < token) low = middle + 1;
+      else high = middle;
+    }
+    for (let i = low; i < sortedTokens.length && sortedTokens[i].startsWith(token); i++) {
+      if (sortedTokens[i] !== token) {
+        results.push({ token: sortedTokens[i], docs: postings.get(sortedTokens[i]), factor: PREFIX_MATCH_FACTOR });
+      }
+    }
+    return results;
+  };
+
+  /**
+   * Snippet ze slov indexu (shoda je za uloženým začátkem pole)
+   * @param {Uint32Array} ids
+   * @param {Array<Object>} clauses
+   * @returns {string|null}
+   */
+  const buildWordSnippet = (ids, clauses) => {
+    const matchesAt = (position) => {
+      for (const clause of clauses) {
+        if (clause.phrase) {
+          if (clause.tokens.every((token, offset) => tokenNames[ids[position + offset]] === token)) return clause.tokens.length;
+        } else if (tokenNames[ids[position]].startsWith(clause.tokens[0])) {
+          return 1;
+        }
+      }
+      return 0;
+    };
+
+    let first = -1;
+    for (let position = 0; position < ids.length && first === -1; position++) {
+      if (matchesAt(position) > 0) first = position;
+    }
+    if (first === -1) return null;
+
+    const start = Math.max(0, first - SNIPPET_CONTEXT_WORDS);
+    const end = Math.min(ids.length, first + SNIPPET_CONTEXT_WORDS * 2);
+    const parts = [];
+    for (let position = start; position < end;) {
+      const length = Math.min(matchesAt(position), end - position);
+      if (length > 0) {
+        parts.push(`<mark>${[...ids.subarray(position, position + length)].map(id => tokenNames[id]).join(' ')}</mark>`);
+        position += length;
+      } else {
+        parts.push(tokenNames[ids[position]]);
+        position++;
+      }
+    }
+
+    // Slova jsou jen písmena a číslice - escapování HTML není potřeba
+    return `${start > 0 ? '… ' : ''}${parts.join(' ')}${end < ids.length ? ' …' : ''}`;
+  };
+
+  const index = {
+    get size() {
+      return documents.size;
+    },
+
+    /**
+     * Počet uložených slov (limit maxWords)
+     */
+    get words() {
+      return words;
+    },
+
+    /**
+     * Počet emailů, jejichž tělo se kvůli maxWords indexovalo jen zčásti
+     */
+    get truncated() {
+      return truncated;
+    },
+
+    has(filename) {
+      return documents.has(filename);
+    },
+
+    filenames() {
+      return [...documents.keys()];
+    },
+
+    /**
+     * Přidá (nebo nahradí) email v indexu
+     * @param {string} filename - Maildir filename
+     * @param {Object} fields - { subject, from, to, text, html, headers, envelope, attachments } (texty)
+     */
+    add(filename, fields) {
+      if (documents.has(filename)) index.remove(filename);
+
+      const document = { fields: {}, words: 0, shortened: false };
+      for (const [field, value] of Object.entries(fields)) {
+        if (!FIELD_WEIGHTS[field] || !value) continue;
+
+        const text = field === 'html' ? htmlToText(String(value)) : String(value);
+        const limit = SHORT_FIELDS.has(field) ? MAX_FIELD_TOKENS : Math.min(MAX_FIELD_TOKENS, Math.max(0, maxWords - words));
+        const tokens = tokenize(text);
+        if (tokens.length > limit && limit < MAX_FIELD_TOKENS) document.shortened = true;
+        tokens.length = Math.min(tokens.length, limit);
+        if (tokens.length === 0) continue;
+
+        const ids = Uint32Array.from(tokens, idOf);
+        document.fields[field] = { excerpt: text.substring(0, EXCERPT_LENGTH), ids };
+        document.words += ids.length;
+        words += ids.length;
+
+        for (const token of tokens) {
+          if (!postings.has(token)) {
+            postings.set(token, new Map());
+            sortedTokens = null;
+          }
+          const docFields = postings.get(token).get(filename) || {};
+          docFields[field] = (docFields[field] || 0) + 1;
+          postings.get(token).set(filename, docFields);
+        }
+      }
+
+      if (document.shortened) truncated++;
+      documents.set(filename, document);
+    },
+
+    remove(filename) {
+      const document = documents.get(filename);
+      if (!document) return;
+
+      const ids = new Set();
+      Object.values(document.fields).forEach(field => field.ids.forEach(id => ids.add(id)));
+      for (const id of ids) {
+        const token = tokenNames[id];
+        const docs = postings.get(token);
+        docs.delete(filename);
+        if (docs.size === 0) {
+          postings.delete(token);
+          tokenIds.delete(token);
+          tokenNames[id] = undefined;
+          freeIds.push(id);
+          sortedTokens = null;
+        }
+      }
+      words -= document.words;
+      if (document.shortened) truncated--;
+      documents.delete(filename);
+    },
+
+    clear() {
+      documents.clear();
+      postings.clear();
+      tokenIds.clear();
+      tokenNames.length = 0;
+      freeIds.length = 0;
+      sortedTokens = null;
+      words = 0;
+      truncated = 0;
+    },
+
+    /**
+     * Najde emaily odpovídající všem textovým podmínkám dotazu
+     * @param {Array<Object>} clauses - Z parseSearchQuery
+     * @returns {Map<string, number>} filename -> skóre
+     */
+    search(clauses) {
+      let scores = null;
+
+      for (const clause of clauses) {
+        let candidates = null; // filename -> skóre klauzule
+
+        for (const token of clause.tokens) {
+          const tokenScores = new Map();
+
+          // Prefix jen u samostatného slova (hledání během psaní), fráze musí sedět přesně
+          for (const { docs, factor } of lookup(token, !clause.phrase)) {
+            const idf = Math.log(1 + documents.size / docs.size);
+            for (const [filename, docFields] of docs) {
+              let score = 0;
+              for (const [field, tf] of Object.entries(docFields)) {
+                if (clause.fields && !clause.fields.includes(field)) continue;
+                score += FIELD_WEIGHTS[field] * (1 + Math.log(tf)) * idf * factor;
+              }
+              if (score > 0) tokenScores.set(filename, Math.max(tokenScores.get(filename) || 0, score));
+            }
+          }
+
+          // Všechna slova klauzule musí být v emailu
+          candidates = candidates
+            ? new Map([...candidates]
+              .filter(([filename]) => tokenScores.has(filename))
+              .map(([filename, score]) => [filename, score + tokenScores.get(filename)]))
+            : tokenScores;
+        }
+
+        // Fráze - slova musí jít za sebou v jednom z polí
+        if (clause.phrase && candidates.size > 0) {
+          const sequence = clause.tokens.map(token => tokenIds.get(token));
+          for (const filename of [...candidates.keys()]) {
+            const fields = Object.entries(documents.get(filename).fields)
+              .filter(([field]) => !clause.fields || clause.fields.includes(field));
+            if (!fields.some(([, field]) => findSequence(field.ids, sequence) !== -1)) {
+              candidates.delete(filename);
+            }
+          }
+        }
+
+        scores = scores
+          ? new Map([...scores].filter(([filename]) => candidates.has(filename)).map(([filename, score]) => [filename, score + candidates.get(filename)]))
+          : candidates;
+
+        if (scores.size === 0) break;
+      }
+
+      return scores || new Map();
+    },
+
+    /**
+     * HTML snippet se zvýrazněnými slovy z dotazu
+     * @param {string} filename - Maildir filename
+     * @param {Array<Object>} clauses - Z parseSearchQuery
+     * @returns {{field: string, snippet: string}|null}
+     */
+    snippet(filename, clauses) {
+      const document = documents.get(filename);
+      if (!document) return null;
+
+      for (const field of SNIPPET_FIELDS) {
+        if (!document.fields[field]) continue;
+
+        const fieldClauses = clauses.filter(clause => !clause.fields || clause.fields.includes(field));
+        if (fieldClauses.length === 0) continue;
+
+        const { excerpt, ids } = document.fields[field];
+        const snippet = buildSnippet(excerpt, fieldClauses) || buildWordSnippet(ids, fieldClauses);
+        if (snippet) return { field, snippet };
+      }
+      return null;
+    },
+  };
+
+  return index;
+}
+
+module.exports = {
+  createSearchIndex,
+  htmlToText,
+  parseSearchQuery,
+};
@@ -0,0 +1,110 @@
+/**
+ * SMTP AUTH pro lokální vývoj
+ *
+ * Režimy (SMTP_AUTH_MODE):
+ * - off:         AUTH není nabízen (výchozí, původní chování)
+ * - any:         přijme jakékoliv jméno a heslo
+ * - credentials: přijme jen účty z SMTP_AUTH_USERS / SMTP_AUTH_FILE
+ * - reject:      každý pokus o přihlášení selže (535) - pro testování chybových stavů
+ *
+ * Podporované mechanismy: PLAIN, LOGIN, CRAM-MD5
+ */
+
+const fs = require('fs').promises;
+
+const AUTH_MODES = ['off', 'any', 'credentials', 'reject'];
+const AUTH_METHODS = ['PLAIN', 'LOGIN', 'CRAM-MD5'];
+
+/**
+ * Naparsuje seznam účtů ve formátu `user:password`
+ * (oddělené čárkou nebo novým řádkem, `#` = komentář)
+ * @param {string} text - Seznam účtů
+ * @returns {Map<string, string>} username -> password
+ */
+function parseCredentials(text) {
+  const credentials = new Map();
+
+  for (const entry of (text || '').split(/[\n,]/)) {
+    const line = entry.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const separator = line.indexOf(':');
+    if (separator <= 0) continue;
+
+    credentials.set(line.substring(0, separator), line.substring(separator + 1));
+  }
+
+  return credentials;
+}
+
+/**
+ * Načte účty z env proměnné a/nebo souboru
+ * @param {Object} options
+ * @param {string} [options.users] - Účty inline (`user:pass,user2:pass2`)
+ * @param {string} [options.file] - Cesta k souboru s účty (`user:pass` na řádek)
+ * @returns {Promise<Map<string, string>>}
+ */
+async function loadCredentials({ users, file }) {
+  const credentials = parseCredentials(users);
+
+  if (file) {
+    const content = await fs.readFile(file, 'utf-8');
+    for (const [username, password] of parseCredentials(content)) {
+      credentials.set(username, password);
+    }
+  }
+
+  return credentials;
+}
+
+/**
+ * Ověří přihlašovací údaje proti seznamu účtů
+ * @param {Object} auth - Auth objekt ze smtp-server (method, username, password / validatePassword)
+ * @param {Map<string, string>} credentials - Povolené účty
+ * @returns {boolean}
+ */
+function verifyCredentials(auth, credentials) {
+  if (!credentials.has(auth.username)) return false;
+
+  const expected = credentials.get(auth.username);
+
+  // CRAM-MD5 neposílá heslo, jen HMAC odpověď na challenge
+  if (auth.method === 'CRAM-MD5') {
+    return auth.validatePassword(expected);
+  }
+  return auth.password === expected;
+}
+
+/**
+ * Vytvoří onAuth handler pro SMTPServer
+ * @param {Object} options
+ * @param {string} options.mode - Režim (any, credentials, reject)
+ * @param {Map<string, string>} [options.credentials] - Účty pro režim credentials
+ * @param {Object} options.logger - Pino logger
+ * @returns {function(Object, Object, Function): void}
+ */
+function createAuthHandler({ mode, credentials = new Map(), logger }) {
+  return (auth, session, callback) => {
+    const accepted = mode === 'any' || (mode === 'credentials' && verifyCredentials(auth, credentials));
+
+    if (!accepted) {
+      logger.info({ username: auth.username, method: auth.method, mode }, 'SMTP authentication rejected');
+
+      const error = new Error('Authentication credentials invalid');
+      error.responseCode = 535;
+      return callback(error);
+    }
+
+    logger.debug({ username: auth.username, method: auth.method }, 'SMTP authentication accepted');
+
+    // Jméno a mechanismus se uloží do envelope přijatých emailů
+    callback(null, { user: { username: auth.username, method: auth.method } });
+  };
+}
+
+module.exports = {
+  AUTH_METHODS,
+  AUTH_MODES,
+  createAuthHandler,
+  loadCredentials,
+};
@@ -0,0 +1,1110 @@
+/**
+ * Úložiště emailů - Maildir (výchozí, čte ho Dovecot) nebo paměť (rychlé testy bez disku a bez rootu)
+ *
+ * Seznam, čtení, příznaky, přesun i mazání emailů jdou přes toto rozhraní - mailrider.js s cestami
+ * k souborům nepracuje. Email identifikuje umístění `{ mailbox, folder, subfolder, filename, flags }`,
+ * stejná pole (kromě flags) má i položka seznamu emailů.
+ *
+ * `filename` je Maildir jméno bez info části (`:2,<flagy>`) - nemění se, když Dovecot nebo MailRider
+ * změní flagy a soubor přejmenuje. Flagy (přečteno, hvězdička, ...) žijí jen v názvu souboru, takže je
+ * IMAP klienti a Web UI vidí stejně.
+ *
+ * Pomocná data (envelope, index emailů, ...) se ukládají přes readState / writeState, průběžné změny
+ * velkých dat přes deník (appendJournal / readJournal): Maildir je drží v souborech vedle výchozího mailboxu,
+ * paměťový backend jen v paměti.
+ */
+
+const fs = require('fs').promises;
+const { createReadStream, createWriteStream, watch: watchDirectory } = require('fs');
+const { Readable } = require('stream');
+const path = require('path');
+const crypto = require('crypto');
+
+const STORAGE_BACKENDS = ['maildir', 'memory'];
+
+// Jak dlouho se sbírají události z fs.watch, než se složky znovu přečtou (Dovecot mění více souborů najednou)
+const WATCH_DEBOUNCE = 100;
+
+// Maildir flagy (info `:2,<flagy>` v názvu souboru v cur) - odpovídají IMAP systémovým flagům
+const MAILDIR_FLAGS = {
+  seen: 'S', // \Seen
+  flagged: 'F', // \Flagged (hvězdička)
+  answered: 'R', // \Answered
+  deleted: 'T', // \Deleted (čeká na EXPUNGE)
+  draft: 'D', // \Draft
+  passed: 'P', // přeposláno
+};
+
+/**
+ * Vytvoří chybu úložiště s příznakem pro HTTP status
+ * @param {string} message
+ * @param {Object} flags - { notFound: true } → 404, { conflict: true } → 409
+ * @returns {Error}
+ */
+function createStorageError(message, flags) {
+  return Object.assign(new Error(message), flags);
+}
+
+/**
+ * Naparsuje vlastníka souborů `uid:gid`
+ * @param {string} value - Např. `5000:5000` (vmail), prázdné = vlastník se nemění
+ * @returns {{uid: number, gid: number}|null}
+ */
+function parseOwner(value) {
+  if (!value) return null;
+
+  const match = /^(\d+):(\d+)$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid MAILDIR_OWNER "${value}" (expected uid:gid, e.g. 5000:5000)`);
+  }
+  return { uid: parseInt(match[1], 10), gid: parseInt(match[2], 10) };
+}
+
+/**
+ * Rozdělí Maildir jméno souboru na unikátní část a flagy
+ * @param {string} name - Např. `1731574200.abc123.mailrider:2,FS`
+ * @returns {{filename: string, flags: string}} Flagy jako písmena (`FS`), prázdný řetězec bez info části
+ */
+function parseMaildirName(name) {
+  const separator = name.indexOf(':');
+  if (separator === -1) return { filename: name, flags: '' };
+
+  const info = name.slice(separator + 1);
+  return { filename: name.slice(0, separator), flags: info.startsWith('2,') ? info.slice(2) : '' };
+}
+
+/**
+ * Použije změny na flagy - výsledek je seřazený podle ASCII, jak Maildir vyžaduje
+ * @param {string} flags - Současné flagy (`FS`)
+ * @param {Object<string, boolean>} changes - Písmeno -> nastavit / zrušit, např. `{ S: true, F: false }`
+ * @returns {string}
+ */
+function applyFlagChanges(flags, changes) {
+  const result = new Set(flags);
+  for (const [flag, value] of Object.entries(changes)) {
+    if (value) result.add(flag);
+    else result.delete(flag);
+  }
+  return [...result].sort().join('');
+}
+
+/**
+ * Spáruje odebraný a přidaný email se stejným filename (přesun mezi složkami) do jedné změny `moved`
+ * @param {Array<Object>} changes - Změny z porovnání složek
+ * @returns {Array<Object>}
+ */
+function pairMovedChanges(changes) {
+  const removed = new Map(changes.filter(change => change.type === 'removed').map(change => [change.location.filename, change]));
+  const moved = new Set();
+  const result = [];
+
+  for (const change of changes) {
+    if (change.type === 'removed') continue;
+    const source = change.type === 'added' && removed.get(change.location.filename);
+    if (source) {
+      result.push({ type: 'moved', location: change.location, previous: source.location });
+      moved.add(change.location.filename);
+    } else {
+      result.push(change);
+    }
+  }
+  for (const [filename, change] of removed) {
+    if (!moved.has(filename)) result.push(change);
+  }
+
+  return result;
+}
+
+/**
+ * Záznamy deníku (JSON na řádek)
+ *
+ * Neúplný poslední řádek (pád uprostřed zápisu) se vynechá, poškozený řádek jinde vyhodí SyntaxError.
+ *
+ * @param {string} content
+ * @returns {Array<*>}
+ */
+function parseJournal(content) {
+  const lines = content.split('\n');
+  lines.pop(); // Za posledním \n - prázdné, nebo neúplný zápis
+  return lines.filter(Boolean).map(line => JSON.parse(line));
+}
+
+/**
+ * Nové Maildir jméno souboru
+ *
+ * Maildir naming convention: {timestamp}.{unique}.{hostname}
+ *
+ * @param {Date} date - Datum přijetí (import zachovává původní datum)
+ * @returns {string}
+ */
+function createMessageFilename(date) {
+  const timestamp = Math.floor(date.getTime() / 1000);
+  const unique = crypto.randomBytes(8).toString('hex');
+  return `${timestamp}.${unique}.mailrider`;
+}
+
+/**
+ * Zapíše SMTP DATA stream do souboru (bez bufferování celé zprávy v paměti)
+ * @param {Stream} stream - DATA stream ze smtp-server
+ * @param {string} filePath - Cílový soubor (Maildir tmp)
+ * @returns {Promise<void>} Resolve až po přečtení celého streamu a zavření souboru
+ */
+function writeStreamToFile(stream, filePath) {
+  return new Promise((resolve, reject) => {
+    const file = createWriteStream(filePath, { mode: 0o600 });
+    let streamEnded = false;
+    let fileClosed = false;
+    let writeError = null;
+
+    const settle = () => {
+      if (!streamEnded || !fileClosed) return;
+      if (writeError) return reject(writeError);
+      resolve();
+    };
+
+    file.on('error', (error) => {
+      writeError = error;
+      // Zbytek DATA se musí dočíst, jinak by ho smtp-server četl jako příkazy
+      stream.unpipe(file);
+      stream.resume();
+    });
+    file.on('close', () => {
+      fileClosed = true;
+      settle();
+    });
+    stream.on('end', () => {
+      streamEnded = true;
+      settle();
+    });
+    stream.on('error', (error) => {
+      file.destroy();
+      reject(error);
+    });
+
+    stream.pipe(file);
+  });
+}
+
+/**
+ * Přečte celý stream do bufferu
+ * @param {Stream} stream
+ * @returns {Promise<Buffer>}
+ */
+function readStreamToBuffer(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Maildir backend - `<baseDir>/<mailbox>/Maildir/{new,cur,tmp}`, IMAP složky jako `.<název>`
+ * @param {Object} options
+ * @param {string} options.baseDir - MAILDIR_BASE
+ * @param {string} options.defaultMailbox - Výchozí mailbox (u něj leží i soubory se stavem)
+ * @param {{uid: number, gid: number}|null} options.owner - Vlastník nových souborů (null = neměnit, běh bez rootu)
+ * @param {Object} options.logger - Pino logger
+ * @returns {Object} Storage
+ */
+function createMaildirStorage({ baseDir, defaultMailbox, owner, logger }) {
+  const knownMailboxes = new Set();
+  const draftPaths = new WeakMap(); // draft -> cesta v tmp (pro copy mezi mailboxy)
+  // Skutečné názvy souborů (s info částí) z posledního čtení složky: "mailbox/složka" -> Map(filename -> { subfolder, name })
+  // Vlastní zápisy je udržují aktuální, takže rozdíl při dalším čtení jsou změny od někoho jiného (Dovecot, test)
+  const diskNames = new Map();
+  let pendingChanges = []; // Cizí změny pro watch listener
+  let reportChanges = null; // Naplánuje předání pendingChanges (jen když běží watch)
+
+  // Čtení složek a vlastní zápisy se střídají - čtení nesmí vidět napůl hotový přesun nebo přejmenování
+  let storageLock = Promise.resolve();
+  const exclusive = (operation) => {
+    const result = storageLock.then(operation);
+    storageLock = result.catch(() => {});
+    return result;
+  };
+
+  const maildirPath = mailbox => path.join(baseDir, mailbox, 'Maildir');
+  const folderPath = (mailbox, folder) => (folder === 'INBOX'
+    ? maildirPath(mailbox)
+    : path.join(maildirPath(mailbox), `.${folder}`));
+  const folderKey = (mailbox, folder) => `${mailbox}/${folder}`;
+  const statePath = name => path.join(baseDir, defaultMailbox, `.${name}.json`);
+  const journalPath = name => path.join(baseDir, defaultMailbox, `.${name}.journal`);
+
+  const diskPath = (mailbox, folder, entry) => path.join(folderPath(mailbox, folder), entry.subfolder, entry.name);
+  const toLocation = (mailbox, folder, filename, entry) => ({ mailbox, folder, subfolder: entry.subfolder, filename, flags: parseMaildirName(entry.name).flags });
+  const rememberName = (mailbox, folder, filename, entry) => {
+    const key = folderKey(mailbox, folder);
+    if (!diskNames.has(key)) diskNames.set(key, new Map());
+    diskNames.get(key).set(filename, entry);
+  };
+  const forgetName = (mailbox, folder, filename) => diskNames.get(folderKey(mailbox, folder))?.delete(filename);
+
+  const exists = async (filePath) => {
+    try {
+      await fs.access(filePath);
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  // vmail:vmail (5000:5000), ať Dovecot soubory přečte - bez rootu se vlastník nemění
+  const setOwner = async (...paths) => {
+    if (!owner) return;
+    for (const filePath of paths) {
+      await fs.chown(filePath, owner.uid, owner.gid);
+    }
+  };
+
+  /**
+   * Přečte new a cur jedné složky a zapamatuje si skutečné názvy souborů (volat jen uvnitř exclusive)
+   *
+   * Rozdíl proti minulému čtení se nahlásí watch listeneru. Složka čtená poprvé se nehlásí - je to výchozí stav.
+   *
+   * @returns {Promise<Array<{mailbox: string, folder: string, subfolder: string, filename: string, flags: string}>>}
+   */
+  const readFolder = async (mailbox, folder) => {
+    const names = new Map();
+
+    for (const subfolder of ['new', 'cur']) {
+      try {
+        const files = await fs.readdir(path.join(folderPath(mailbox, folder), subfolder));
+        for (const name of files) {
+          // Přeskoč speciální soubory (Dovecot metadata)
+          if (name.startsWith('dovecot-')) continue;
+          // Přesun z new do cur během čtení - platí cur (čte se jako druhá)
+          names.set(parseMaildirName(name).filename, { subfolder, name });
+        }
+      } catch (error) {
+        // Složka neexistuje nebo není přístupná
+        if (error.code !== 'ENOENT') {
+          logger.warn({ mailbox, folder, subfolder, error: error.message }, 'Failed to read subfolder');
+        }
+      }
+    }
+
+    const key = folderKey(mailbox, folder);
+    const previous = diskNames.get(key);
+    diskNames.set(key, names);
+
+    if (previous && reportChanges) {
+      for (const [filename, entry] of names) {
+        const before = previous.get(filename);
+        if (!before) {
+          pendingChanges.push({ type: 'added', location: toLocation(mailbox, folder, filename, entry) });
+        } else if (before.name !== entry.name || before.subfolder !== entry.subfolder) {
+          pendingChanges.push({
+            type: 'changed',
+            location: toLocation(mailbox, folder, filename, entry),
+            previous: toLocation(mailbox, folder, filename, before),
+          });
+        }
+      }
+      for (const [filename, entry] of previous) {
+        if (!names.has(filename)) pendingChanges.push({ type: 'removed', location: toLocation(mailbox, folder, filename, entry) });
+      }
+      if (pendingChanges.length > 0) reportChanges();
+    }
+
+    return [...names].map(([filename, entry]) => toLocation(mailbox, folder, filename, entry));
+  };
+
+  const scanFolder = (mailbox, folder) => exclusive(() => readFolder(mailbox, folder));
+
+  /**
+   * Najde soubor emailu ve složce - Dovecot ho mohl mezitím přejmenovat (flagy) nebo přesunout z new do cur
+   * @param {{mailbox: string, folder: string, filename: string}} location
+   * @param {Object} [options]
+   * @param {boolean} [options.rescan] - Když email není mezi známými názvy, přečíst složku znovu
+   * @param {boolean} [options.locked] - Volá se uvnitř exclusive
+   * @returns {Promise<{subfolder: string, name: string}|null>}
+   */
+  const locateFile = async ({ mailbox, folder, filename }, { rescan = true, locked = false } = {}) => {
+    const known = diskNames.get(folderKey(mailbox, folder))?.get(filename);
+    if (known && await exists(diskPath(mailbox, folder, known))) return known;
+    if (!rescan) return null;
+
+    await (locked ? readFolder(mailbox, folder) : scanFolder(mailbox, folder));
+    return diskNames.get(folderKey(mailbox, folder)).get(filename) || null;
+  };
+
+  /**
+   * Přejmenuje soubor podle nových flagů (volat jen uvnitř exclusive)
+   * @param {{mailbox: string, folder: string, filename: string}} location
+   * @param {Object<string, boolean>} changes - Písmeno flagu -> nastavit / zrušit
+   * @returns {Promise<Object>} Nové umístění
+   */
+  const renameWithFlags = async (location, changes) => {
+    const { mailbox, folder, filename } = location;
+
+    for (let attempt = 0; ; attempt++) {
+      const entry = await locateFile(location, { locked: true });
+      if (!entry) throw createStorageError(`Email ${filename} not found`, { notFound: true });
+
+      const current = parseMaildirName(entry.name).flags;
+      const flags = applyFlagChanges(current, changes);
+      if (flags === current) return { mailbox, folder, subfolder: entry.subfolder, filename, flags };
+
+      const target = { subfolder: 'cur', name: `${filename}:2,${flags}` };
+      try {
+        await fs.rename(diskPath(mailbox, folder, entry), diskPath(mailbox, folder, target));
+      } catch (error) {
+        // Dovecot soubor právě přejmenoval - zkusí se to znovu s jeho flagy
+        if (error.code === 'ENOENT' && attempt < 2) continue;
+        throw error;
+      }
+
+      rememberName(mailbox, folder, filename, target);
+      return { mailbox, folder, subfolder: 'cur', filename, flags };
+    }
+  };
+
+  const messagePath = async (location) => {
+    const entry = await locateFile(location);
+    if (!entry) throw createStorageError(`Email ${location.filename} not found`, { notFound: true, code: 'ENOENT' });
+    return diskPath(location.mailbox, location.folder, entry);
+  };
+
+  const storage = {
+    backend: 'maildir',
+
+    describe() {
+      return { backend: 'maildir', path: baseDir, owner: owner ? `${owner.uid}:${owner.gid}` : null };
+    },
+
+    /**
+     * Vytvoří Maildir strukturu mailboxu (při prvním doručení na novou adresu)
+     * @param {string} mailbox
+     */
+    async ensureMailbox(mailbox) {
+      if (knownMailboxes.has(mailbox)) return;
+
+      const subfolders = ['new', 'cur', 'tmp'].map(sub => path.join(maildirPath(mailbox), sub));
+      for (const dir of subfolders) {
+        await fs.mkdir(dir, { recursive: true });
+      }
+      await setOwner(path.join(baseDir, mailbox), maildirPath(mailbox), ...subfolders);
+
+      knownMailboxes.add(mailbox);
+    },
+
+    /**
+     * Najde všechny mailboxy (adresáře s Maildir pod baseDir)
+     * @returns {Promise<Array<string>>} Názvy mailboxů, výchozí mailbox jako první
+     */
+    async listMailboxes() {
+      const mailboxes = [defaultMailbox];
+
+      try {
+        const entries = await fs.readdir(baseDir, { withFileTypes: true });
+
+        for (const entry of entries) {
+          if (!entry.isDirectory() || entry.name === defaultMailbox || entry.name.startsWith('.')) continue;
+          // Bez Maildir to není mailbox
+          if (await exists(maildirPath(entry.name))) mailboxes.push(entry.name);
+        }
+      } catch (error) {
+        logger.warn({ error: error.message }, 'Failed to scan for mailboxes');
+      }
+
+      return mailboxes;
+    },
+
+    async mailboxExists(mailbox) {
+      return knownMailboxes.has(mailbox) || exists(maildirPath(mailbox));
+    },
+
+    /**
+     * Najde všechny IMAP složky (napříč mailboxy)
+     * @param {string} [mailboxFilter] - Jen složky daného mailboxu
+     * @returns {Promise<Array<{name: string, mailbox: string}>>}
+     */
+    async listFolders(mailboxFilter) {
+      const folders = [];
+      const mailboxes = mailboxFilter ? [mailboxFilter] : await storage.listMailboxes();
+
+      for (const mailbox of mailboxes) {
+        // INBOX (hlavní složka)
+        folders.push({ name: 'INBOX', mailbox });
+
+        try {
+          // Podsložky začínající tečkou (Maildir konvence pro IMAP složky)
+          const entries = await fs.readdir(maildirPath(mailbox), { withFileTypes: true });
+          for (const entry of entries) {
+            if (entry.isDirectory() && entry.name.startsWith('.')) {
+              folders.push({ name: entry.name.substring(1), mailbox });
+            }
+          }
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            logger.warn({ mailbox, error: error.message }, 'Failed to scan for IMAP folders');
+          }
+        }
+      }
+
+      return folders;
+    },
+
+    async folderExists(mailbox, folder) {
+      return exists(folderPath(mailbox, folder));
+    },
+
+    async createFolder(mailbox, folder) {
+      const target = folderPath(mailbox, folder);
+      if (await exists(target)) throw createStorageError('Folder already exists', { conflict: true });
+
+      const subfolders = ['new', 'cur', 'tmp'].map(sub => path.join(target, sub));
+      for (const dir of subfolders) {
+        await fs.mkdir(dir, { recursive: true });
+      }
+      await setOwner(target, ...subfolders);
+      // Prázdná od začátku - co do ní přidá IMAP klient, se nahlásí jako nové
+      diskNames.set(folderKey(mailbox, folder), new Map());
+    },
+
+    async deleteFolder(mailbox, folder) {
+      const target = folderPath(mailbox, folder);
+      if (!(await exists(target))) throw createStorageError('Folder not found', { notFound: true });
+
+      await exclusive(async () => {
+        await fs.rm(target, { recursive: true, force: true });
+        diskNames.delete(folderKey(mailbox, folder));
+      });
+    },
+
+    /**
+     * Emaily jedné složky (new = ještě je neviděl žádný klient, cur = ostatní; přečtení říká flag S)
+     * @param {string} mailbox
+     * @param {string} folder
+     * @returns {Promise<Array<{mailbox: string, folder: string, subfolder: string, filename: string, flags: string}>>}
+     */
+    listMessages(mailbox, folder) {
+      return scanFolder(mailbox, folder);
+    },
+
+    /**
+     * Najde email podle filename ve všech složkách
+     * @param {string} filename - Bez info části (s ní se také najde)
+     * @param {{mailbox: string, folder: string}} [hint] - Kde email naposledy byl (index) - hledá se tam jako první
+     * @returns {Promise<{mailbox: string, folder: string, subfolder: string, filename: string, flags: string}|null>}
+     */
+    async findMessage(filename, hint) {
+      const base = parseMaildirName(filename).filename;
+      if (hint) {
+        const entry = await locateFile({ mailbox: hint.mailbox, folder: hint.folder, filename: base });
+        if (entry) {
+          return { mailbox: hint.mailbox, folder: hint.folder, subfolder: entry.subfolder, filename: base, flags: parseMaildirName(entry.name).flags };
+        }
+      }
+
+      const folders = await storage.listFolders();
+
+      // Nejdřív podle známých názvů, složky se znovu čtou až když tam email není
+      for (const rescan of [false, true]) {
+        for (const folder of folders) {
+          const entry = await locateFile({ mailbox: folder.mailbox, folder: folder.name, filename: base }, { rescan });
+          if (entry) {
+            return { mailbox: folder.mailbox, folder: folder.name, subfolder: entry.subfolder, filename: base, flags: parseMaildirName(entry.name).flags };
+          }
+        }
+      }
+      return null;
+    },
+
+    async readMessage(location) {
+      return fs.readFile(await messagePath(location));
+    },
+
+    openMessage(location) {
+      // Cesta se dohledá až při čtení - stream vrací hned, jako fs.createReadStream
+      return Readable.from((async function* read() {
+        yield* createReadStream(await messagePath(location));
+      })());
+    },
+
+    /**
+     * Rozepsaný email v Maildir tmp - po commit() se atomicky přesune do new
+     * @param {string} mailbox - Cílový mailbox
+     * @param {Date} [date] - Původní datum přijetí - použije se v názvu souboru i jako mtime (Dovecot z něj bere INTERNALDATE)
+     * @returns {Promise<Object>} Draft (write, writeStream, read, open, copy, commit, discard)
+     */
+    async createDraft(mailbox, date = null) {
+      await storage.ensureMailbox(mailbox);
+
+      const filename = createMessageFilename(date || new Date());
+      const tmpPath = path.join(maildirPath(mailbox), 'tmp', filename);
+
+      const draft = {
+        mailbox,
+        filename,
+        write: content => fs.writeFile(tmpPath, content, { mode: 0o600 }),
+        writeStream: stream => writeStreamToFile(stream, tmpPath),
+        read: () => fs.readFile(tmpPath),
+        open: () => createReadStream(tmpPath),
+        // Kopie pro další mailbox - bez načtení zprávy do paměti
+        async copy(targetMailbox) {
+          const copy = await storage.createDraft(targetMailbox, date);
+          await fs.copyFile(tmpPath, draftPaths.get(copy));
+          return copy;
+        },
+        async commit() {
+          await setOwner(tmpPath);
+          await fs.chmod(tmpPath, 0o600);
+          if (date) await fs.utimes(tmpPath, date, date);
+
+          // Dovecot ho přesune do cur, když ho uvidí IMAP klient
+          await exclusive(async () => {
+            await fs.rename(tmpPath, path.join(maildirPath(mailbox), 'new', filename));
+            rememberName(mailbox, 'INBOX', filename, { subfolder: 'new', name: filename });
+          });
+          return { mailbox, folder: 'INBOX', subfolder: 'new', filename, flags: '' };
+        },
+        discard: () => fs.unlink(tmpPath).catch(() => {}),
+      };
+      draftPaths.set(draft, tmpPath);
+
+      return draft;
+    },
+
+    async moveMessage(location, targetFolder) {
+      if (!(await storage.folderExists(location.mailbox, targetFolder))) {
+        throw createStorageError('Target folder not found', { notFound: true });
+      }
+
+      return exclusive(async () => {
+        // Podsložka (new/cur) i flagy v názvu souboru zůstávají
+        const entry = await locateFile(location, { locked: true });
+        if (!entry) throw createStorageError(`Email ${location.filename} not found`, { notFound: true });
+
+        const source = diskPath(location.mailbox, location.folder, entry);
+        const targetPath = diskPath(location.mailbox, targetFolder, entry);
+        await fs.copyFile(source, targetPath);
+        rememberName(location.mailbox, targetFolder, location.filename, entry);
+        await setOwner(targetPath);
+        await fs.chmod(targetPath, 0o600);
+        await fs.unlink(source);
+        forgetName(location.mailbox, location.folder, location.filename);
+
+        return toLocation(location.mailbox, targetFolder, location.filename, entry);
+      });
+    },
+
+    deleteMessage(location) {
+      return exclusive(async () => {
+        const entry = await locateFile(location, { locked: true });
+        if (!entry) throw createStorageError(`Email ${location.filename} not found`, { notFound: true, code: 'ENOENT' });
+
+        await fs.unlink(diskPath(location.mailbox, location.folder, entry));
+        forgetName(location.mailbox, location.folder, location.filename);
+      });
+    },
+
+    /**
+     * Změní flagy emailu přejmenováním souboru (email s flagy patří do cur, jak to dělá Dovecot)
+     *
+     * Změny se počítají z aktuálního názvu souboru - flag nastavený mezitím IMAP klientem se nepřepíše.
+     *
+     * @param {{mailbox: string, folder: string, filename: string}} location
+     * @param {Object<string, boolean>} changes - Písmeno flagu -> nastavit / zrušit, např. `{ S: true }`
+     * @returns {Promise<{mailbox: string, folder: string, subfolder: string, filename: string, flags: string}>} Nové umístění
+     */
+    setFlags(location, changes) {
+      return exclusive(() => renameWithFlags(location, changes));
+    },
+
+    /**
+     * Smaže všechny emaily ve všech složkách (složky zůstanou)
+     * @returns {Promise<number>} Počet smazaných emailů
+     */
+    async deleteAllMessages() {
+      let deletedCount = 0;
+
+      for (const folder of await storage.listFolders()) {
+        for (const location of await storage.listMessages(folder.mailbox, folder.name)) {
+          try {
+            await storage.deleteMessage(location);
+            deletedCount++;
+          } catch (error) {
+            logger.warn({ file: location.filename, folder: folder.name, error: error.message }, 'Failed to delete email');
+          }
+        }
+      }
+
+      return deletedCount;
+    },
+
+    /**
+     * Načte pomocná data (`.<name>.json` u výchozího mailboxu)
+     * @param {string} name - envelopes, releases, protected, message-index, ...
+     * @returns {Promise<*|null>} null když soubor ještě neexistuje
+     */
+    async readState(name) {
+      try {
+        return JSON.parse(await fs.readFile(statePath(name), 'utf-8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async writeState(name, value) {
+      // Přes dočasný soubor - pád uprostřed zápisu nenechá poloviční JSON
+      const target = statePath(name);
+      const tmpPath = `${target}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      try {
+        await fs.writeFile(tmpPath, JSON.stringify(value), 'utf-8');
+        await fs.rename(tmpPath, target);
+      } catch (error) {
+        await fs.unlink(tmpPath).catch(() => {});
+        throw error;
+      }
+    },
+
+    async deleteState(name) {
+      await fs.unlink(statePath(name)).catch((error) => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    },
+
+    /**
+     * Připíše záznamy na konec deníku (`.<name>.journal`, JSON na řádek) - bez přepisu celého souboru
+     * @param {string} name
+     * @param {Array<*>} records
+     */
+    async appendJournal(name, records) {
+      await fs.appendFile(journalPath(name), records.map(record => `${JSON.stringify(record)}\n`).join(''), 'utf-8');
+    },
+
+    /**
+     * Načte záznamy deníku
+     * @param {string} name
+     * @returns {Promise<Array<*>|null>} null když deník neexistuje
+     * @throws {SyntaxError} Poškozený deník
+     */
+    async readJournal(name) {
+      try {
+        return parseJournal(await fs.readFile(journalPath(name), 'utf-8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async deleteJournal(name) {
+      await fs.unlink(journalPath(name)).catch((error) => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    },
+
+    /**
+     * Zkušební zápis do Maildir/tmp (health check)
+     * @returns {Promise<Object>}
+     */
+    async probe() {
+      const tmpDir = path.join(maildirPath(defaultMailbox), 'tmp');
+      const probe = path.join(tmpDir, `.health-${process.pid}-${crypto.randomBytes(4).toString('hex')}`);
+      await fs.writeFile(probe, 'ok');
+      await fs.unlink(probe);
+      return { path: tmpDir };
+    },
+
+    /**
+     * Volné a celkové místo na disku s Maildir
+     * @returns {Promise<{free: number, total: number}>}
+     */
+    async diskSpace() {
+      const stats = await fs.statfs(baseDir);
+      return { free: stats.bavail * stats.bsize, total: stats.blocks * stats.bsize };
+    },
+
+    /**
+     * Sleduje změny, které udělal někdo jiný - IMAP klient přes Dovecot, test zapisující přímo do Maildir
+     *
+     * Hlídá new a cur všech složek; nové mailboxy a složky se začnou hlídat hned, jak vzniknou.
+     * Email se pozná podle filename bez flagů: přejmenování kvůli flagům nebo přesun z new do cur je `changed`,
+     * stejný filename zmizelý z jedné složky a nalezený v jiné je `moved`. Vlastní zápisy se nehlásí.
+     *
+     * @param {function(Array<Object>): (void|Promise)} listener - Dávka změn `{ type: added|removed|moved|changed, location, previous }`
+     * @returns {Promise<{close: function(): void}>}
+     * @throws {Error} Když nejde spustit fs.watch (např. vyčerpaný limit inotify)
+     */
+    async watch(listener) {
+      const watchers = new Map(); // cesta -> FSWatcher
+      const dirtyFolders = new Map(); // "mailbox/složka" -> { mailbox, folder }
+      let refreshNeeded = false;
+      let timer = null;
+      let running = null;
+      let closed = false;
+
+      const schedule = () => {
+        if (!timer && !closed) timer = setTimeout(flush, WATCH_DEBOUNCE);
+      };
+
+      const watchPath = (dirPath, onEvent) => {
+        if (watchers.has(dirPath)) return;
+        try {
+          const watcher = watchDirectory(dirPath, { persistent: false }, (eventType, name) => {
+            Promise.resolve(onEvent(name)).then(schedule, schedule);
+          });
+          watcher.on('error', (error) => {
+            // Smazaná složka apod. - při obnově se hlídání nastaví znovu, pokud složka pořád existuje
+            logger.debug({ path: dirPath, error: error.message }, 'Maildir watcher error');
+            watcher.close();
+            watchers.delete(dirPath);
+            refreshNeeded = true;
+            schedule();
+          });
+          watchers.set(dirPath, watcher);
+        } catch (error) {
+          if (error.code !== 'ENOENT') throw error;
+        }
+      };
+
+      /**
+       * Hlídání pro všechny současné mailboxy a složky
+       * @param {boolean} initial - Při startu se složky jen načtou (výchozí stav), později objevené se nahlásí celé
+       */
+      const refresh = async (initial) => {
+        const wanted = new Set([baseDir]);
+        watchPath(baseDir, () => {
+          refreshNeeded = true;
+        });
+
+        for (const folder of await storage.listFolders()) {
+          const { mailbox, name } = folder;
+          const key = folderKey(mailbox, name);
+          const markDirty = () => dirtyFolders.set(key, { mailbox, folder: name });
+
+          wanted.add(maildirPath(mailbox));
+          watchPath(maildirPath(mailbox), (entry) => {
+            // Složky jsou `.název`, ostatní soubory v kořeni Maildir jsou indexy Dovecotu
+            if (!entry || entry.startsWith('.')) refreshNeeded = true;
+          });
+          for (const subfolder of ['new', 'cur']) {
+            const dirPath = path.join(folderPath(mailbox, name), subfolder);
+            wanted.add(dirPath);
+            watchPath(dirPath, async (entry) => {
+              if (entry) {
+                // Vlastní zápis (soubor je tam, kde ho čekáme) nemusí číst celou složku znovu
+                const present = await exists(path.join(dirPath, entry));
+                const known = diskNames.get(key)?.get(parseMaildirName(entry).filename);
+                if (present === Boolean(known && known.subfolder === subfolder && known.name === entry)) return;
+              }
+              markDirty();
+            });
+          }
+
+          if (!diskNames.has(key)) {
+            if (!initial) diskNames.set(key, new Map());
+            markDirty();
+          }
+        }
+
+        // Smazané složky - jejich emaily se nahlásí jako odebrané
+        for (const [dirPath, watcher] of watchers) {
+          if (wanted.has(dirPath)) continue;
+          watcher.close();
+          watchers.delete(dirPath);
+        }
+        for (const key of diskNames.keys()) {
+          const [mailbox, ...rest] = key.split('/');
+          const folder = rest.join('/');
+          if (!wanted.has(path.join(folderPath(mailbox, folder), 'new'))) dirtyFolders.set(key, { mailbox, folder });
+        }
+      };
+
+      const flush = async () => {
+        timer = null;
+        if (running) {
+          // Další dávka až po dokončení současné
+          await running;
+          return schedule();
+        }
+
+        running = (async () => {
+          if (refreshNeeded) {
+            refreshNeeded = false;
+            await refresh(false);
+          }
+
+          const folders = [...dirtyFolders.values()];
+          dirtyFolders.clear();
+          for (const { mailbox, folder } of folders) {
+            await scanFolder(mailbox, folder);
+            if (!(await exists(folderPath(mailbox, folder)))) diskNames.delete(folderKey(mailbox, folder));
+          }
+
+          const changes = pendingChanges;
+          pendingChanges = [];
+          if (changes.length > 0 && !closed) await listener(pairMovedChanges(changes));
+        })().catch((error) => {
+          logger.warn({ error: error.message }, 'Failed to process Maildir changes');
+        }).finally(() => {
+          running = null;
+        });
+        await running;
+      };
+
+      reportChanges = schedule;
+      try {
+        await refresh(true);
+        // Výchozí stav všech složek - změny proti němu se hlásí
+        const folders = [...dirtyFolders.values()];
+        dirtyFolders.clear();
+        for (const { mailbox, folder } of folders) await scanFolder(mailbox, folder);
+      } catch (error) {
+        watchers.forEach(watcher => watcher.close());
+        reportChanges = null;
+        throw error;
+      }
+
+      return {
+        close() {
+          closed = true;
+          clearTimeout(timer);
+          watchers.forEach(watcher => watcher.close());
+          watchers.clear();
+          reportChanges = null;
+          pendingChanges = [];
+        },
+      };
+    },
+  };
+
+  return storage;
+}
+
+/**
+ * Paměťový backend - nic nezapisuje na disk, po restartu je prázdný (CI, lokální testy bez Dockeru)
+ * @param {Object} options
+ * @param {string} options.defaultMailbox - Výchozí mailbox
+ * @returns {Object} Storage
+ */
+function createMemoryStorage({ defaultMailbox }) {
+  const mailboxes = new Map(); // mailbox -> Map(folder -> Map(filename -> { subfolder, flags, content }))
+  const state = new Map(); // name -> JSON (kopie, ať volající nesdílí objekty)
+  const journals = new Map(); // name -> JSON na řádek
+
+  const getFolder = (mailbox, folder) => mailboxes.get(mailbox)?.get(folder) || null;
+
+  const storage = {
+    backend: 'memory',
+
+    describe() {
+      let messages = 0;
+      for (const folders of mailboxes.values()) {
+        for (const folder of folders.values()) messages += folder.size;
+      }
+      return { backend: 'memory', messages };
+    },
+
+    async ensureMailbox(mailbox) {
+      if (!mailboxes.has(mailbox)) mailboxes.set(mailbox, new Map([['INBOX', new Map()]]));
+    },
+
+    async listMailboxes() {
+      return [defaultMailbox, ...[...mailboxes.keys()].filter(mailbox => mailbox !== defaultMailbox)];
+    },
+
+    async mailboxExists(mailbox) {
+      return mailboxes.has(mailbox);
+    },
+
+    async listFolders(mailboxFilter) {
+      const names = mailboxFilter ? [mailboxFilter] : await storage.listMailboxes();
+      return names.flatMap(mailbox => [...(mailboxes.get(mailbox)?.keys() || ['INBOX'])].map(name => ({ name, mailbox })));
+    },
+
+    async folderExists(mailbox, folder) {
+      return Boolean(getFolder(mailbox, folder));
+    },
+
+    async createFolder(mailbox, folder) {
+      await storage.ensureMailbox(mailbox);
+      if (getFolder(mailbox, folder)) throw createStorageError('Folder already exists', { conflict: true });
+      mailboxes.get(mailbox).set(folder, new Map());
+    },
+
+    async deleteFolder(mailbox, folder) {
+      if (!getFolder(mailbox, folder)) throw createStorageError('Folder not found', { notFound: true });
+      mailboxes.get(mailbox).delete(folder);
+    },
+
+    async listMessages(mailbox, folder) {
+      return [...(getFolder(mailbox, folder)?.entries() || [])]
+        .map(([filename, message]) => ({ mailbox, folder, subfolder: message.subfolder, filename, flags: message.flags }));
+    },
+
+    async findMessage(filename) {
+      const base = parseMaildirName(filename).filename;
+      for (const [mailbox, folders] of mailboxes) {
+        for (const [folder, messages] of folders) {
+          const message = messages.get(base);
+          if (message) return { mailbox, folder, subfolder: message.subfolder, filename: base, flags: message.flags };
+        }
+      }
+      return null;
+    },
+
+    async readMessage(location) {
+      const message = getFolder(location.mailbox, location.folder)?.get(location.filename);
+      if (!message) throw createStorageError(`Email ${location.filename} not found`, { notFound: true });
+      return message.content;
+    },
+
+    openMessage(location) {
+      return Readable.from((async function* read() {
+        yield await storage.readMessage(location);
+      })());
+    },
+
+    async createDraft(mailbox, date = null) {
+      await storage.ensureMailbox(mailbox);
+
+      const filename = createMessageFilename(date || new Date());
+      let content = Buffer.alloc(0);
+
+      return {
+        mailbox,
+        filename,
+        async write(buffer) {
+          content = Buffer.from(buffer);
+        },
+        async writeStream(stream) {
+          content = await readStreamToBuffer(stream);
+        },
+        read: async () => content,
+        open: () => Readable.from([content]),
+        async copy(targetMailbox) {
+          const copy = await storage.createDraft(targetMailbox, date);
+          await copy.write(content);
+          return copy;
+        },
+        async commit() {
+          await storage.ensureMailbox(mailbox);
+          getFolder(mailbox, 'INBOX').set(filename, { subfolder: 'new', flags: '', content });
+          return { mailbox, folder: 'INBOX', subfolder: 'new', filename, flags: '' };
+        },
+        async discard() {
+          content = Buffer.alloc(0);
+        },
+      };
+    },
+
+    async moveMessage(location, targetFolder) {
+      const target = getFolder(location.mailbox, targetFolder);
+      if (!target) throw createStorageError('Target folder not found', { notFound: true });
+
+      const source = getFolder(location.mailbox, location.folder);
+      const message = source?.get(location.filename);
+      if (!message) throw createStorageError(`Email ${location.filename} not found`, { notFound: true });
+
+      target.set(location.filename, message);
+      source.delete(location.filename);
+      return { ...location, folder: targetFolder, subfolder: message.subfolder, flags: message.flags };
+    },
+
+    async setFlags(location, changes) {
+      const message = getFolder(location.mailbox, location.folder)?.get(location.filename);
+      if (!message) throw createStorageError(`Email ${location.filename} not found`, { notFound: true });
+
+      const flags = applyFlagChanges(message.flags, changes);
+      if (flags !== message.flags) {
+        message.flags = flags;
+        message.subfolder = 'cur';
+      }
+      return { ...location, subfolder: message.subfolder, flags };
+    },
+
+    async deleteMessage(location) {
+      const folder = getFolder(location.mailbox, location.folder);
+      if (!folder?.delete(location.filename)) {
+        throw createStorageError(`Email ${location.filename} not found`, { notFound: true });
+      }
+    },
+
+    async deleteAllMessages() {
+      let deletedCount = 0;
+      for (const folders of mailboxes.values()) {
+        for (const messages of folders.values()) {
+          deletedCount += messages.size;
+          messages.clear();
+        }
+      }
+      return deletedCount;
+    },
+
+    async readState(name) {
+      return state.has(name) ? JSON.parse(state.get(name)) : null;
+    },
+
+    async writeState(name, value) {
+      state.set(name, JSON.stringify(value));
+    },
+
+    async deleteState(name) {
+      state.delete(name);
+    },
+
+    async appendJournal(name, records) {
+      journals.set(name, (journals.get(name) || '') + records.map(record => `${JSON.stringify(record)}\n`).join(''));
+    },
+
+    async readJournal(name) {
+      return journals.has(name) ? parseJournal(journals.get(name)) : null;
+    },
+
+    async deleteJournal(name) {
+      journals.delete(name);
+    },
+
+    async probe() {
+      return { messages: storage.describe().messages };
+    },
+
+    // Bez disku - health check volného místa se přeskočí
+    async diskSpace() {
+      return null;
+    },
+
+    // Paměť mění jen MailRider sám - není co hlídat
+    async watch() {
+      return { close() {} };
+    },
+  };
+
+  return storage;
+}
+
+/**
+ * Vytvoří úložiště podle konfigurace (STORAGE_BACKEND)
+ * @param {Object} options
+ * @param {string} options.backend - maildir | memory
+ * @param {string} options.baseDir - MAILDIR_BASE (jen maildir)
+ * @param {string} options.defaultMailbox - MAILRIDER_USER
+ * @param {string} [options.owner] - MAILDIR_OWNER `uid:gid` (jen maildir, prázdné = vlastník se nemění)
+ * @param {Object} options.logger - Pino logger
+ * @returns {Object} Storage
+ */
+function createStorage({ backend, baseDir, defaultMailbox, owner, logger }) {
+  switch (backend) {
+    case 'maildir':
+      return createMaildirStorage({ baseDir, defaultMailbox, owner: parseOwner(owner), logger });
+    case 'memory':
+      return createMemoryStorage({ defaultMailbox });
+    default:
+      throw new Error(`Invalid STORAGE_BACKEND "${backend}" (expected ${STORAGE_BACKENDS.join(', ')})`);
+  }
+}
+
+module.exports = {
+  MAILDIR_FLAGS,
+  STORAGE_BACKENDS,
+  createMaildirStorage,
+  createMemoryStorage,
+  createStorage,
+  parseMaildirName,
+};
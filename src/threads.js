@@ -0,0 +1,191 @@
+/**
+ * Vlákna konverzací (GET /api/emails?view=threads, GET /api/threads/:id)
+ *
+ * Emaily patří do jednoho vlákna, když na sebe odkazují přes Message-ID, In-Reply-To a References - i nepřímo
+ * přes zprávu, která do MailRideru nedorazila (dvě odpovědi na stejný email odeslaný jinam).
+ * Email bez těchto hlaviček, nebo s odkazy jen na nedoručené zprávy, se přidá k vláknu se stejným
+ * normalizovaným předmětem (bez Re:/Fwd:/Odp:, velikost písmen a mezery nehrají roli).
+ *
+ * Id vlákna je filename jeho nejstaršího emailu - dá se tedy rovnou otevřít jako email.
+ */
+
+// Prefixy odpovědí a přeposlání včetně lokalizovaných (Odp:, AW:, WG:, SV:, ...) a číslovaných (Re[2]:)
+const REPLY_PREFIX = /^(re|fwd?|aw|wg|sv|vs|odp|tr|rif|antw)(\[\d+\]|\(\d+\))?\s*:\s*/i;
+const NO_SUBJECT = '(no subject)';
+
+/**
+ * Vytáhne Message-ID z hlavičky (`<id@host>`, více id oddělených mezerou nebo pole z mailparseru)
+ * @param {string|Array|undefined} value
+ * @returns {Array<string>} Id ve tvaru `<id@host>` (bez duplicit, v pořadí výskytu)
+ */
+function parseMessageIds(value) {
+  const text = [value].flat(Infinity).filter(Boolean).join(' ');
+  const ids = text.match(/<[^<>\s]+>/g) || [];
+  return [...new Set(ids)];
+}
+
+/**
+ * Normalizuje předmět pro porovnání (bez prefixů odpovědí, malá písmena, jedna mezera)
+ * @param {string} subject
+ * @returns {string} Prázdný řetězec pro email bez předmětu
+ */
+function normalizeSubject(subject) {
+  let result = String(subject || '').trim();
+  let previous;
+  do {
+    previous = result;
+    result = result.replace(REPLY_PREFIX, '').trim();
+  } while (result !== previous);
+
+  result = result.replace(/\s+/g, ' ').toLowerCase();
+  return result === NO_SUBJECT ? '' : result;
+}
+
+/**
+ * Jak hluboko v konverzaci email je podle hlaviček - rozhoduje pořadí emailů přijatých ve stejné sekundě
+ * @param {Object} email - Položka seznamu
+ * @returns {number} 0 = kořen (bez odkazů a bez Re:)
+ */
+function replyRank(email) {
+  const refs = new Set([...(email.references || []), email.inReplyTo].filter(Boolean));
+  return refs.size + (REPLY_PREFIX.test(String(email.subject || '').trim()) ? 1 : 0);
+}
+
+/**
+ * Union-find nad libovolnými klíči
+ * @returns {{union: function(string, string): void, find: function(string): string}}
+ */
+function createUnionFind() {
+  const parent = new Map();
+
+  const find = (key) => {
+    if (!parent.has(key)) parent.set(key, key);
+    let root = key;
+    while (parent.get(root) !== root) root = parent.get(root);
+    // Zkrácení cesty - další dotazy jsou O(1)
+    while (parent.get(key) !== root) {
+      const next = parent.get(key);
+      parent.set(key, root);
+      key = next;
+    }
+    return root;
+  };
+
+  return {
+    find,
+    union(a, b) {
+      const rootA = find(a);
+      const rootB = find(b);
+      if (rootA !== rootB) parent.set(rootB, rootA);
+    },
+  };
+}
+
+/**
+ * Rozdělí emaily do vláken
+ * @param {Array<Object>} emails - Položky seznamu (filename, timestamp, subject, messageId, inReplyTo, references)
+ * @returns {{threads: Array<Object>, byFilename: Map<string, Object>}} Vlákna od nejnovější aktivity
+ *   a mapa filename -> vlákno. Vlákno: { id, subject, emails (od nejstaršího), latestTimestamp }
+ */
+function buildThreads(emails) {
+  const unionFind = createUnionFind();
+  const received = new Set(emails.map(email => email.messageId).filter(Boolean));
+
+  for (const email of emails) {
+    const node = `file:${email.filename}`;
+    unionFind.find(node);
+    if (email.messageId) unionFind.union(node, `id:${email.messageId}`);
+
+    const refs = [...(email.references || []), email.inReplyTo].filter(Boolean);
+    refs.forEach(id => unionFind.union(node, `id:${id}`));
+
+    // Fallback na předmět - hlavičky nikam nevedou
+    const subject = normalizeSubject(email.subject);
+    if (subject && !refs.some(id => received.has(id))) {
+      unionFind.union(node, `subject:${subject}`);
+    }
+  }
+
+  const groups = new Map();
+  for (const email of emails) {
+    const root = unionFind.find(`file:${email.filename}`);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(email);
+  }
+
+  const threads = [];
+  const byFilename = new Map();
+  for (const members of groups.values()) {
+    members.sort((a, b) => a.timestamp - b.timestamp || replyRank(a) - replyRank(b) || a.filename.localeCompare(b.filename));
+    const thread = {
+      id: members[0].filename,
+      subject: members[0].subject,
+      emails: members,
+      latestTimestamp: members[members.length - 1].timestamp,
+    };
+    threads.push(thread);
+    members.forEach(email => byFilename.set(email.filename, thread));
+  }
+
+  threads.sort((a, b) => b.latestTimestamp - a.latestTimestamp || b.id.localeCompare(a.id));
+  return { threads, byFilename };
+}
+
+/**
+ * Odkazy emailu na zprávy, které MailRider nikdy nepřijal
+ * @param {Object} email - Položka seznamu (inReplyTo, references)
+ * @param {Set<string>} received - Message-ID všech uložených emailů
+ * @returns {{inReplyTo: (string|null), missing: Array<string>}} `inReplyTo` = nedoručený přímý předek (rozbitá odpověď)
+ */
+function findMissingReferences(email, received) {
+  const refs = [...new Set([...(email.references || []), email.inReplyTo].filter(Boolean))];
+  const missing = refs.filter(id => !received.has(id));
+  return {
+    inReplyTo: email.inReplyTo && !received.has(email.inReplyTo) ? email.inReplyTo : null,
+    missing,
+  };
+}
+
+/**
+ * Zprávy vlákna jako strom odpovědí (v pořadí přijetí, s odsazením)
+ * @param {Object} thread - Vlákno z buildThreads
+ * @param {Set<string>} received - Message-ID všech uložených emailů
+ * @returns {Array<Object>} Emaily doplněné o { parent, depth, missingReferences }
+ */
+function layoutThread(thread, received) {
+  const byMessageId = new Map();
+  thread.emails.forEach(email => {
+    if (email.messageId && !byMessageId.has(email.messageId)) byMessageId.set(email.messageId, email);
+  });
+
+  const parents = new Map();
+  for (const email of thread.emails) {
+    // Přímý předek podle In-Reply-To, jinak nejbližší doručený z References (poslední v seznamu)
+    const candidates = [email.inReplyTo, ...[...(email.references || [])].reverse()].filter(Boolean);
+    const parent = candidates.map(id => byMessageId.get(id)).find(found => found && found !== email);
+    // Emaily připojené přes předmět visí na kořeni vlákna
+    parents.set(email.filename, parent?.filename || (email === thread.emails[0] ? null : thread.emails[0].filename));
+  }
+
+  const depthOf = (filename, seen = new Set()) => {
+    const parent = parents.get(filename);
+    if (!parent || seen.has(parent)) return 0; // Cyklus v References (poškozené hlavičky)
+    seen.add(filename);
+    return depthOf(parent, seen) + 1;
+  };
+
+  return thread.emails.map(email => ({
+    ...email,
+    parent: parents.get(email.filename),
+    depth: depthOf(email.filename),
+    missingReferences: findMissingReferences(email, received),
+  }));
+}
+
+module.exports = {
+  buildThreads,
+  findMissingReferences,
+  layoutThread,
+  normalizeSubject,
+  parseMessageIds,
+};
@@ -0,0 +1,118 @@
+/**
+ * TLS certifikát pro STARTTLS a implicitní TLS (SMTPS)
+ *
+ * Pořadí:
+ * 1. SMTP_TLS_CERT + SMTP_TLS_KEY - vlastní certifikát
+ * 2. <SMTP_TLS_DIR>/cert.pem + key.pem - dříve vygenerovaný certifikát
+ * 3. Vygeneruje nový self-signed certifikát a uloží ho do SMTP_TLS_DIR
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const selfsigned = require('selfsigned');
+
+const CERT_VALIDITY_YEARS = 10;
+
+/**
+ * Vygeneruje self-signed certifikát pro lokální vývoj
+ * @param {string} hostname - Common name a DNS SAN
+ * @returns {Promise<{key: string, cert: string}>}
+ */
+async function generateSelfSignedCertificate(hostname) {
+  const notBeforeDate = new Date();
+  const notAfterDate = new Date(notBeforeDate);
+  notAfterDate.setFullYear(notAfterDate.getFullYear() + CERT_VALIDITY_YEARS);
+
+  const pems = await selfsigned.generate([{ name: 'commonName', value: hostname }], {
+    keySize: 2048,
+    algorithm: 'sha256',
+    notBeforeDate,
+    notAfterDate,
+    extensions: [
+      { name: 'basicConstraints', cA: false },
+      { name: 'keyUsage', digitalSignature: true, keyEncipherment: true },
+      { name: 'extKeyUsage', serverAuth: true },
+      {
+        name: 'subjectAltName',
+        altNames: [
+          { type: 2, value: hostname },
+          { type: 2, value: 'localhost' },
+          { type: 7, ip: '127.0.0.1' },
+          { type: 7, ip: '::1' },
+        ],
+      },
+    ],
+  });
+
+  return { key: pems.private, cert: pems.cert };
+}
+
+/**
+ * Načte nebo vygeneruje TLS certifikát
+ * @param {Object} options
+ * @param {string} [options.certPath] - Cesta k certifikátu (PEM)
+ * @param {string} [options.keyPath] - Cesta k privátnímu klíči (PEM)
+ * @param {string} options.dir - Adresář pro vygenerovaný certifikát (prázdné = jen v paměti, nový při každém startu)
+ * @param {string} options.hostname - Hostname pro vygenerovaný certifikát
+ * @param {Object} options.logger - Pino logger
+ * @returns {Promise<{key: Buffer|string, cert: Buffer|string, source: string}>}
+ */
+async function loadTlsCredentials({ certPath, keyPath, dir, hostname, logger }) {
+  if (certPath || keyPath) {
+    if (!certPath || !keyPath) {
+      throw new Error('Both SMTP_TLS_CERT and SMTP_TLS_KEY must be set');
+    }
+    return {
+      cert: await fs.readFile(certPath),
+      key: await fs.readFile(keyPath),
+      source: certPath,
+    };
+  }
+
+  if (!dir) {
+    logger.info({ hostname }, 'Generating self-signed TLS certificate (not persisted)');
+    return { ...await generateSelfSignedCertificate(hostname), source: 'generated' };
+  }
+
+  const generatedCertPath = path.join(dir, 'cert.pem');
+  const generatedKeyPath = path.join(dir, 'key.pem');
+
+  try {
+    return {
+      cert: await fs.readFile(generatedCertPath),
+      key: await fs.readFile(generatedKeyPath),
+      source: generatedCertPath,
+    };
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  logger.info({ hostname, dir }, 'Generating self-signed TLS certificate');
+
+  const { key, cert } = await generateSelfSignedCertificate(hostname);
+  await fs.mkdir(dir, { recursive: true, mode: 0o700 });
+  await fs.writeFile(generatedKeyPath, key, { mode: 0o600 });
+  await fs.writeFile(generatedCertPath, cert);
+
+  return { key, cert, source: generatedCertPath };
+}
+
+/**
+ * Popis TLS spojení SMTP session (pro uložení k emailu)
+ * @param {Object} session - smtp-server session
+ * @returns {{protocol: string, cipher: string}|null} null pro nešifrované spojení
+ */
+function describeTlsSession(session) {
+  if (!session.secure) return null;
+
+  const cipher = session.tlsOptions || {};
+  return {
+    protocol: cipher.version || null,
+    cipher: cipher.standardName || cipher.name || null,
+  };
+}
+
+module.exports = {
+  describeTlsSession,
+  loadTlsCredentials,
+};
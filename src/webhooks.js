@@ -0,0 +1,312 @@
+/**
+ * Webhooky - HTTP POST na zadané URL po uložení nového emailu
+ *
+ * Webhooky (JSON soubor WEBHOOKS_FILE nebo /api/webhooks), volitelně s filtrem (glob):
+ *   [
+ *     { "id": "tests", "url": "http://host.docker.internal:3000/mail-hook", "secret": "s3cret" },
+ *     { "id": "bot", "url": "http://bot.local/hook", "match": { "recipient": "*@faktron.cz", "subject": "*faktura*" }, "includeRawUrl": false }
+ *   ]
+ *
+ * Podpis (když má webhook `secret`) je HMAC-SHA256 z `<timestamp>.<body>`:
+ *   X-MailRider-Timestamp: 1731574200
+ *   X-MailRider-Signature: sha256=<hex>
+ *
+ * Neúspěšné doručení (chyba spojení, timeout, 5xx, 408, 429) se opakuje s exponenciálním
+ * backoffem (1s, 2s, 4s, ... max. 5 min) až do `maxAttempts` pokusů. Ostatní 4xx jsou trvalé selhání.
+ */
+
+const crypto = require('crypto');
+const { compileMatchGlobs, createRuleStore, loadRuleFile, matchesGlobs, normalizeMatchGlobs } = require('./rule-store');
+
+const WEBHOOK_EVENTS = ['email.received'];
+
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 300000; // 5 min
+const DELIVERY_LOG_SIZE = 200; // Počet posledních doručení v paměti
+const MAX_RESPONSE_BODY = 500; // Znaků odpovědi uložených v logu
+
+/**
+ * Ověří a normalizuje webhook
+ * @param {Object} webhook - Webhook ze souboru nebo z API
+ * @param {string} fallbackId - ID pro webhook bez vlastního ID
+ * @returns {Object} Normalizovaný webhook
+ */
+function normalizeWebhook(webhook, fallbackId) {
+  if (!webhook || typeof webhook !== 'object' || Array.isArray(webhook)) {
+    throw new Error('Webhook must be an object');
+  }
+
+  const id = webhook.id === undefined ? fallbackId : String(webhook.id).trim();
+  if (!id) {
+    throw new Error('Webhook id must not be empty');
+  }
+
+  let url;
+  try {
+    url = new URL(webhook.url);
+  } catch {
+    throw new Error(`Webhook "${id}": url must be an absolute URL`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`Webhook "${id}": url must use http or https`);
+  }
+
+  const events = webhook.events === undefined ? WEBHOOK_EVENTS : webhook.events;
+  if (!Array.isArray(events) || events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+    throw new Error(`Webhook "${id}": events must be a non-empty list of ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+
+  const match = normalizeMatchGlobs(webhook.match, `Webhook "${id}"`);
+
+  const secret = webhook.secret === undefined || webhook.secret === null ? '' : webhook.secret;
+  if (typeof secret !== 'string') {
+    throw new Error(`Webhook "${id}": secret must be a string`);
+  }
+
+  return {
+    id,
+    description: typeof webhook.description === 'string' ? webhook.description : '',
+    enabled: webhook.enabled !== false,
+    url: url.href,
+    events,
+    match,
+    secret,
+    includeRawUrl: webhook.includeRawUrl !== false,
+  };
+}
+
+/**
+ * Načte webhooky ze souboru
+ * @param {string} filePath - Cesta k JSON souboru
+ * @returns {Promise<Array<Object>>} Webhooky (neověřené, ověří je setWebhooks)
+ */
+function loadWebhooks(filePath) {
+  return loadRuleFile(filePath, 'Webhooks');
+}
+
+/**
+ * Podpis těla požadavku (hlavička X-MailRider-Signature)
+ * @param {string} secret - Sdílený klíč webhooku
+ * @param {number} timestamp - Unix timestamp v sekundách (X-MailRider-Timestamp)
+ * @param {string} body - JSON tělo požadavku
+ * @returns {string} `sha256=<hex>`
+ */
+function signWebhookPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Zpoždění před dalším pokusem
+ * @param {number} attempt - Číslo neúspěšného pokusu (od 1)
+ * @returns {number} ms
+ */
+function getRetryDelay(attempt) {
+  return Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * Má smysl doručení opakovat?
+ * @param {number|null} status - HTTP status (null = chyba spojení / timeout)
+ * @returns {boolean}
+ */
+function isRetryable(status) {
+  return status === null || status >= 500 || status === 408 || status === 429;
+}
+
+/**
+ * Vytvoří dispatcher webhooků s webhooky měnitelnými za běhu
+ * @param {Object} options
+ * @param {number} options.timeout - Timeout jednoho požadavku v ms
+ * @param {number} options.maxAttempts - Maximální počet pokusů o doručení
+ * @param {Object} options.logger - Pino logger
+ * @param {function(Object): void} [options.onDelivery] - Callback po každém pokusu (záznam logu)
+ * @returns {Object} Dispatcher (describe, getWebhooks, setWebhooks, addWebhook, updateWebhook, removeWebhook, dispatch, getDeliveries, clearDeliveries, stop)
+ */
+function createWebhookDispatcher({ timeout, maxAttempts, logger, onDelivery = () => {} }) {
+  const webhooks = createRuleStore({
+    name: 'Webhook',
+    pluralName: 'Webhooks',
+    idPrefix: 'webhook',
+    normalize: normalizeWebhook,
+    compile: webhook => ({ webhook, matchers: compileMatchGlobs(webhook.match), deliveries: 0, failures: 0 }),
+    key: 'webhook',
+    counters: ['deliveries', 'failures'],
+  });
+  let deliveries = [];
+  const timers = new Set();
+  let nextDeliveryId = 1;
+
+  // Secret se přes API nevrací
+  const toJSON = ({ webhook, deliveries: delivered, failures }) => {
+    const { secret, ...rest } = webhook;
+    return { ...rest, signed: Boolean(secret), deliveries: delivered, failures };
+  };
+
+  const schedule = (callback, delay) => {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      callback();
+    }, delay);
+    timer.unref();
+    timers.add(timer);
+  };
+
+  /**
+   * Jeden pokus o doručení, při chybě naplánuje další
+   * @param {Object} entry - Zkompilovaný webhook
+   * @param {Object} delivery - Záznam v logu doručení
+   * @param {string} body - JSON tělo
+   */
+  const attempt = async (entry, delivery, body) => {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'MailRider-Webhook',
+      'X-MailRider-Event': delivery.event,
+      'X-MailRider-Delivery': String(delivery.id),
+      'X-MailRider-Timestamp': String(timestamp),
+    };
+    if (entry.webhook.secret) {
+      headers['X-MailRider-Signature'] = signWebhookPayload(entry.webhook.secret, timestamp, body);
+    }
+
+    const started = Date.now();
+    const record = { attempt: delivery.attempts.length + 1, timestamp: new Date(started).toISOString(), status: null, durationMs: 0, error: null, response: null };
+
+    try {
+      const response = await fetch(delivery.url, { method: 'POST', headers, body, signal: AbortSignal.timeout(timeout) });
+      record.status = response.status;
+      record.response = (await response.text()).slice(0, MAX_RESPONSE_BODY) || null;
+      if (!response.ok) record.error = `HTTP ${response.status}`;
+    } catch (error) {
+      record.error = error.name === 'TimeoutError' ? `Timed out after ${timeout} ms` : (error.cause?.message || error.message);
+    }
+    record.durationMs = Date.now() - started;
+    delivery.attempts.push(record);
+
+    if (!record.error) {
+      delivery.status = 'delivered';
+      delivery.nextAttemptAt = null;
+      entry.deliveries++;
+      logger.info({ webhook: delivery.webhookId, delivery: delivery.id, status: record.status, attempt: record.attempt }, 'Webhook delivered');
+    } else if (record.attempt < maxAttempts && isRetryable(record.status)) {
+      const delay = getRetryDelay(record.attempt);
+      delivery.status = 'retrying';
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      logger.warn({ webhook: delivery.webhookId, delivery: delivery.id, error: record.error, attempt: record.attempt, retryInMs: delay }, 'Webhook delivery failed, retrying');
+      schedule(() => attempt(entry, delivery, body), delay);
+    } else {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      entry.failures++;
+      logger.error({ webhook: delivery.webhookId, delivery: delivery.id, error: record.error, attempts: record.attempt }, 'Webhook delivery failed');
+    }
+
+    onDelivery(delivery);
+  };
+
+  return {
+    /**
+     * Konfigurace pro API
+     */
+    describe() {
+      return { events: WEBHOOK_EVENTS, timeout, maxAttempts };
+    },
+
+    getWebhooks() {
+      return webhooks.entries().map(toJSON);
+    },
+
+    /**
+     * Nahradí všechny webhooky (atomicky - při chybě zůstanou původní)
+     * @param {Array<Object>} nextWebhooks
+     */
+    setWebhooks(nextWebhooks) {
+      return webhooks.set(nextWebhooks).map(toJSON);
+    },
+
+    addWebhook(webhook) {
+      return toJSON(webhooks.add(webhook));
+    },
+
+    updateWebhook(id, changes) {
+      return toJSON(webhooks.update(id, changes));
+    },
+
+    removeWebhook(id) {
+      return toJSON(webhooks.remove(id));
+    },
+
+    /**
+     * Pošle událost všem zapnutým webhookům, jejichž filtr odpovídá (nečeká na doručení)
+     * @param {string} event - Typ události (email.received)
+     * @param {Object} data - Data události (položka seznamu emailů)
+     * @param {Object} context - { sender, recipients, subject, filename, rawUrl }
+     * @returns {Array<Object>} Založené záznamy doručení
+     */
+    dispatch(event, data, context) {
+      const created = [];
+
+      for (const entry of webhooks.entries()) {
+        if (!entry.webhook.enabled || !entry.webhook.events.includes(event)) continue;
+        if (!matchesGlobs(entry.matchers, context)) continue;
+
+        const delivery = {
+          id: nextDeliveryId++,
+          webhookId: entry.webhook.id,
+          url: entry.webhook.url,
+          event,
+          filename: context.filename || null,
+          status: 'pending',
+          createdAt: new Date().toISOString(),
+          nextAttemptAt: null,
+          attempts: [],
+        };
+        deliveries.push(delivery);
+        if (deliveries.length > DELIVERY_LOG_SIZE) deliveries = deliveries.slice(-DELIVERY_LOG_SIZE);
+
+        const body = JSON.stringify({
+          event,
+          deliveryId: delivery.id,
+          timestamp: delivery.createdAt,
+          data,
+          ...(entry.webhook.includeRawUrl && context.rawUrl && { rawUrl: context.rawUrl }),
+        });
+        attempt(entry, delivery, body);
+        created.push(delivery);
+      }
+
+      return created;
+    },
+
+    /**
+     * Log doručení (nejnovější první)
+     * @param {Object} [filter] - { webhookId, status }
+     * @returns {Array<Object>}
+     */
+    getDeliveries({ webhookId, status } = {}) {
+      return [...deliveries]
+        .reverse()
+        .filter(delivery => (!webhookId || delivery.webhookId === webhookId) && (!status || delivery.status === status));
+    },
+
+    clearDeliveries() {
+      deliveries = deliveries.filter(delivery => delivery.status === 'pending' || delivery.status === 'retrying');
+    },
+
+    /**
+     * Zruší naplánované opakování (při ukončení serveru)
+     */
+    stop() {
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+    },
+  };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  createWebhookDispatcher,
+  loadWebhooks,
+  signWebhookPayload,
+};
@@ -0,0 +1,153 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Writable } = require('stream');
+const zlib = require('zlib');
+const { createZipWriter, formatMboxMessage, parseMbox, readZipEntries } = require('../src/archive');
+
+const DATE = new Date(Date.UTC(2024, 10, 14, 8, 30, 0));
+
+/**
+ * ZIP přes createZipWriter (deflate)
+ */
+async function writeZip(files) {
+  const chunks = [];
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    },
+  });
+  const writer = createZipWriter(stream);
+  for (const [name, data] of files) await writer.add(name, data, DATE);
+  await writer.finish();
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Ručně sestavený ZIP s jednou položkou (method 0 = stored, 8 = deflate)
+ */
+function buildZip(name, data, method, { localOffset = 0, compressedSize } = {}) {
+  const nameBuffer = Buffer.from(name);
+  const content = method === 8 ? zlib.deflateRawSync(data) : data;
+
+  const local = Buffer.alloc(30);
+  local.writeUInt32LE(0x04034b50, 0);
+  local.writeUInt16LE(method, 8);
+  local.writeUInt32LE(content.length, 18);
+  local.writeUInt32LE(data.length, 22);
+  local.writeUInt16LE(nameBuffer.length, 26);
+
+  const central = Buffer.alloc(46);
+  central.writeUInt32LE(0x02014b50, 0);
+  central.writeUInt16LE(method, 10);
+  central.writeUInt16LE(0x21, 14); // 1980-01-01
+  central.writeUInt32LE(compressedSize ?? content.length, 20);
+  central.writeUInt32LE(data.length, 24);
+  central.writeUInt16LE(nameBuffer.length, 28);
+  central.writeUInt32LE(localOffset, 42);
+
+  const start = 30 + nameBuffer.length + content.length;
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(1, 8);
+  end.writeUInt16LE(1, 10);
+  end.writeUInt32LE(46 + nameBuffer.length, 12);
+  end.writeUInt32LE(start, 16);
+
+  return Buffer.concat([local, nameBuffer, content, central, nameBuffer, end]);
+}
+
+const assertInvalid = (fn, message) => assert.throws(fn, error => error.invalid === true && message.test(error.message));
+
+test('mboxrd: řádky "From " se při exportu escapují a při importu vrátí', () => {
+  const raw = Buffer.from([
+    'From: a@example.com',
+    'Subject: From test',
+    '',
+    'From here on',
+    '>From quoted',
+    '>>From double',
+    ' From indented',
+    'Fromage',
+    '',
+  ].join('\r\n'));
+
+  const mbox = Buffer.concat([
+    formatMboxMessage(raw, { sender: 'a@example.com', date: DATE }),
+    formatMboxMessage(Buffer.from('Subject: second\r\n\r\nFrom the end'), { date: DATE }),
+  ]);
+  const text = mbox.toString();
+  assert.match(text, /^From a@example\.com Thu Nov 14 08:30:00 2024\n/);
+  assert.match(text, /^>From here on\r$/m);
+  assert.match(text, /^>>From quoted\r$/m);
+  assert.match(text, /^>>>From double\r$/m);
+  assert.match(text, /^ From indented\r$/m);
+  assert.match(text, /^Fromage\r$/m);
+
+  const messages = parseMbox(mbox);
+  assert.equal(messages.length, 2);
+  assert.deepEqual(messages[0].raw, raw);
+  assert.equal(messages[0].sender, 'a@example.com');
+  // mbox neumí zprávu bez konce řádku - dostane ho
+  assert.equal(messages[1].raw.toString(), 'Subject: second\r\n\r\nFrom the end\n');
+  assert.equal(messages[1].sender, null);
+  assert.deepEqual(messages[1].date, DATE);
+});
+
+test('mbox bez oddělovače je neplatný', () => {
+  assertInvalid(() => parseMbox(Buffer.from('Subject: x\r\n\r\nbody')), /Not an mbox file/);
+});
+
+test('ZIP: deflate položky z createZipWriter', async () => {
+  const first = Buffer.from('Subject: first\r\n\r\nBody'.repeat(100));
+  const second = Buffer.from('Subject: druhý\r\n\r\nTělo');
+  const zip = await writeZip([['inbox/first.eml', first], ['složka/second.eml', second], ['empty.eml', Buffer.alloc(0)]]);
+
+  const entries = readZipEntries(zip);
+  assert.deepEqual(entries.map(entry => entry.name), ['inbox/first.eml', 'složka/second.eml', 'empty.eml']);
+  assert.deepEqual(entries[0].data, first);
+  assert.deepEqual(entries[1].data, second);
+  assert.equal(entries[2].data.length, 0);
+  assert.deepEqual(entries[0].date, DATE);
+});
+
+test('ZIP: stored položka', () => {
+  const data = Buffer.from('Subject: stored\r\n\r\nBody');
+  const [entry] = readZipEntries(buildZip('stored.eml', data, 0));
+  assert.equal(entry.name, 'stored.eml');
+  assert.deepEqual(entry.data, data);
+});
+
+test('ZIP: limit rozbalené velikosti (ZIP bomba)', async () => {
+  const data = Buffer.alloc(1024 * 1024);
+  const zip = buildZip('bomb.eml', data, 8);
+  assert.ok(zip.length < 5000);
+
+  assertInvalid(() => readZipEntries(zip, { maxSize: 1000 }), /expands to more than 1000 bytes/);
+  assertInvalid(() => readZipEntries(buildZip('big.eml', data, 0), { maxSize: 1000 }), /expands to more than 1000 bytes/);
+  assert.equal(readZipEntries(zip, { maxSize: data.length })[0].data.length, data.length);
+
+  const twoFiles = await writeZip([['a.eml', Buffer.alloc(600)], ['b.eml', Buffer.alloc(600)]]);
+  assertInvalid(() => readZipEntries(twoFiles, { maxSize: 1000 }), /b\.eml: archive expands/);
+});
+
+test('ZIP: poškozený vstup', async () => {
+  const zip = buildZip('a.eml', Buffer.from('Subject: a\r\n\r\nBody'), 8);
+
+  assertInvalid(() => readZipEntries(Buffer.from('PK')), /too short/);
+  assertInvalid(() => readZipEntries(Buffer.alloc(100)), /end of central directory not found/);
+  assertInvalid(() => readZipEntries(zip.subarray(0, zip.length - 30)), /end of central directory not found/);
+  assertInvalid(() => readZipEntries(buildZip('a.eml', Buffer.from('x'), 8, { localOffset: 0xffff })), /local header out of bounds/);
+  assertInvalid(() => readZipEntries(buildZip('a.eml', Buffer.from('x'), 0, { compressedSize: 0xfffff })), /data out of bounds/);
+  assertInvalid(() => readZipEntries(buildZip('a.eml', Buffer.from('x'), 12)), /unsupported ZIP compression method 12/);
+
+  // Central directory za koncem souboru
+  const badOffset = Buffer.from(zip);
+  badOffset.writeUInt32LE(zip.length, zip.length - 6);
+  assertInvalid(() => readZipEntries(badOffset), /central directory out of bounds/);
+
+  // Rozbitá deflate data
+  const corrupted = Buffer.from(zip);
+  corrupted.fill(0xff, 35, 40);
+  assertInvalid(() => readZipEntries(corrupted), /corrupted compressed data/);
+});
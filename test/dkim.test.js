@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { createDkimDigest, createDkimVerifier, loadDkimKeys } = require('../src/dkim');
+
+const NOW = Date.UTC(2024, 0, 1);
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// Kanonizace podle RFC 6376 3.4 - nezávisle na src/dkim.js
+const canonicalizeHeader = (line, method) => {
+  if (method === 'simple') return line;
+  const [, name, value] = /^([^:]+):([\s\S]*)$/.exec(line);
+  return `${name.trim().toLowerCase()}:${value.replace(/\r\n(?=[ \t])/g, '').replace(/[ \t]+/g, ' ').trim()}\r\n`;
+};
+
+const canonicalizeBody = (body, method) => {
+  let lines = body.split('\r\n');
+  if (method === 'relaxed') lines = lines.map(line => line.replace(/[ \t]+/g, ' ').replace(/ $/, ''));
+  while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+  return lines.length > 0 || method === 'simple' ? `${lines.join('\r\n')}\r\n` : '';
+};
+
+/**
+ * Podepíše email (hlavičky jako pole řádků `Name: value\r\n`, podepisují se from, to a subject)
+ */
+function sign(headers, body, canonicalization) {
+  const [headerMethod, bodyMethod] = canonicalization.split('/');
+  const bodyHash = crypto.createHash('sha256').update(canonicalizeBody(body, bodyMethod)).digest('base64');
+  const signed = ['from', 'to', 'subject'].map(name => headers.find(line => line.toLowerCase().startsWith(`${name}:`)));
+  const field = `DKIM-Signature: v=1; a=rsa-sha256; c=${canonicalization}; d=example.com; s=test;\r\n\th=from:to:subject; bh=${bodyHash}; b=`;
+
+  const data = signed.map(line => canonicalizeHeader(line, headerMethod)).join('')
+    + canonicalizeHeader(`${field}\r\n`, headerMethod).replace(/\r\n$/, '');
+  const signature = crypto.sign('sha256', Buffer.from(data), privateKey).toString('base64');
+
+  return `${field}${signature}\r\n${headers.join('')}\r\n${body}`;
+}
+
+const HEADERS = [
+  'From: Sender <sender@example.com>\r\n',
+  'To: user@test.cz\r\n',
+  'Subject:  Hello   world\r\n',
+  'Date: Mon, 1 Jan 2024 00:00:00 +0000\r\n',
+];
+const BODY = 'First line  with   spaces \r\n\r\nSecond line\r\n\r\n\r\n';
+
+let verifier;
+
+test.before(async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mailrider-dkim-'));
+  const file = path.join(dir, 'keys.json');
+  const der = publicKey.export({ type: 'spki', format: 'der' }).toString('base64');
+  await fs.writeFile(file, JSON.stringify({ 'test._domainkey.example.com': `v=DKIM1; k=rsa; p=${der}` }));
+
+  verifier = createDkimVerifier();
+  verifier.setKeys(await loadDkimKeys({ file }));
+  await fs.rm(dir, { recursive: true });
+});
+
+const verify = message => verifier.verify(Buffer.from(message), NOW);
+const problemCodes = verification => verification.signatures[0].problems.map(problem => problem.code);
+
+for (const canonicalization of ['relaxed/relaxed', 'simple/simple', 'relaxed/simple', 'simple/relaxed']) {
+  test(`${canonicalization}: nezměněný email projde`, () => {
+    const verification = verify(sign(HEADERS, BODY, canonicalization));
+    assert.equal(verification.result, 'pass');
+    assert.equal(verification.signatures[0].result, 'pass');
+  });
+
+  test(`${canonicalization}: změněné tělo neprojde`, () => {
+    const verification = verify(sign(HEADERS, BODY, canonicalization).replace('Second line', 'Second linE'));
+    assert.equal(verification.result, 'fail');
+    assert.deepEqual(problemCodes(verification), ['body-hash-mismatch']);
+  });
+
+  test(`${canonicalization}: změněná podepsaná hlavička neprojde`, () => {
+    const verification = verify(sign(HEADERS, BODY, canonicalization).replace('Hello', 'Hallo'));
+    assert.equal(verification.result, 'fail');
+    assert.deepEqual(problemCodes(verification), ['header-signature-mismatch']);
+  });
+}
+
+test('relaxed snese změny mezer a prázdné řádky na konci těla', () => {
+  const message = sign(HEADERS, BODY, 'relaxed/relaxed')
+    .replace('Subject:  Hello   world', 'SUBJECT: Hello\r\n world')
+    .replace('First line  with   spaces ', 'First line with\tspaces')
+    .concat('\r\n\r\n');
+  assert.equal(verify(message).result, 'pass');
+});
+
+test('simple neprojde po změně mezer', () => {
+  const headerChanged = sign(HEADERS, BODY, 'simple/simple').replace('Subject:  Hello   world', 'Subject: Hello world');
+  assert.deepEqual(problemCodes(verify(headerChanged)), ['header-signature-mismatch']);
+
+  const bodyChanged = sign(HEADERS, BODY, 'simple/simple').replace('with   spaces', 'with spaces');
+  assert.deepEqual(problemCodes(verify(bodyChanged)), ['body-hash-mismatch']);
+});
+
+test('simple: prázdné řádky na konci těla se ignorují', () => {
+  assert.equal(verify(sign(HEADERS, BODY, 'simple/simple').concat('\r\n\r\n')).result, 'pass');
+});
+
+test('prázdné tělo', () => {
+  for (const canonicalization of ['relaxed/relaxed', 'simple/simple']) {
+    assert.equal(verify(sign(HEADERS, '', canonicalization)).result, 'pass', canonicalization);
+  }
+});
+
+test('streamovaný digest dá stejný výsledek při libovolném dělení na chunky', () => {
+  const message = Buffer.from(sign(HEADERS, BODY, 'relaxed/simple'));
+
+  for (const size of [1, 2, 3, 7, 64, message.length]) {
+    const digest = createDkimDigest();
+    for (let offset = 0; offset < message.length; offset += size) {
+      digest.update(message.subarray(offset, offset + size));
+    }
+    assert.equal(verifier.verify(digest.digest(), NOW).result, 'pass', `chunk ${size}`);
+  }
+});
+
+test('email bez podpisu', () => {
+  const digest = createDkimDigest();
+  digest.update(Buffer.from(`${HEADERS.join('')}\r\n${BODY}`));
+  const result = digest.digest();
+  assert.equal(result.signed, false);
+  assert.equal(verifier.verify(result, NOW).result, null);
+});
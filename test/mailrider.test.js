@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs').promises;
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const pino = require('pino');
+const { createMailRider } = require('../src/mailrider');
+
+const logger = pino({ level: 'silent' });
+
+// Otevřené sockety, servery a fs.watch (bez časovačů) - zavřené handly uvolní libuv až v dalším cyklu
+const openHandles = async () => {
+  await new Promise(resolve => setTimeout(resolve, 10));
+  return process.getActiveResourcesInfo().filter(type => type !== 'Timeout').sort();
+};
+
+const send = (smtpPort, fields) => nodemailer
+  .createTransport({ host: '127.0.0.1', port: smtpPort, ignoreTLS: true })
+  .sendMail({ from: 'app@example.com', text: 'Test body', ...fields });
+
+test('start, příjem, čekání, clear a stop', async () => {
+  const handlesBefore = await openHandles();
+  const mailrider = createMailRider({ smtpPort: 0, webPort: 0, host: '127.0.0.1', storage: 'memory', logger, env: {} });
+
+  const { smtpPort, webPort, url } = await mailrider.start();
+  assert.ok(smtpPort > 0 && webPort > 0 && smtpPort !== webPort);
+  assert.equal(url, `http://localhost:${webPort}`);
+  await assert.rejects(mailrider.start(), /already started/);
+
+  try {
+    const received = new Promise(resolve => mailrider.once('email.received', resolve));
+    const waiting = mailrider.waitForMessage({ to: 'first@example.com' }, { timeout: 5000 });
+    await send(smtpPort, { to: 'first@example.com', subject: 'First' });
+
+    const event = await received;
+    assert.equal(event.subject, 'First');
+    const email = await waiting;
+    assert.equal(email.subject, 'First');
+    assert.match(email.textBody, /Test body/);
+
+    const messages = await mailrider.getMessages({ to: 'first@example' });
+    assert.deepEqual(messages.map(message => message.subject), ['First']);
+    assert.equal((await mailrider.getMessage(messages[0].filename)).subject, 'First');
+    assert.deepEqual(await mailrider.getMessages({ to: 'nobody@example.com' }), []);
+
+    // Bez since se dřív uložený email nevrátí - jen s since: 0 (timestamp je v sekundách)
+    await new Promise(resolve => setTimeout(resolve, 1100));
+    await assert.rejects(mailrider.waitForMessage({ to: 'first@example.com' }, { timeout: 200 }), error => error.timeout === true);
+    assert.equal((await mailrider.waitForMessage({ to: 'first@example.com', since: 0 }, { timeout: 200 })).subject, 'First');
+
+    assert.equal(await mailrider.clear(), 1);
+    assert.deepEqual(await mailrider.getMessages(), []);
+    assert.equal(await mailrider.getMessage(messages[0].filename), null);
+  } finally {
+    await mailrider.stop();
+  }
+
+  assert.deepEqual(await openHandles(), handlesBefore);
+  await mailrider.stop(); // Druhé stop nic nedělá
+});
+
+test('neúspěšný start uklidí hlídání úložiště i spuštěné servery', async () => {
+  const maildirBase = await fs.mkdtemp(path.join(os.tmpdir(), 'mailrider-start-'));
+  const options = { smtpPort: 0, host: '127.0.0.1', storage: 'maildir', maildirBase, logger };
+  const blocker = net.createServer();
+  await new Promise(resolve => blocker.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const handlesBefore = await openHandles();
+
+    const invalidConfig = createMailRider({ ...options, webPort: 0, env: { SMTP_AUTH_MODE: 'bogus', MAILDIR_OWNER: '' } });
+    await assert.rejects(invalidConfig.start(), /Invalid SMTP_AUTH_MODE/);
+    assert.deepEqual(await openHandles(), handlesBefore);
+
+    // Web UI už poslouchá, SMTP port je obsazený
+    const portInUse = createMailRider({ ...options, webPort: 0, smtpPort: blocker.address().port, env: { MAILDIR_OWNER: '' } });
+    await assert.rejects(portInUse.start(), error => error.code === 'EADDRINUSE');
+    assert.deepEqual(await openHandles(), handlesBefore);
+    await portInUse.stop();
+  } finally {
+    await new Promise(resolve => blocker.close(resolve));
+    await fs.rm(maildirBase, { recursive: true, force: true });
+  }
+});
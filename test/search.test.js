@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSearchIndex, parseSearchQuery } = require('../src/search');
+
+test('parser: slova, fráze a víceslovné výrazy', () => {
+  assert.deepEqual(parseSearchQuery('Faktura  "Order Confirmed" ORD-2024-0042'), {
+    clauses: [
+      { fields: null, tokens: ['faktura'], phrase: false },
+      { fields: null, tokens: ['order', 'confirmed'], phrase: true },
+      { fields: null, tokens: ['ord', '2024', '0042'], phrase: true },
+    ],
+    filters: {},
+  });
+
+  // Diakritika a velikost písmen se ignorují, neuzavřená uvozovka bere zbytek dotazu
+  assert.deepEqual(parseSearchQuery('"Žluťoučký kůň').clauses, [{ fields: null, tokens: ['zlutoucky', 'kun'], phrase: true }]);
+  assert.deepEqual(parseSearchQuery('""  "" ').clauses, []);
+  assert.deepEqual(parseSearchQuery(undefined), { clauses: [], filters: {} });
+});
+
+test('parser: operátory polí', () => {
+  const { clauses } = parseSearchQuery('from:shop@example.com to:petr subject:"reset hesla" filename:invoice.pdf');
+  assert.deepEqual(clauses, [
+    { fields: ['from'], tokens: ['shop', 'example', 'com'], phrase: true },
+    { fields: ['to'], tokens: ['petr'], phrase: false },
+    { fields: ['subject'], tokens: ['reset', 'hesla'], phrase: true },
+    { fields: ['attachments'], tokens: ['invoice', 'pdf'], phrase: true },
+  ]);
+
+  // Operátor je case-insensitive, prázdná hodnota se ignoruje
+  assert.deepEqual(parseSearchQuery('FROM:Shop to:""').clauses, [{ fields: ['from'], tokens: ['shop'], phrase: false }]);
+});
+
+test('parser: filtry', () => {
+  const { clauses, filters } = parseSearchQuery('has:attachments is:unread IS:Starred is:answered folder:Archive mailbox:Admin after:2024-11-01 before:2024/11/15');
+  assert.deepEqual(clauses, []);
+  assert.deepEqual(filters, {
+    hasAttachment: true,
+    isRead: false,
+    isFlagged: true,
+    isAnswered: true,
+    folder: 'Archive',
+    mailbox: 'admin',
+    after: Math.floor(new Date(2024, 10, 1).getTime() / 1000),
+    before: Math.floor(new Date(2024, 10, 15).getTime() / 1000),
+  });
+
+  // Pozdější podmínka na stejné pole vyhrává
+  assert.deepEqual(parseSearchQuery('is:read is:unread').filters, { isRead: false });
+});
+
+test('parser: neznámé operátory a neplatné hodnoty jsou text', () => {
+  assert.deepEqual(parseSearchQuery('re:hello').clauses, [{ fields: null, tokens: ['re', 'hello'], phrase: true }]);
+  assert.deepEqual(parseSearchQuery('is:constructor is:__proto__ has:nothing').clauses, [
+    { fields: null, tokens: ['is', 'constructor'], phrase: true },
+    { fields: null, tokens: ['is', 'proto'], phrase: true },
+    { fields: null, tokens: ['has', 'nothing'], phrase: true },
+  ]);
+  assert.deepEqual(parseSearchQuery('is:constructor').filters, {});
+
+  const { clauses, filters } = parseSearchQuery('after:yesterday before:2024-13-45 after:2023-02-29');
+  assert.deepEqual(filters, {});
+  assert.deepEqual(clauses.map(clause => clause.tokens), [['after', 'yesterday'], ['before', '2024', '13', '45'], ['after', '2023', '02', '29']]);
+});
+
+test('index: slova, prefixy, fráze a operátory polí', () => {
+  const index = createSearchIndex();
+  index.add('a', { subject: 'Potvrzení objednávky', from: 'shop@example.com', text: 'Your order ORD-2024-0042 was confirmed' });
+  index.add('b', { subject: 'Newsletter', from: 'news@example.com', text: 'Order confirmed? Not yet.' });
+
+  const search = query => [...index.search(parseSearchQuery(query).clauses).keys()].sort();
+
+  assert.deepEqual(search('objednavky'), ['a']);
+  assert.deepEqual(search('potvr'), ['a']);
+  assert.deepEqual(search('order confirmed'), ['a', 'b']);
+  assert.deepEqual(search('"order confirmed"'), ['b']);
+  assert.deepEqual(search('ORD-2024-0042'), ['a']);
+  assert.deepEqual(search('0042-2024'), []);
+  assert.deepEqual(search('from:news'), ['b']);
+  assert.deepEqual(search('subject:order'), []);
+
+  // Prefix najde i delší slova
+  const scores = index.search(parseSearchQuery('confirm').clauses);
+  assert.equal(scores.size, 2);
+
+  index.remove('a');
+  assert.deepEqual(search('objednavky'), []);
+  assert.equal(index.has('a'), false);
+  assert.equal(index.size, 1);
+});
+
+test('index: snippet i za uloženým začátkem těla', () => {
+  const index = createSearchIndex();
+  const filler = Array.from({ length: 200 }, (value, i) => `word${i}`).join(' ');
+  index.add('a', { subject: 'Long', text: `${filler} the secret code is 1234` });
+
+  const { clauses } = parseSearchQuery('"secret code"');
+  assert.deepEqual([...index.search(clauses).keys()], ['a']);
+  const snippet = index.snippet('a', clauses);
+  assert.equal(snippet.field, 'text');
+  assert.match(snippet.snippet, /secret code/);
+});
+
+test('index: limit počtu slov zkrátí jen těla', () => {
+  const index = createSearchIndex({ maxWords: 10 });
+  index.add('a', { subject: 'First', text: 'one two three four five six seven eight' });
+  index.add('b', { subject: 'Second email', text: 'alpha beta gamma delta' });
+
+  assert.equal(index.truncated, 1);
+  assert.ok(index.words <= 10 + 2);
+  const search = query => [...index.search(parseSearchQuery(query).clauses).keys()];
+  assert.deepEqual(search('second'), ['b']);
+  assert.deepEqual(search('delta'), []);
+});
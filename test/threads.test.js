@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildThreads, findMissingReferences, layoutThread, normalizeSubject, parseMessageIds } = require('../src/threads');
+
+let clock = 0;
+const email = (filename, fields = {}) => ({ filename, timestamp: ++clock * 1000, subject: 'Hello', references: [], inReplyTo: null, messageId: null, ...fields });
+const filenames = thread => thread.emails.map(item => item.filename);
+
+test('parseMessageIds a normalizeSubject', () => {
+  assert.deepEqual(parseMessageIds('<a@x> <b@x>\r\n <a@x>'), ['<a@x>', '<b@x>']);
+  assert.deepEqual(parseMessageIds(['<a@x>', ['<c@x>']]), ['<a@x>', '<c@x>']);
+  assert.deepEqual(parseMessageIds(undefined), []);
+
+  assert.equal(normalizeSubject('Re: Fwd: RE[2]:  Hello   World'), 'hello world');
+  assert.equal(normalizeSubject('Odp: AW: hello world'), 'hello world');
+  assert.equal(normalizeSubject('(no subject)'), '');
+});
+
+test('odpovědi na nedoručenou zprávu jsou v jednom vlákně', () => {
+  // Původní email (<root@x>) do MailRideru nedorazil, obě odpovědi na něj odkazují
+  const first = email('first', { subject: 'Re: Offer', messageId: '<r1@x>', inReplyTo: '<root@x>', references: ['<root@x>'] });
+  const second = email('second', { subject: 'Re: Something else', messageId: '<r2@x>', inReplyTo: '<root@x>', references: ['<root@x>'] });
+  const other = email('other', { subject: 'Unrelated', messageId: '<o@x>' });
+
+  const { threads, byFilename } = buildThreads([other, second, first]);
+  assert.equal(threads.length, 2);
+  assert.equal(byFilename.get('first'), byFilename.get('second'));
+  assert.deepEqual(filenames(byFilename.get('first')), ['first', 'second']);
+  assert.equal(byFilename.get('first').id, 'first');
+});
+
+test('nepřímé spojení přes chybějící zprávu uprostřed References', () => {
+  const root = email('root', { subject: 'Plan', messageId: '<a@x>' });
+  // <b@x> chybí - odpověď na ni se připojí přes References
+  const reply = email('reply', { subject: 'Re: Plan', messageId: '<c@x>', inReplyTo: '<b@x>', references: ['<a@x>', '<b@x>'] });
+
+  const { threads } = buildThreads([root, reply]);
+  assert.equal(threads.length, 1);
+
+  const received = new Set(['<a@x>', '<c@x>']);
+  const [rootLayout, replyLayout] = layoutThread(threads[0], received);
+  assert.equal(rootLayout.parent, null);
+  assert.equal(rootLayout.depth, 0);
+  // Nejbližší doručený předek z References
+  assert.equal(replyLayout.parent, 'root');
+  assert.equal(replyLayout.depth, 1);
+  assert.deepEqual(replyLayout.missingReferences, { inReplyTo: '<b@x>', missing: ['<b@x>'] });
+});
+
+test('odkazy jen na nedoručené zprávy - spojení podle předmětu', () => {
+  const original = email('original', { subject: 'Invoice 42' });
+  const reply = email('reply', { subject: 'RE:  invoice 42', messageId: '<r@x>', inReplyTo: '<lost@x>' });
+  const unrelated = email('unrelated', { subject: 'Invoice 43' });
+
+  const { threads, byFilename } = buildThreads([original, reply, unrelated]);
+  assert.equal(threads.length, 2);
+  assert.deepEqual(filenames(byFilename.get('reply')), ['original', 'reply']);
+
+  const [, replyLayout] = layoutThread(byFilename.get('reply'), new Set(['<r@x>']));
+  // Připojený přes předmět visí na kořeni
+  assert.equal(replyLayout.parent, 'original');
+  assert.deepEqual(replyLayout.missingReferences, { inReplyTo: '<lost@x>', missing: ['<lost@x>'] });
+});
+
+test('strom odpovědí ve vlákně spojeném podle předmětu', () => {
+  const a = email('a', { subject: 'Status', messageId: '<a@x>' });
+  const b = email('b', { subject: 'Status', messageId: '<b@x>' });
+  const reply = email('reply', { subject: 'Re: Status', inReplyTo: '<b@x>', references: ['<b@x>'] });
+
+  const { byFilename } = buildThreads([a, b, reply]);
+  // Stejný předmět spojí a i b, odpověď se připojí přes hlavičky
+  assert.deepEqual(filenames(byFilename.get('reply')), ['a', 'b', 'reply']);
+  const layout = layoutThread(byFilename.get('reply'), new Set(['<a@x>', '<b@x>']));
+  assert.deepEqual(layout.map(item => [item.filename, item.parent, item.depth]), [['a', null, 0], ['b', 'a', 1], ['reply', 'b', 2]]);
+});
+
+test('cyklus v References nezacyklí výpočet hloubky', () => {
+  const a = email('a', { messageId: '<a@x>', inReplyTo: '<b@x>' });
+  const b = email('b', { messageId: '<b@x>', inReplyTo: '<a@x>' });
+
+  const { threads } = buildThreads([a, b]);
+  assert.equal(threads.length, 1);
+  const layout = layoutThread(threads[0], new Set(['<a@x>', '<b@x>']));
+  assert.ok(layout.every(item => Number.isInteger(item.depth)));
+});
+
+test('stejný čas přijetí - odpověď až za původním emailem', () => {
+  const reply = { ...email('0-reply', { subject: 'Re: Same', inReplyTo: '<s@x>', references: ['<s@x>'] }), timestamp: 5000 };
+  const original = { ...email('1-original', { subject: 'Same', messageId: '<s@x>' }), timestamp: 5000 };
+
+  const { threads } = buildThreads([reply, original]);
+  assert.deepEqual(filenames(threads[0]), ['1-original', '0-reply']);
+  assert.equal(threads[0].id, '1-original');
+});
+
+test('findMissingReferences', () => {
+  const received = new Set(['<a@x>']);
+  assert.deepEqual(findMissingReferences({ inReplyTo: '<a@x>', references: ['<a@x>'] }, received), { inReplyTo: null, missing: [] });
+  assert.deepEqual(findMissingReferences({ inReplyTo: null, references: ['<z@x>', '<a@x>'] }, received), { inReplyTo: null, missing: ['<z@x>'] });
+});